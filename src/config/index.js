@@ -25,9 +25,86 @@ const config = {
     apiKeys: apiKeys,
     adminKey: adminKey,
     proxyTarget: process.env.PROXY_TARGET || '',
+    // 多个命名透传目标（JSON 数组），按路径前缀或正则路由
+    proxyTargets: (process.env.PROXY_TARGETS || '').trim(),
+    // 上游失败分类规则（JSON 数组），按状态码、响应体 JSON 路径取值或正则匹配，留空使用默认规则
+    failureRules: (process.env.FAILURE_RULES || '').trim(),
+    // 上游故障转移：被动检测连续失败阈值、不健康后的恢复窗口；主动探测间隔（0 关闭）、路径与超时
+    proxyUpstreamFailureThreshold: parseInt(process.env.PROXY_UPSTREAM_FAILURE_THRESHOLD, 10) || 2,
+    proxyUpstreamRecoverMs: parseInt(process.env.PROXY_UPSTREAM_RECOVER_MS, 10) || 30000,
+    proxyHealthCheckIntervalMs: process.env.PROXY_HEALTH_CHECK_INTERVAL_MS !== undefined ? (parseInt(process.env.PROXY_HEALTH_CHECK_INTERVAL_MS, 10) || 0) : 30000,
+    proxyHealthCheckPath: process.env.PROXY_HEALTH_CHECK_PATH || '/',
+    proxyHealthCheckTimeoutMs: parseInt(process.env.PROXY_HEALTH_CHECK_TIMEOUT_MS, 10) || 5000,
     proxyTimeoutMs: parseInt(process.env.PROXY_TIMEOUT_MS, 10) || 600000,
-    // 当 /api/* 返回 429/400/401/504 时的最大重试次数（切换 sessionId）
+    // 当 /api/* 响应命中失败分类规则（默认 429/400/401/504）时的最大重试次数（切换 sessionId）
     proxyMaxRetry: parseInt(process.env.PROXY_MAX_RETRY, 10) || 5,
+    // 流式透传上游响应（SSE/chunked/二进制），默认关闭（缓冲后一次性返回），设为 true 时开启
+    proxyStream: process.env.PROXY_STREAM === 'true',
+    // 暂存 multipart/二进制/文本等原始请求体，使其可在切换 sessionId 时重放
+    proxySpoolBody: process.env.PROXY_SPOOL_BODY === 'true',
+    proxySpoolMemoryLimit: parseInt(process.env.PROXY_SPOOL_MEMORY_LIMIT, 10) || 8 * 1024 * 1024,
+    proxySpoolDir: (process.env.PROXY_SPOOL_DIR || '').trim(),
+    // 账户选择策略：round-robin / lru / least-inflight / weighted / random
+    accountStrategy: (process.env.ACCOUNT_STRATEGY || 'round-robin').trim(),
+    // 账户冷却与熔断：429 后冷却时长；连续 429/401 达到阈值后熔断，打开时长到期后半开探测
+    accountCooldownMs: parseInt(process.env.ACCOUNT_COOLDOWN_MS, 10) || 60000,
+    accountCircuitFailureThreshold: parseInt(process.env.ACCOUNT_CIRCUIT_FAILURE_THRESHOLD, 10) || 3,
+    accountCircuitOpenMs: parseInt(process.env.ACCOUNT_CIRCUIT_OPEN_MS, 10) || 300000,
+    // 单账户最大并发请求数（0 不限制）；所有账户都满载时请求进入先进先出等待队列
+    accountMaxInFlight: parseInt(process.env.ACCOUNT_MAX_INFLIGHT, 10) || 0,
+    accountQueueMax: process.env.ACCOUNT_QUEUE_MAX !== undefined ? (parseInt(process.env.ACCOUNT_QUEUE_MAX, 10) || 0) : 100,
+    accountQueueTimeoutMs: parseInt(process.env.ACCOUNT_QUEUE_TIMEOUT_MS, 10) || 60000,
+    accountQueueRetryAfterSec: parseInt(process.env.ACCOUNT_QUEUE_RETRY_AFTER_SEC, 10) || 5,
+    // 透传请求幂等键（Idempotency-Key）：保存响应的有效期与大小上限
+    idempotencyEnabled: process.env.IDEMPOTENCY_ENABLED !== 'false',
+    idempotencyTtlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    idempotencyMaxBodyBytes: parseInt(process.env.IDEMPOTENCY_MAX_BODY_BYTES, 10) || 1024 * 1024,
+    // 任务与账户绑定：按 JSON 路径从提交响应中学习任务 ID，后续携带该 ID 的请求固定使用创建任务的账户
+    taskAffinityEnabled: process.env.TASK_AFFINITY_ENABLED !== 'false',
+    taskAffinityResponsePaths: (process.env.TASK_AFFINITY_RESPONSE_PATHS || 'task_id,data.task_id,data.history_record_id,data.aigc_data.history_record_id,data.submit_id')
+        .split(',').map(p => p.trim()).filter(Boolean),
+    taskAffinityRequestPaths: (process.env.TASK_AFFINITY_REQUEST_PATHS || 'task_id,history_id,history_ids.*,submit_id,submit_ids.*')
+        .split(',').map(p => p.trim()).filter(Boolean),
+    taskAffinityTtlMs: parseInt(process.env.TASK_AFFINITY_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    // 绑定关系存储：memory / redis，留空时 redis 数据模式下使用 redis（多进程共享）
+    taskAffinityStore: (process.env.TASK_AFFINITY_STORE || (process.env.DATA_SAVE_MODE === 'redis' ? 'redis' : 'memory')).trim(),
+    // 账户积分：上游余额查询接口（留空不查询）、余额/消耗字段的 JSON 路径（多个路径求和）
+    creditBalanceUrl: (process.env.CREDIT_BALANCE_URL || '').trim(),
+    creditBalanceMethod: (process.env.CREDIT_BALANCE_METHOD || 'GET').trim().toUpperCase(),
+    creditBalancePaths: (process.env.CREDIT_BALANCE_PATHS || 'data.credit.gift_credit,data.credit.purchase_credit,data.credit.vip_credit')
+        .split(',').map(p => p.trim()).filter(Boolean),
+    creditUsedPaths: (process.env.CREDIT_USED_PATHS || 'credits_used,data.credits_used,data.credit_cost')
+        .split(',').map(p => p.trim()).filter(Boolean),
+    // 余额低于下限的账户不参与选择；积分池总余额低于告警阈值时推送 SSE（0 关闭）；定时查询间隔（0 关闭）
+    creditFloor: process.env.CREDIT_FLOOR !== undefined ? Number(process.env.CREDIT_FLOOR) || 0 : 1,
+    creditLowThreshold: parseInt(process.env.CREDIT_LOW_THRESHOLD, 10) || 0,
+    creditRefreshIntervalMs: process.env.CREDIT_REFRESH_INTERVAL_MS !== undefined ? (parseInt(process.env.CREDIT_REFRESH_INTERVAL_MS, 10) || 0) : 30 * 60 * 1000,
+    // SessionID 在线校验：上游轻量接口（留空关闭）、判定有效的响应字段与取值（可选）、定时校验间隔（0 关闭）、并发数
+    sessionVerifyUrl: (process.env.SESSION_VERIFY_URL || '').trim(),
+    sessionVerifyMethod: (process.env.SESSION_VERIFY_METHOD || 'GET').trim().toUpperCase(),
+    sessionVerifyOkPath: (process.env.SESSION_VERIFY_OK_PATH || '').trim(),
+    sessionVerifyOkValues: (process.env.SESSION_VERIFY_OK_VALUES || '0')
+        .split(',').map(v => v.trim()).filter(Boolean),
+    sessionVerifyTimeoutMs: parseInt(process.env.SESSION_VERIFY_TIMEOUT_MS, 10) || 10000,
+    sessionVerifyIntervalMs: process.env.SESSION_VERIFY_INTERVAL_MS !== undefined ? (parseInt(process.env.SESSION_VERIFY_INTERVAL_MS, 10) || 0) : 30 * 60 * 1000,
+    sessionVerifyConcurrency: parseInt(process.env.SESSION_VERIFY_CONCURRENCY, 10) || 5,
+    // 生成资源本地镜像：按 JSON 路径找出响应中的资源地址，下载到本地并改写为 /assets/:id
+    assetMirrorEnabled: process.env.ASSET_MIRROR_ENABLED === 'true',
+    assetMirrorPaths: (process.env.ASSET_MIRROR_PATHS || 'data.*.url,data.*.video_url')
+        .split(',').map(p => p.trim()).filter(Boolean),
+    assetDir: (process.env.ASSET_DIR || './data/assets').trim(),
+    // 单个文件大小上限、目录总大小上限（0 不限制）、保留时长（0 永久保留）
+    assetMaxFileBytes: process.env.ASSET_MAX_FILE_BYTES !== undefined ? (parseInt(process.env.ASSET_MAX_FILE_BYTES, 10) || 0) : 200 * 1024 * 1024,
+    assetMaxTotalBytes: process.env.ASSET_MAX_TOTAL_BYTES !== undefined ? (parseInt(process.env.ASSET_MAX_TOTAL_BYTES, 10) || 0) : 5 * 1024 * 1024 * 1024,
+    assetRetentionMs: process.env.ASSET_RETENTION_MS !== undefined ? (parseInt(process.env.ASSET_RETENTION_MS, 10) || 0) : 7 * 24 * 60 * 60 * 1000,
+    assetDownloadTimeoutMs: parseInt(process.env.ASSET_DOWNLOAD_TIMEOUT_MS, 10) || 120000,
+    // 改写后资源地址的对外基础地址（留空时按请求的协议与 Host 生成）
+    assetPublicBaseUrl: (process.env.ASSET_PUBLIC_BASE_URL || '').trim(),
+    // OpenAI 兼容接口（/v1）：上游生图路径、对外模型列表与默认模型
+    openaiImagesUpstreamPath: process.env.OPENAI_IMAGES_UPSTREAM_PATH || '/v1/images/generations',
+    openaiModels: (process.env.OPENAI_MODELS || 'jimeng-3.1,jimeng-3.0,jimeng-2.1,jimeng-2.0-pro,jimeng-xl-pro')
+        .split(',').map(m => m.trim()).filter(Boolean),
+    openaiDefaultModel: (process.env.OPENAI_DEFAULT_MODEL || 'jimeng-3.0').trim(),
     simpleModelMap: process.env.SIMPLE_MODEL_MAP === 'true' ? true : false,
     listenAddress: process.env.LISTEN_ADDRESS || null,
     listenPort: process.env.SERVICE_PORT || 3000,
@@ -47,11 +124,42 @@ const config = {
     // 时区与每日刷新配置
     timeZone: process.env.TIMEZONE || 'UTC',
     dailySessionUpdateTime: (process.env.DAILY_SESSION_UPDATE_TIME || '').trim(), // HH:mm，留空关闭
+    // Playwright 登录浏览器池：常驻浏览器数、单个浏览器使用次数上限、同时登录数、空闲关闭时长（0 不关闭）
+    browserPoolSize: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1,
+    browserPoolMaxUses: parseInt(process.env.BROWSER_POOL_MAX_USES, 10) || 20,
+    browserPoolContextsPerBrowser: parseInt(process.env.BROWSER_POOL_CONTEXTS_PER_BROWSER, 10) || 1,
+    browserPoolIdleMs: process.env.BROWSER_POOL_IDLE_MS !== undefined ? (parseInt(process.env.BROWSER_POOL_IDLE_MS, 10) || 0) : 300000,
+    // 登录浏览器状态加密存储：密钥（留空不保存）与存储目录
+    storageStateSecret: process.env.STORAGE_STATE_SECRET || '',
+    storageStateDir: (process.env.STORAGE_STATE_DIR || './data/storage-state').trim(),
+    // 登录失败诊断：保存截图、页面 HTML、地址、控制台错误与失败步骤；保留份数与时长（0 不限制）
+    loginDiagnosticsEnabled: process.env.LOGIN_DIAGNOSTICS_ENABLED === 'true',
+    loginDiagnosticsDir: (process.env.LOGIN_DIAGNOSTICS_DIR || './data/login-diagnostics').trim(),
+    loginDiagnosticsMaxEntries: process.env.LOGIN_DIAGNOSTICS_MAX_ENTRIES !== undefined ? (parseInt(process.env.LOGIN_DIAGNOSTICS_MAX_ENTRIES, 10) || 0) : 50,
+    loginDiagnosticsRetentionMs: process.env.LOGIN_DIAGNOSTICS_RETENTION_MS !== undefined ? (parseInt(process.env.LOGIN_DIAGNOSTICS_RETENTION_MS, 10) || 0) : 7 * 24 * 60 * 60 * 1000,
+    // 登录流程定义文件（选择器与步骤），文件不存在时使用内置定义
+    loginFlowFile: (process.env.LOGIN_FLOW_FILE || './data/login-flow.json').trim(),
+    // 登录遇到验证码时等待人工处理的时长（毫秒，0 不等待直接失败）
+    loginChallengeTimeoutMs: process.env.LOGIN_CHALLENGE_TIMEOUT_MS !== undefined ? (parseInt(process.env.LOGIN_CHALLENGE_TIMEOUT_MS, 10) || 0) : 10 * 60 * 1000,
+    // 同时挂起等待人工处理的登录数上限（0 不限制）；挂起的登录不占用登录调度的并发名额
+    loginChallengeMaxHeld: process.env.LOGIN_CHALLENGE_MAX_HELD !== undefined ? (parseInt(process.env.LOGIN_CHALLENGE_MAX_HELD, 10) || 0) : 5,
+    // 自动读取邮箱验证码（账户配置了邮箱时）：发件人过滤、验证码正则、等待时长与轮询间隔（毫秒）
+    emailCodeFrom: (process.env.EMAIL_CODE_FROM !== undefined ? process.env.EMAIL_CODE_FROM : 'capcut').trim(),
+    emailCodePattern: process.env.EMAIL_CODE_PATTERN || '\\b(\\d{6})\\b',
+    emailCodeTimeoutMs: parseInt(process.env.EMAIL_CODE_TIMEOUT_MS, 10) || 120000,
+    emailCodePollIntervalMs: parseInt(process.env.EMAIL_CODE_POLL_INTERVAL_MS, 10) || 5000,
+    // 登录调度：同时登录数、每分钟最多开始的登录数（0 不限制）、相邻登录的随机间隔（毫秒）
+    loginConcurrency: parseInt(process.env.LOGIN_CONCURRENCY, 10) || 2,
+    loginMaxPerMinute: process.env.LOGIN_MAX_PER_MINUTE !== undefined ? (parseInt(process.env.LOGIN_MAX_PER_MINUTE, 10) || 0) : 10,
+    loginDelayMinMs: process.env.LOGIN_DELAY_MIN_MS !== undefined ? (parseInt(process.env.LOGIN_DELAY_MIN_MS, 10) || 0) : 1000,
+    loginDelayMaxMs: process.env.LOGIN_DELAY_MAX_MS !== undefined ? (parseInt(process.env.LOGIN_DELAY_MAX_MS, 10) || 0) : 3000,
     // Playwright 浏览器登录代理配置
     browserProxyEnable: process.env.BROWSER_PROXY_ENABLE === 'true',
     browserProxyUrl: (process.env.BROWSER_PROXY_URL || '').trim(),
     browserProxyUsername: (process.env.BROWSER_PROXY_USERNAME || '').trim(),
     browserProxyPassword: (process.env.BROWSER_PROXY_PASSWORD || '').trim(),
+    // 登录代理池：未单独配置代理的账户按邮箱固定分配其中一个（逗号分隔，可携带账号密码）
+    loginProxyPool: (process.env.LOGIN_PROXY_POOL || '').split(',').map(s => s.trim()).filter(Boolean),
 }
 
 module.exports = config
@@ -0,0 +1,22 @@
+const express = require('express')
+const router = express.Router()
+const { logger } = require('../utils/logger')
+const assetMirror = require('../utils/asset-mirror')
+
+// 读取本地镜像的生成资源
+router.get('/:id', (req, res) => {
+  const asset = assetMirror.getAsset(req.params.id)
+  if (!asset) {
+    return res.status(404).json({ error: 'asset not found' })
+  }
+  res.setHeader('Content-Type', asset.meta.contentType)
+  res.setHeader('Cache-Control', 'public, max-age=86400, immutable')
+  return res.sendFile(asset.filePath, (err) => {
+    if (err && !res.headersSent) {
+      logger.error(`读取本地资源失败 ${req.params.id}`, 'ASSET', '', err)
+      res.status(404).json({ error: 'asset not found' })
+    }
+  })
+})
+
+module.exports = router
@@ -5,9 +5,26 @@ const { logger } = require('../utils/logger')
 const { adminKeyVerify } = require('../middlewares/authorization')
 const DataPersistence = require('../utils/data-persistence')
 const sse = require('../utils/sse')
+const loginScheduler = require('../utils/login-scheduler')
+const browserPool = require('../utils/browser-pool')
+const loginDiagnostics = require('../utils/login-diagnostics')
+const loginFlow = require('../utils/login-flow')
+const loginChallenge = require('../utils/login-challenge')
+const emailCodeFetcher = require('../utils/email-code-fetcher')
+const loginProfile = require('../utils/login-profile')
+const storageStateStore = require('../utils/storage-state-store')
+const config = require('../config')
 
 const dataPersistence = new DataPersistence()
 
+// 邮箱授权码与登录代理密码加密保存，未配置 STORAGE_STATE_SECRET 时不接受（none 模式不保存账户，不受限制）
+const getSecretsError = (mailbox, profile) => {
+  if (config.dataSaveMode === 'none' || storageStateStore.isEnabled()) return null
+  if (mailbox) return '保存邮箱授权码需要配置 STORAGE_STATE_SECRET'
+  if (profile && profile.proxy && profile.proxy.password) return '保存登录代理密码需要配置 STORAGE_STATE_SECRET'
+  return null
+}
+
 router.get('/getAllAccounts', adminKeyVerify, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1
@@ -18,15 +35,44 @@ router.get('/getAllAccounts', adminKeyVerify, async (req, res) => {
     const total = allAccounts.length
 
     const paginatedAccounts = allAccounts.slice(start, start + pageSize)
+    const diagnosticCounts = loginDiagnostics.isEnabled() ? await loginDiagnostics.countByEmail() : new Map()
 
     const accounts = paginatedAccounts.map(account => ({
       email: account.email,
       password: account.password,
       sessionid: account.sessionid,
-      sessionid_expires: account.sessionid_expires
+      sessionid_expires: account.sessionid_expires,
+      sessionid_revoked: !!account.sessionid_revoked,
+      relogin_pending: dreaminaAccountManager.isReloginPending(account.email),
+      refreshable: account.refreshable !== false,
+      weight: account.weight !== undefined ? account.weight : 1,
+      health: dreaminaAccountManager.getAccountHealth(account.email),
+      credit: dreaminaAccountManager.getAccountCredit(account.email),
+      loginDiagnostics: diagnosticCounts.get(account.email) || 0,
+      challenge: loginChallenge.getByEmail(account.email),
+      // 邮箱配置不返回 secret
+      mailbox: account.mailbox
+        ? { host: account.mailbox.host, port: account.mailbox.port || null, secure: account.mailbox.secure !== false, user: account.mailbox.user, codePattern: account.mailbox.codePattern || null }
+        : null,
+      // 登录配置（不返回代理密码）与实际使用的登录代理
+      loginProfile: loginProfile.toPublicProfile(account.loginProfile),
+      loginProxy: loginProfile.describeProxy(account.email, account.loginProfile),
+      verify: {
+        lastVerifiedAt: account.lastVerifiedAt || null,
+        lastVerifyResult: account.lastVerifyResult || null,
+        lastVerifyLatencyMs: Number.isFinite(account.lastVerifyLatencyMs) ? account.lastVerifyLatencyMs : null,
+        lastVerifyError: account.lastVerifyError || null
+      }
     }))
 
-    res.json({ total, page, pageSize, data: accounts })
+    res.json({
+      total,
+      page,
+      pageSize,
+      data: accounts,
+      credits: dreaminaAccountManager.getCreditStats(),
+      sessions: dreaminaAccountManager.getHealthStats().accounts
+    })
   } catch (error) {
     logger.error('获取 Dreamina 账号列表失败', 'DREAMINA', '', error)
     res.status(500).json({ error: error.message })
@@ -35,10 +81,24 @@ router.get('/getAllAccounts', adminKeyVerify, async (req, res) => {
 
 router.post('/setAccount', adminKeyVerify, async (req, res) => {
   try {
-    const { email, password } = req.body
+    const { email, password, mailbox, loginProfile: profile } = req.body
     if (!email || !password) {
       return res.status(400).json({ error: '邮箱和密码不能为空' })
     }
+    // 可选的验证码邮箱（IMAP），登录遇到邮箱验证码时自动读取
+    const mailboxError = mailbox ? emailCodeFetcher.validateMailbox(mailbox) : null
+    if (mailboxError) {
+      return res.status(400).json({ error: `邮箱配置无效: ${mailboxError}` })
+    }
+    // 可选的登录配置（代理、User-Agent、语言、时区、窗口大小）
+    const profileError = profile ? loginProfile.validateProfile(profile) : null
+    if (profileError) {
+      return res.status(400).json({ error: `登录配置无效: ${profileError}` })
+    }
+    const secretsError = getSecretsError(mailbox, profile ? loginProfile.normalizeProfile(profile) : null)
+    if (secretsError) {
+      return res.status(400).json({ error: secretsError })
+    }
 
     const exists = dreaminaAccountManager.getAllAccounts().find(item => item.email === email)
     if (exists) {
@@ -50,7 +110,10 @@ router.post('/setAccount', adminKeyVerify, async (req, res) => {
 
     setImmediate(async () => {
       try {
-        const success = await dreaminaAccountManager.addAccount(email, password)
+        const success = await dreaminaAccountManager.addAccount(email, password, {
+          mailbox: mailbox ? emailCodeFetcher.normalizeMailbox(mailbox) : null,
+          loginProfile: profile ? loginProfile.normalizeProfile(profile) : null
+        })
         sse.broadcast('account:add:done', { jobId, email, success })
       } catch (err) {
         logger.error('后台创建账号任务失败', 'DREAMINA', '', err)
@@ -63,6 +126,33 @@ router.post('/setAccount', adminKeyVerify, async (req, res) => {
   }
 })
 
+// 通过 sessionid 导入账户（无密码），expires 可为秒级时间戳或日期字符串
+router.post('/importSession', adminKeyVerify, async (req, res) => {
+  try {
+    const { sessionid, label, expires } = req.body || {}
+    if (!sessionid || typeof sessionid !== 'string') {
+      return res.status(400).json({ error: 'sessionid 不能为空' })
+    }
+
+    let expiresAt = null
+    if (expires !== undefined && expires !== null && expires !== '') {
+      expiresAt = /^\d+$/.test(String(expires)) ? Number(expires) : Math.floor(Date.parse(expires) / 1000)
+      if (!Number.isFinite(expiresAt) || expiresAt <= 0) {
+        return res.status(400).json({ error: 'expires 格式无效' })
+      }
+    }
+
+    const result = await dreaminaAccountManager.importSessionAccount({ sessionid, label, expires: expiresAt })
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error })
+    }
+    res.json({ message: 'sessionid 账号导入成功', email: result.account.email, sessionid_expires: result.account.sessionid_expires })
+  } catch (error) {
+    logger.error('导入 sessionid 账号失败', 'DREAMINA', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 router.delete('/deleteAccount', adminKeyVerify, async (req, res) => {
   try {
     const { email } = req.body
@@ -104,25 +194,33 @@ router.post('/setAccounts', adminKeyVerify, async (req, res) => {
     setImmediate(async () => {
       let successCount = 0
       const failed = []
+      const pending = []
+      const seen = new Set()
 
       for (const line of list) {
         const [email, password] = line.split(':')
         if (!email || !password) continue
 
         const exists = dreaminaAccountManager.getAllAccounts().find(item => item.email === email)
-        if (exists) {
+        if (exists || seen.has(email)) {
           failed.push({ email, reason: 'exists' })
           continue
         }
+        seen.add(email)
+        pending.push({ email, password })
+      }
 
-        try {
-          const ok = await dreaminaAccountManager.addAccount(email, password)
-          if (ok) successCount++
-          else failed.push({ email, reason: 'failed' })
-        } catch (e) {
-          failed.push({ email, reason: e.message || 'failed' })
+      // 登录由登录调度器限流，这里并发提交即可
+      await loginScheduler.runBatch(
+        pending,
+        ({ email, password }) => dreaminaAccountManager.addAccount(email, password),
+        ({ item, error, success, done, total }) => {
+          if (success) successCount++
+          else failed.push({ email: item.email, reason: (error && error.message) || 'failed' })
+          logger.info(`批量添加进度 ${done}/${total}: ${item.email} ${success ? '成功' : '失败'}`, 'DREAMINA')
+          sse.broadcast('account:batchAdd:progress', { jobId, email: item.email, success, done, total })
         }
-      }
+      )
 
       sse.broadcast('account:batchAdd:done', {
         jobId,
@@ -148,6 +246,9 @@ router.post('/refreshAccount', adminKeyVerify, async (req, res) => {
     if (!exists) {
       return res.status(404).json({ error: '账号不存在' })
     }
+    if (exists.refreshable === false) {
+      return res.status(400).json({ error: '该账号通过 sessionid 导入，无法自动刷新，请重新导入' })
+    }
 
     const success = await dreaminaAccountManager.refreshAccount(email)
 
@@ -162,6 +263,94 @@ router.post('/refreshAccount', adminKeyVerify, async (req, res) => {
   }
 })
 
+router.post('/setAccountWeight', adminKeyVerify, async (req, res) => {
+  try {
+    const { email } = req.body
+    const weight = Number(req.body.weight)
+    if (!email) {
+      return res.status(400).json({ error: '邮箱不能为空' })
+    }
+    if (!Number.isFinite(weight) || weight < 0) {
+      return res.status(400).json({ error: '权重必须为非负数' })
+    }
+
+    const exists = dreaminaAccountManager.getAllAccounts().find(item => item.email === email)
+    if (!exists) {
+      return res.status(404).json({ error: '账号不存在' })
+    }
+
+    await dreaminaAccountManager.setAccountWeight(email, weight)
+    res.json({ message: 'Dreamina 账号权重设置成功', email, weight })
+  } catch (error) {
+    logger.error('设置 Dreamina 账号权重失败', 'DREAMINA', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 设置账户的验证码邮箱（IMAP），mailbox 为 null 时清除
+router.post('/setAccountMailbox', adminKeyVerify, async (req, res) => {
+  try {
+    const { email, mailbox } = req.body
+    if (!email) {
+      return res.status(400).json({ error: '邮箱不能为空' })
+    }
+    const mailboxError = mailbox ? emailCodeFetcher.validateMailbox(mailbox) : null
+    if (mailboxError) {
+      return res.status(400).json({ error: `邮箱配置无效: ${mailboxError}` })
+    }
+    const secretsError = getSecretsError(mailbox, null)
+    if (secretsError) {
+      return res.status(400).json({ error: secretsError })
+    }
+
+    const exists = dreaminaAccountManager.getAllAccounts().find(item => item.email === email)
+    if (!exists) {
+      return res.status(404).json({ error: '账号不存在' })
+    }
+
+    await dreaminaAccountManager.setAccountMailbox(email, mailbox ? emailCodeFetcher.normalizeMailbox(mailbox) : null)
+    res.json({ message: mailbox ? '验证码邮箱设置成功' : '验证码邮箱已清除', email })
+  } catch (error) {
+    logger.error('设置验证码邮箱失败', 'DREAMINA', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 设置账户的登录配置（代理、User-Agent、语言、时区、窗口大小），loginProfile 为 null 时清除，下次登录或刷新时生效
+router.post('/setAccountLoginProfile', adminKeyVerify, async (req, res) => {
+  try {
+    const { email, loginProfile: profile } = req.body
+    if (!email) {
+      return res.status(400).json({ error: '邮箱不能为空' })
+    }
+    const profileError = profile ? loginProfile.validateProfile(profile) : null
+    if (profileError) {
+      return res.status(400).json({ error: `登录配置无效: ${profileError}` })
+    }
+    const normalized = profile ? loginProfile.normalizeProfile(profile) : null
+    const secretsError = getSecretsError(null, normalized)
+    if (secretsError) {
+      return res.status(400).json({ error: secretsError })
+    }
+
+    const exists = dreaminaAccountManager.getAllAccounts().find(item => item.email === email)
+    if (!exists) {
+      return res.status(404).json({ error: '账号不存在' })
+    }
+
+    await dreaminaAccountManager.setAccountLoginProfile(email, normalized)
+    res.json({
+      message: profile ? '登录配置设置成功' : '登录配置已清除',
+      email,
+      loginProfile: loginProfile.toPublicProfile(normalized),
+      loginProxy: loginProfile.describeProxy(email, normalized)
+    })
+  } catch (error) {
+    logger.error('设置登录配置失败', 'DREAMINA', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 router.post('/refreshAllAccounts', adminKeyVerify, async (req, res) => {
   try {
     const { thresholdHours = 24 } = req.body
@@ -183,5 +372,229 @@ router.post('/forceRefreshAllAccounts', adminKeyVerify, async (req, res) => {
   }
 })
 
+// 查询账户积分余额：指定 email 时仅查询该账户
+router.post('/refreshCredits', adminKeyVerify, async (req, res) => {
+  try {
+    const { email } = req.body || {}
+    if (email) {
+      const exists = dreaminaAccountManager.getAllAccounts().find(item => item.email === email)
+      if (!exists) {
+        return res.status(404).json({ error: '账号不存在' })
+      }
+      const balance = await dreaminaAccountManager.refreshAccountCredit(email)
+      return res.json({ email, balance, credit: dreaminaAccountManager.getAccountCredit(email) })
+    }
+    const refreshedCount = await dreaminaAccountManager.refreshAllCredits()
+    res.json({ message: '积分查询完成', refreshedCount, credits: dreaminaAccountManager.getCreditStats() })
+  } catch (error) {
+    logger.error('查询账号积分失败', 'CREDIT', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 在线校验 SessionID（需配置 SESSION_VERIFY_URL）：指定 email 时仅校验该账户
+router.post('/verifySessions', adminKeyVerify, async (req, res) => {
+  try {
+    if (!dreaminaAccountManager.sessionVerifier.isEnabled()) {
+      return res.status(400).json({ error: '未配置 SESSION_VERIFY_URL' })
+    }
+    const { email } = req.body || {}
+    if (email) {
+      const exists = dreaminaAccountManager.getAllAccounts().find(item => item.email === email)
+      if (!exists) {
+        return res.status(404).json({ error: '账号不存在' })
+      }
+      const result = await dreaminaAccountManager.verifySession(email)
+      if (!result) {
+        return res.status(400).json({ error: '账号没有 SessionID' })
+      }
+      return res.json({ email, ...result })
+    }
+    const counts = await dreaminaAccountManager.verifyAllSessions()
+    res.json({ message: 'SessionID 校验完成', ...counts, sessions: dreaminaAccountManager.getHealthStats().accounts })
+  } catch (error) {
+    logger.error('校验 SessionID 失败', 'SESSION', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 登录失败诊断：列表（可按 email 过滤）、详情、截图/页面 HTML、删除
+router.get('/loginDiagnostics', adminKeyVerify, async (req, res) => {
+  try {
+    const data = await loginDiagnostics.list(req.query.email || null)
+    res.json({ enabled: loginDiagnostics.isEnabled(), total: data.length, data })
+  } catch (error) {
+    logger.error('获取登录诊断列表失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.get('/loginDiagnostics/:id', adminKeyVerify, async (req, res) => {
+  try {
+    const meta = await loginDiagnostics.get(req.params.id)
+    if (!meta) {
+      return res.status(404).json({ error: '诊断不存在' })
+    }
+    res.json(meta)
+  } catch (error) {
+    logger.error('获取登录诊断失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.get('/loginDiagnostics/:id/:type(screenshot|html)', adminKeyVerify, async (req, res) => {
+  try {
+    const file = await loginDiagnostics.getFile(req.params.id, req.params.type)
+    if (!file) {
+      return res.status(404).json({ error: '诊断文件不存在' })
+    }
+    // 页面 HTML 以纯文本返回，避免在本站域名下执行上游页面脚本
+    res.setHeader('Content-Type', file.contentType)
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    res.setHeader('Cache-Control', 'no-store')
+    return res.sendFile(file.filePath)
+  } catch (error) {
+    logger.error('读取登录诊断文件失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.delete('/loginDiagnostics/:id', adminKeyVerify, async (req, res) => {
+  try {
+    const removed = await loginDiagnostics.remove(req.params.id)
+    if (!removed) {
+      return res.status(404).json({ error: '诊断不存在' })
+    }
+    res.json({ message: '诊断已删除', id: req.params.id })
+  } catch (error) {
+    logger.error('删除登录诊断失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 登录验证人工处理：列表、实时截图、点击、提交邮箱验证码、确认完成、取消
+router.get('/loginChallenges', adminKeyVerify, async (req, res) => {
+  try {
+    const data = loginChallenge.list()
+    res.json({ enabled: loginChallenge.isEnabled(), total: data.length, data })
+  } catch (error) {
+    logger.error('获取登录验证列表失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.get('/loginChallenges/:id/screenshot', adminKeyVerify, async (req, res) => {
+  try {
+    const image = await loginChallenge.screenshot(req.params.id)
+    if (!image) {
+      return res.status(404).json({ error: '登录验证不存在或已结束' })
+    }
+    res.setHeader('Content-Type', 'image/png')
+    res.setHeader('Cache-Control', 'no-store')
+    res.send(image)
+  } catch (error) {
+    logger.error('获取登录验证截图失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.post('/loginChallenges/:id/click', adminKeyVerify, async (req, res) => {
+  try {
+    const { x, y } = req.body || {}
+    if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || y < 0) {
+      return res.status(400).json({ error: 'x 和 y 必须是非负数' })
+    }
+    const found = await loginChallenge.click(req.params.id, x, y)
+    if (!found) {
+      return res.status(404).json({ error: '登录验证不存在或已结束' })
+    }
+    res.json({ message: '已点击', id: req.params.id })
+  } catch (error) {
+    logger.error('登录验证点击失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.post('/loginChallenges/:id/code', adminKeyVerify, async (req, res) => {
+  try {
+    const code = typeof (req.body || {}).code === 'string' ? req.body.code.trim() : ''
+    if (!code) {
+      return res.status(400).json({ error: 'code 不能为空' })
+    }
+    const challenge = loginChallenge.get(req.params.id)
+    if (!challenge) {
+      return res.status(404).json({ error: '登录验证不存在或已结束' })
+    }
+    if (challenge.type !== 'code') {
+      return res.status(400).json({ error: `${challenge.name}不支持提交验证码，请在截图上点击完成后确认` })
+    }
+    await loginChallenge.submitCode(req.params.id, code)
+    res.json({ message: '验证码已提交，继续登录', id: req.params.id })
+  } catch (error) {
+    logger.error('提交登录验证码失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.post('/loginChallenges/:id/resolve', adminKeyVerify, async (req, res) => {
+  try {
+    if (!loginChallenge.resolve(req.params.id)) {
+      return res.status(404).json({ error: '登录验证不存在或已结束' })
+    }
+    res.json({ message: '已确认完成，继续登录', id: req.params.id })
+  } catch (error) {
+    logger.error('确认登录验证失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.delete('/loginChallenges/:id', adminKeyVerify, async (req, res) => {
+  try {
+    if (!loginChallenge.cancel(req.params.id)) {
+      return res.status(404).json({ error: '登录验证不存在或已结束' })
+    }
+    res.json({ message: '已取消，本次登录失败', id: req.params.id })
+  } catch (error) {
+    logger.error('取消登录验证失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 登录流程定义：查看当前生效的定义，或校验后写入 LOGIN_FLOW_FILE 并立即生效
+router.get('/loginFlow', adminKeyVerify, async (req, res) => {
+  try {
+    res.json({ ...loginFlow.getInfo(), actions: loginFlow.ACTIONS })
+  } catch (error) {
+    logger.error('获取登录流程定义失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+router.put('/loginFlow', adminKeyVerify, async (req, res) => {
+  try {
+    const { flow } = req.body || {}
+    const invalid = loginFlow.validateFlow(flow)
+    if (invalid) {
+      return res.status(400).json({ error: `登录流程定义无效: ${invalid}` })
+    }
+    await loginFlow.replaceFlow(flow)
+    logger.info(`登录流程定义已更新（${flow.steps.length} 个步骤）`, 'LOGIN', '📜')
+    res.json({ message: '登录流程定义已更新', ...loginFlow.getInfo() })
+  } catch (error) {
+    logger.error('更新登录流程定义失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 登录调度与浏览器池状态
+router.get('/loginStats', adminKeyVerify, async (req, res) => {
+  try {
+    res.json({ scheduler: loginScheduler.getStats(), browserPool: browserPool.getStats() })
+  } catch (error) {
+    logger.error('获取登录调度状态失败', 'LOGIN', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 module.exports = router
 
@@ -0,0 +1,162 @@
+const express = require('express')
+const axios = require('axios')
+const router = express.Router()
+const { logger } = require('../utils/logger')
+const { apiKeyVerify } = require('../middlewares/authorization')
+const proxyTargets = require('../utils/proxy-target')
+const { sendWithRotation } = require('../utils/session-rotation')
+const translator = require('../utils/openai-translator')
+const dreaminaAccountManager = require('../utils/dreamina-account')
+const assetMirror = require('../utils/asset-mirror')
+const config = require('../config')
+
+// OpenAI 兼容接口错误（携带 HTTP 状态码）
+const openaiError = (status, message, type = 'api_error') => Object.assign(new Error(message), { status, type })
+
+// 上游响应 -> 图片地址；上游失败或未返回图片时抛出 OpenAI 兼容错误
+const extractUrlsOrThrow = (response) => {
+  const urls = translator.extractImageUrls(response.data)
+  if (response.status >= 400 || urls.length === 0) {
+    const message = translator.extractUpstreamError(response.data) || `upstream returned status ${response.status} without images`
+    throw openaiError(response.status >= 400 ? response.status : 502, message)
+  }
+  return urls
+}
+
+/**
+ * 调用上游生图接口（按透传目标路由，使用与透传相同的 sessionId 轮换规则）
+ * @param {Object} jimengRequest - 上游请求体
+ * @param {AbortSignal} signal - 客户端断开时触发（取消排队）
+ * @returns {Promise<Array<string>>} 图片地址
+ */
+const generateImages = async (jimengRequest, signal) => {
+  const route = proxyTargets.resolveTarget(config.openaiImagesUpstreamPath)
+  if (!route) {
+    throw openaiError(503, 'proxy target not configured')
+  }
+  const { target } = route
+
+  const axiosConfig = {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...target.setHeaders },
+    data: jimengRequest,
+    timeout: target.timeoutMs !== null ? target.timeoutMs : config.proxyTimeoutMs,
+    validateStatus: () => true
+  }
+
+  const result = await sendWithRotation({
+    target,
+    path: route.upstreamPath,
+    axiosConfig,
+    signal,
+    beforeAttempt: ({ attempt, targetUrl }) => {
+      logger.network(`REQ[${attempt}] POST -> ${targetUrl}`, 'OPENAI', {
+        model: jimengRequest.model,
+        width: jimengRequest.width,
+        height: jimengRequest.height
+      })
+    },
+    afterResponse: ({ attempt, targetUrl, response, durationMs }) => {
+      logger.network(`RES[${attempt}] ${response.status} <- ${targetUrl} ${durationMs}ms`, 'OPENAI')
+    }
+  })
+  if (!result.response) {
+    throw openaiError(503, 'no available account')
+  }
+  result.release()
+  const urls = extractUrlsOrThrow(result.response)
+  dreaminaAccountManager.recordCreditUsage(result.email, result.response.data)
+  return urls
+}
+
+// 下载图片并转为 base64
+const toB64Items = async (urls) => Promise.all(urls.map(async (url) => {
+  const resp = await axios.get(url, { responseType: 'arraybuffer', timeout: config.proxyTimeoutMs })
+  return { b64_json: Buffer.from(resp.data).toString('base64') }
+}))
+
+// 可选：将图片镜像到本地，镜像失败的保留原地址
+const mirrorImageUrls = async (req, urls) => {
+  if (!assetMirror.isEnabled()) return urls
+  const mapping = await assetMirror.mirrorUrls(urls, `${req.protocol}://${req.get('host')}`)
+  return urls.map(url => mapping.get(url) || url)
+}
+
+// 客户端断开时触发的信号
+const onClientGone = (res) => {
+  const controller = new AbortController()
+  if (res.destroyed) controller.abort()
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort()
+  })
+  return controller.signal
+}
+
+const sendError = (res, e) => {
+  if (e.code === 'ACCOUNT_QUEUE_CANCELLED') return
+  if (e.status) {
+    if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter))
+    return res.status(e.status).json(translator.toErrorBody(e.message, e.type))
+  }
+  logger.error('OpenAI 兼容接口请求失败', 'OPENAI', '', e)
+  if (e.code === 'ECONNABORTED' || (e.message && e.message.toLowerCase().includes('timeout'))) {
+    return res.status(504).json(translator.toErrorBody(`gateway timeout: ${e.message}`, 'api_error'))
+  }
+  return res.status(502).json(translator.toErrorBody(`bad gateway: ${e.message}`, 'api_error'))
+}
+
+router.get('/models', apiKeyVerify, (req, res) => {
+  return res.json({
+    object: 'list',
+    data: config.openaiModels.map(id => ({ id, object: 'model', created: 0, owned_by: 'jimeng' }))
+  })
+})
+
+router.post('/images/generations', apiKeyVerify, async (req, res) => {
+  try {
+    const body = req.body || {}
+    if (typeof body.prompt !== 'string' || !body.prompt.trim()) {
+      return res.status(400).json(translator.toErrorBody('prompt is required'))
+    }
+    const responseFormat = body.response_format || 'url'
+    if (!['url', 'b64_json'].includes(responseFormat)) {
+      return res.status(400).json(translator.toErrorBody('response_format must be url or b64_json'))
+    }
+
+    const n = Math.max(1, parseInt(body.n, 10) || 1)
+    const urls = (await generateImages(translator.toJimengImageRequest(body), onClientGone(res))).slice(0, n)
+    const items = responseFormat === 'b64_json' ? await toB64Items(urls) : (await mirrorImageUrls(req, urls)).map(url => ({ url }))
+    return res.json(translator.toImagesResponse(items))
+  } catch (e) {
+    return sendError(res, e)
+  }
+})
+
+router.post('/chat/completions', apiKeyVerify, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const prompt = translator.extractChatPrompt(body.messages)
+    if (!prompt) {
+      return res.status(400).json(translator.toErrorBody('messages must contain a user message with text'))
+    }
+
+    const model = translator.resolveModel(body.model)
+    const urls = await mirrorImageUrls(req, await generateImages(translator.toJimengImageRequest({ ...body, prompt, model }), onClientGone(res)))
+
+    if (body.stream) {
+      res.setHeader('Content-Type', 'text/event-stream')
+      res.setHeader('Cache-Control', 'no-cache')
+      res.setHeader('Connection', 'keep-alive')
+      translator.toChatCompletionChunks(model, urls).forEach(chunk => {
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`)
+      })
+      res.write('data: [DONE]\n\n')
+      return res.end()
+    }
+    return res.json(translator.toChatCompletion(model, urls))
+  } catch (e) {
+    return sendError(res, e)
+  }
+})
+
+module.exports = router
@@ -3,20 +3,21 @@ const axios = require('axios')
 const router = express.Router()
 const { logger } = require('../utils/logger')
 const { apiKeyVerify, adminKeyVerify } = require('../middlewares/authorization')
-const { getProxyTarget, setProxyTarget } = require('../utils/proxy-target')
+const proxyTargets = require('../utils/proxy-target')
+const BodySpool = require('../utils/body-spool')
+const accountSelector = require('../utils/account-selector')
+const upstreamHealth = require('../utils/upstream-health')
+const { sendWithRotation } = require('../utils/session-rotation')
+const runtimeSettings = require('../utils/runtime-settings')
+const taskAffinity = require('../utils/task-affinity')
 const dreaminaAccountManager = require('../utils/dreamina-account')
+const { captureJsonStream, peekStreamBody } = require('../utils/json-capture')
+const accountQueue = require('../utils/account-queue')
+const failureRules = require('../utils/failure-rules')
+const idempotency = require('../utils/idempotency')
+const assetMirror = require('../utils/asset-mirror')
 const config = require('../config')
 
-let rrIndex = 0
-
-const pickAccount = () => {
-  const all = dreaminaAccountManager.getAllAccounts() || []
-  const available = all.filter(a => a && a.sessionid)
-  if (available.length === 0) return null
-  rrIndex = (rrIndex + 1) % available.length
-  return available[rrIndex]
-}
-
 const setCorsHeaders = (req, res) => {
   // 允许任意来源；如需凭证可改为反射 origin 并设置 Access-Control-Allow-Credentials
   res.setHeader('Access-Control-Allow-Origin', '*')
@@ -26,9 +27,35 @@ const setCorsHeaders = (req, res) => {
   res.setHeader('Access-Control-Max-Age', '600')
 }
 
-// 管理端：获取/设置透传目标地址
+// 将上游响应流直接写回客户端（SSE、chunked、图片/视频等二进制原样透传）
+const pipeUpstreamStream = (req, res, upstream, targetUrl) => {
+  const source = upstream.data
+  // 客户端已断开（'close' 已触发，不会再通知）：直接关闭上游
+  if (res.destroyed) return source.destroy()
+  const ct = String((upstream.headers && upstream.headers['content-type']) || '').toLowerCase()
+
+  res.status(upstream.status)
+  if (ct.includes('text/event-stream')) {
+    // 避免中间层（如 nginx）缓冲事件流
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('X-Accel-Buffering', 'no')
+  }
+  res.flushHeaders && res.flushHeaders()
+
+  source.on('error', (e) => {
+    logger.error(`上游响应流中断 <- ${targetUrl}`, 'PROXY', '', e)
+    res.destroy(e)
+  })
+  // 客户端提前断开时停止读取上游
+  res.on('close', () => {
+    if (!res.writableFinished) source.destroy()
+  })
+  source.pipe(res)
+}
+
+// 管理端：获取/设置透传目标地址（兼容旧接口，对应名为 default 的兜底目标）
 router.get('/proxy/target', adminKeyVerify, async (req, res) => {
-  return res.json({ target: getProxyTarget() })
+  return res.json({ target: proxyTargets.getProxyTarget() })
 })
 
 router.post('/proxy/target', adminKeyVerify, async (req, res) => {
@@ -37,15 +64,140 @@ router.post('/proxy/target', adminKeyVerify, async (req, res) => {
     if (typeof target !== 'string') {
       return res.status(400).json({ error: 'target must be string' })
     }
-    setProxyTarget(target.trim())
-    logger.info(`已更新透传目标地址 -> ${getProxyTarget()}`, 'PROXY')
-    return res.json({ target: getProxyTarget() })
+    if (target.trim() && !/^https?:\/\//i.test(target.trim())) {
+      return res.status(400).json({ error: 'target must be http(s) url' })
+    }
+    proxyTargets.setProxyTarget(target.trim())
+    await runtimeSettings.saveSettings()
+    logger.info(`已更新透传目标地址 -> ${proxyTargets.getProxyTarget()}`, 'PROXY')
+    return res.json({ target: proxyTargets.getProxyTarget() })
   } catch (e) {
     logger.error('更新透传目标地址失败', 'PROXY', '', e)
     return res.status(500).json({ error: 'update target failed' })
   }
 })
 
+// 管理端：透传目标路由表 CRUD（附带目标组各成员的健康状态）
+router.get('/proxy/targets', adminKeyVerify, async (req, res) => {
+  const data = proxyTargets.listTargets().map(t => ({
+    ...t,
+    health: proxyTargets.getTargetMembers(t).map(upstreamHealth.getUpstreamHealth)
+  }))
+  return res.json({ data })
+})
+
+router.post('/proxy/targets', adminKeyVerify, async (req, res) => {
+  try {
+    const def = req.body || {}
+    const error = proxyTargets.validateTarget(def)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    if (proxyTargets.getTarget(def.name)) {
+      return res.status(409).json({ error: 'target already exists' })
+    }
+    const target = proxyTargets.addTarget(def)
+    await runtimeSettings.saveSettings()
+    logger.info(`已添加透传目标 ${target.name} -> ${target.baseUrl}`, 'PROXY')
+    return res.status(201).json(target)
+  } catch (e) {
+    logger.error('添加透传目标失败', 'PROXY', '', e)
+    return res.status(500).json({ error: 'add target failed' })
+  }
+})
+
+router.put('/proxy/targets/:name', adminKeyVerify, async (req, res) => {
+  try {
+    const def = { ...(req.body || {}), name: (req.body && req.body.name) || req.params.name }
+    const error = proxyTargets.validateTarget(def)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    if (!proxyTargets.getTarget(req.params.name)) {
+      return res.status(404).json({ error: 'target not found' })
+    }
+    if (def.name !== req.params.name && proxyTargets.getTarget(def.name)) {
+      return res.status(409).json({ error: 'target already exists' })
+    }
+    const target = proxyTargets.updateTarget(req.params.name, def)
+    await runtimeSettings.saveSettings()
+    logger.info(`已更新透传目标 ${target.name} -> ${target.baseUrl}`, 'PROXY')
+    return res.json(target)
+  } catch (e) {
+    logger.error('更新透传目标失败', 'PROXY', '', e)
+    return res.status(500).json({ error: 'update target failed' })
+  }
+})
+
+router.delete('/proxy/targets/:name', adminKeyVerify, async (req, res) => {
+  try {
+    if (!proxyTargets.removeTarget(req.params.name)) {
+      return res.status(404).json({ error: 'target not found' })
+    }
+    await runtimeSettings.saveSettings()
+    logger.info(`已删除透传目标 ${req.params.name}`, 'PROXY')
+    return res.json({ message: 'target deleted', name: req.params.name })
+  } catch (e) {
+    logger.error('删除透传目标失败', 'PROXY', '', e)
+    return res.status(500).json({ error: 'delete target failed' })
+  }
+})
+
+// 管理端：查看任务绑定配置与统计
+router.get('/proxy/affinity', adminKeyVerify, async (req, res) => {
+  return res.json(taskAffinity.getAffinityStats())
+})
+
+// 账户等待队列：队列深度、等待时长与拒绝统计
+router.get('/proxy/queue', adminKeyVerify, async (req, res) => {
+  const usage = accountSelector.getSelectorState().usage
+  const inFlight = Object.fromEntries(Object.entries(usage).map(([email, stats]) => [email, stats.inFlight]))
+  return res.json({ ...accountQueue.getQueueStats(), inFlight })
+})
+
+// 管理端：查看/切换账户选择策略
+router.get('/proxy/strategy', adminKeyVerify, async (req, res) => {
+  return res.json(accountSelector.getSelectorState())
+})
+
+router.post('/proxy/strategy', adminKeyVerify, async (req, res) => {
+  try {
+    const { strategy } = req.body || {}
+    if (typeof strategy !== 'string' || !accountSelector.listStrategies().some(s => s.name === strategy)) {
+      return res.status(400).json({ error: 'invalid strategy', available: accountSelector.listStrategies() })
+    }
+    accountSelector.setStrategy(strategy)
+    await runtimeSettings.saveSettings()
+    logger.info(`已切换账户选择策略 -> ${strategy}`, 'PROXY')
+    return res.json(accountSelector.getSelectorState())
+  } catch (e) {
+    logger.error('切换账户选择策略失败', 'PROXY', '', e)
+    return res.status(500).json({ error: 'update strategy failed' })
+  }
+})
+
+// 管理端：查看/替换上游失败分类规则（按顺序首条命中生效）
+router.get('/proxy/failure-rules', adminKeyVerify, async (req, res) => {
+  return res.json({ rules: failureRules.listRules(), actions: failureRules.ACTIONS })
+})
+
+router.put('/proxy/failure-rules', adminKeyVerify, async (req, res) => {
+  try {
+    const { rules } = req.body || {}
+    const error = failureRules.validateRules(rules)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    failureRules.replaceRules(rules)
+    await runtimeSettings.saveSettings()
+    logger.info(`已更新失败分类规则（${rules.length} 条）`, 'PROXY')
+    return res.json({ rules: failureRules.listRules(), actions: failureRules.ACTIONS })
+  } catch (e) {
+    logger.error('更新失败分类规则失败', 'PROXY', '', e)
+    return res.status(500).json({ error: 'update failure rules failed' })
+  }
+})
+
 // 处理跨域预检请求（不要求鉴权）
 router.options('*', (req, res) => {
   setCorsHeaders(req, res)
@@ -54,22 +206,47 @@ router.options('*', (req, res) => {
 
 // 透传 /api/* 到目标，仅校验 Authorization，其余 header 与 body 透传
 router.all('*', apiKeyVerify, async (req, res) => {
+  // 释放最终响应所占用的账户（统计进行中请求数）
+  let releaseAccount = () => {}
+  // 幂等键占用凭据：请求未能得到可保存的响应时释放
+  let idempotent = null
   try {
-    const base = getProxyTarget()
-    if (!base) {
-      setCorsHeaders(req, res)
-      return res.status(503).json({ error: 'proxy target not configured' })
-    }
-
     // 跳过本服务已占用的子路由，防止递归或误伤
     if (req.path.startsWith('/dreamina') || req.path.startsWith('/events')) {
       return res.status(404).json({ error: 'not found' })
     }
 
-    // 构建目标 URL: 去除 /api 前缀
+    // 按路径匹配透传目标
+    const route = proxyTargets.resolveTarget(req.path)
+    if (!route) {
+      setCorsHeaders(req, res)
+      return res.status(503).json({ error: 'proxy target not configured' })
+    }
+    const { target } = route
+
+    // 构建目标 URL: 去除 /api 前缀（及目标配置的路径前缀），保留查询串
+    // 目标组内多个等价上游时，每次尝试按健康状态选择 baseUrl
     const originalPath = req.originalUrl || req.url || ''
-    const pathWithoutApi = originalPath.replace(/^\/api/, '')
-    const targetUrl = base.replace(/\/$/, '') + pathWithoutApi
+    const queryIndex = originalPath.indexOf('?')
+    const queryString = queryIndex === -1 ? '' : originalPath.slice(queryIndex)
+    let targetUrl = target.baseUrl + route.upstreamPath + queryString
+
+    // 幂等键：重复请求等待首个请求完成或重放其响应，避免重复创建上游任务
+    const idempotencyKey = idempotency.getKey(req)
+    if (idempotencyKey) {
+      const timeoutMs = target.timeoutMs !== null ? target.timeoutMs : config.proxyTimeoutMs
+      const claim = await idempotency.claim(idempotencyKey, `${req.method} ${target.name} ${route.upstreamPath}${queryString}`, timeoutMs + 60 * 1000)
+      if (claim.state === 'replay') {
+        logger.info(`幂等键重复请求，重放已保存的响应 ${req.method} ${req.path}`, 'PROXY', '🔁')
+        setCorsHeaders(req, res)
+        return idempotency.replay(res, claim.record)
+      }
+      if (claim.state === 'conflict') {
+        setCorsHeaders(req, res)
+        return res.status(409).json({ error: claim.reason })
+      }
+      idempotent = claim
+    }
 
     // 复制并覆盖 headers，仅替换 Authorization
     const incomingHeaders = { ...req.headers }
@@ -79,9 +256,14 @@ router.all('*', apiKeyVerify, async (req, res) => {
       const H = h.charAt(0).toUpperCase() + h.slice(1)
       if (incomingHeaders[H]) delete incomingHeaders[H]
     })
+    // 按目标配置改写请求头
+    Object.keys(incomingHeaders).forEach(h => {
+      if (target.removeHeaders.includes(h.toLowerCase())) delete incomingHeaders[h]
+    })
     // 注意：authorization 在重试时动态写入（切换 sessionId）
     const headers = {
-      ...incomingHeaders
+      ...incomingHeaders,
+      ...target.setHeaders
     }
 
     const axiosConfig = {
@@ -91,7 +273,7 @@ router.all('*', apiKeyVerify, async (req, res) => {
       // 对于 GET/HEAD 不发送 data
       data: ['GET', 'HEAD'].includes(req.method.toUpperCase()) ? undefined : req.body,
       // 保持超时适中，避免长挂
-      timeout: config.proxyTimeoutMs,
+      timeout: target.timeoutMs !== null ? target.timeoutMs : config.proxyTimeoutMs,
       // 允许返回任意状态码，由我们转发
       validateStatus: () => true
     }
@@ -142,105 +324,142 @@ router.all('*', apiKeyVerify, async (req, res) => {
       axiosConfig.maxContentLength = Infinity
     } catch (_) {}
 
-    // 基于状态码的 sessionId 轮换重试
-    // 触发条件：上游响应为 429/400/401/504
-    // 注意：当请求体为流（如 multipart/octet），无法安全重试
+    // 流式模式：不解码、不解压，字节原样转发（content-encoding 等响应头随之透传）
+    const streamMode = config.proxyStream
+    if (streamMode) {
+      axiosConfig.responseType = 'stream'
+      axiosConfig.decompress = false
+    }
+
+    // 原始流请求体：开启暂存后先完整读出，每次重试重放同一份字节
+    let spool = null
+    if (axiosConfig.data === req && config.proxySpoolBody) {
+      spool = await BodySpool.fromStream(req, {
+        memoryLimit: config.proxySpoolMemoryLimit,
+        tmpDir: config.proxySpoolDir || undefined
+      })
+      res.on('close', () => spool.cleanup())
+      headers['content-length'] = String(spool.size)
+    }
+
+    // 基于失败分类规则的 sessionId 轮换重试（规则见 session-rotation / failure-rules）
+    // 注意：当请求体为未暂存的流（如 multipart/octet），无法安全重试
     {
-      const retryStatuses = new Set([400, 401, 429, 504])
-      const maxRetries = Number.isFinite(config.proxyMaxRetry) ? config.proxyMaxRetry : 5
-      const canRetryBody = axiosConfig.data !== req
-
-      let attempt = 0
-      let finalResp = null
-      let lastStatusForLog = null
-
-      while (true) {
-        const accountForAttempt = pickAccount()
-        if (!accountForAttempt || !accountForAttempt.sessionid) {
-          setCorsHeaders(req, res)
-          return res.status(503).json({ error: 'no available account' })
-        }
-        const sid = accountForAttempt.sessionid.startsWith('us-') ? accountForAttempt.sessionid : `us-${accountForAttempt.sessionid}`
-        headers.authorization = `Bearer ${sid}`
-
-        // 透传请求日志（脱敏）
-        const _safeHeaders2 = { ...(headers || {}) }
-        if (_safeHeaders2.authorization) _safeHeaders2.authorization = 'Bearer ****'
-        if (_safeHeaders2.Authorization) _safeHeaders2.Authorization = 'Bearer ****'
-        if (_safeHeaders2.cookie) _safeHeaders2.cookie = '****'
-        if (_safeHeaders2.Cookie) _safeHeaders2.Cookie = '****'
-        const _bodySize2 = (() => {
-          try {
-            if (!axiosConfig.data) return 0
-            if (typeof axiosConfig.data === 'string') return Buffer.byteLength(axiosConfig.data)
-            return Buffer.byteLength(JSON.stringify(axiosConfig.data))
-          } catch (_) { return -1 }
-        })()
-        const _reqBodySnippet2 = (() => {
-          if (!config.proxyLogBody) return undefined
-          try {
-            if (!axiosConfig.data) return ''
-            if (Buffer.isBuffer(axiosConfig.data)) return '[buffer omitted]'
-            const raw = typeof axiosConfig.data === 'string' ? axiosConfig.data : JSON.stringify(axiosConfig.data)
-            const max = Number.isFinite(config.proxyLogBodyMax) ? config.proxyLogBodyMax : 2048
-            return raw.length > max ? `${raw.slice(0, max)}...(${raw.length}B)` : raw
-          } catch (_) { return '[unserializable]' }
-        })()
-        logger.network(`REQ[${attempt}] ${req.method} -> ${targetUrl}`, 'PROXY', {
-          headers: _safeHeaders2,
-          bodySize: _bodySize2,
-          bodySnippet: _reqBodySnippet2
-        })
+      const canRetryBody = axiosConfig.data !== req || !!spool
+      // 携带已知任务 ID 的请求固定使用创建任务的账户，此时切换 sessionId 重试无意义
+      const pinnedEmail = await taskAffinity.findPinnedEmail({
+        path: route.upstreamPath,
+        query: req.query,
+        body: axiosConfig.data
+      })
 
-        const _start = Date.now()
-        const resp = await axios(axiosConfig)
-        lastStatusForLog = resp.status
-
-        // 响应日志摘要
-        const _durationMs = Date.now() - _start
-        const _contentType = (resp.headers && (resp.headers['content-type'] || resp.headers['Content-Type'])) || ''
-        const _respSize = (() => {
-          try {
-            if (resp.headers && (resp.headers['content-length'] || resp.headers['Content-Length'])) {
-              return parseInt(resp.headers['content-length'] || resp.headers['Content-Length'], 10)
-            }
-            const d = resp.data
-            if (!d) return 0
-            if (Buffer.isBuffer(d)) return d.length
-            if (typeof d === 'string') return Buffer.byteLength(d)
-            return Buffer.byteLength(JSON.stringify(d))
-          } catch (_) { return -1 }
-        })()
-        const _respSnippet = (() => {
-          if (!config.proxyLogBody) return undefined
-          try {
-            const ct = String(_contentType || '').toLowerCase()
-            if (!ct.includes('json') && !ct.startsWith('text/')) return '[non-text content omitted]'
-            const d = resp.data
-            if (Buffer.isBuffer(d)) return '[buffer omitted]'
-            const raw = typeof d === 'string' ? d : JSON.stringify(d)
-            const max = Number.isFinite(config.proxyLogBodyMax) ? config.proxyLogBodyMax : 2048
-            return raw.length > max ? `${raw.slice(0, max)}...(${raw.length}B)` : raw
-          } catch (_) { return '[unserializable]' }
-        })()
-        logger.network(`RES[${attempt}] ${resp.status} <- ${targetUrl} ${_durationMs}ms`, 'PROXY', {
-          contentType: _contentType,
-          respSize: _respSize,
-          bodySnippet: _respSnippet
-        })
+      // 客户端断开时取消排队，避免已离开的请求仍占用账户名额
+      // 前面的 await 期间客户端可能已断开（'close' 已触发），此时直接取消
+      const clientGone = new AbortController()
+      if (res.destroyed) clientGone.abort()
+      res.on('close', () => {
+        if (!res.writableEnded) clientGone.abort()
+      })
 
-        if (retryStatuses.has(resp.status) && attempt < maxRetries && canRetryBody) {
-          attempt += 1
-          logger.warn(`上游状态 ${resp.status}，切换 sessionId 重试（第 ${attempt}/${maxRetries} 次）`, 'PROXY')
-          continue
+      const result = await sendWithRotation({
+        target,
+        path: route.upstreamPath + queryString,
+        axiosConfig,
+        canRetry: canRetryBody,
+        pinnedEmail,
+        signal: clientGone.signal,
+        beforeAttempt: ({ attempt, targetUrl: attemptUrl }) => {
+          targetUrl = attemptUrl
+          if (spool) axiosConfig.data = spool.toBody()
+
+          // 透传请求日志（脱敏）
+          const _safeHeaders2 = { ...(headers || {}) }
+          if (_safeHeaders2.authorization) _safeHeaders2.authorization = 'Bearer ****'
+          if (_safeHeaders2.Authorization) _safeHeaders2.Authorization = 'Bearer ****'
+          if (_safeHeaders2.cookie) _safeHeaders2.cookie = '****'
+          if (_safeHeaders2.Cookie) _safeHeaders2.Cookie = '****'
+          const _bodySize2 = (() => {
+            try {
+              if (spool) return spool.size
+              if (!axiosConfig.data) return 0
+              if (typeof axiosConfig.data === 'string') return Buffer.byteLength(axiosConfig.data)
+              return Buffer.byteLength(JSON.stringify(axiosConfig.data))
+            } catch (_) { return -1 }
+          })()
+          const _reqBodySnippet2 = (() => {
+            if (!config.proxyLogBody) return undefined
+            try {
+              if (!axiosConfig.data) return ''
+              if (spool) return '[spooled body omitted]'
+              if (Buffer.isBuffer(axiosConfig.data)) return '[buffer omitted]'
+              const raw = typeof axiosConfig.data === 'string' ? axiosConfig.data : JSON.stringify(axiosConfig.data)
+              const max = Number.isFinite(config.proxyLogBodyMax) ? config.proxyLogBodyMax : 2048
+              return raw.length > max ? `${raw.slice(0, max)}...(${raw.length}B)` : raw
+            } catch (_) { return '[unserializable]' }
+          })()
+          logger.network(`REQ[${attempt}] ${req.method} -> ${attemptUrl}`, 'PROXY', {
+            headers: _safeHeaders2,
+            bodySize: _bodySize2,
+            bodySnippet: _reqBodySnippet2
+          })
+        },
+        afterResponse: ({ attempt, targetUrl: attemptUrl, response: resp, durationMs: _durationMs }) => {
+          // 响应日志摘要
+          const _contentType = (resp.headers && (resp.headers['content-type'] || resp.headers['Content-Type'])) || ''
+          const _respSize = (() => {
+            try {
+              if (resp.headers && (resp.headers['content-length'] || resp.headers['Content-Length'])) {
+                return parseInt(resp.headers['content-length'] || resp.headers['Content-Length'], 10)
+              }
+              // 流式响应（chunked）长度未知
+              if (streamMode) return -1
+              const d = resp.data
+              if (!d) return 0
+              if (Buffer.isBuffer(d)) return d.length
+              if (typeof d === 'string') return Buffer.byteLength(d)
+              return Buffer.byteLength(JSON.stringify(d))
+            } catch (_) { return -1 }
+          })()
+          const _respSnippet = (() => {
+            if (!config.proxyLogBody) return undefined
+            try {
+              const ct = String(_contentType || '').toLowerCase()
+              if (!ct.includes('json') && !ct.startsWith('text/')) return '[non-text content omitted]'
+              if (streamMode) return '[stream omitted]'
+              const d = resp.data
+              if (Buffer.isBuffer(d)) return '[buffer omitted]'
+              const raw = typeof d === 'string' ? d : JSON.stringify(d)
+              const max = Number.isFinite(config.proxyLogBodyMax) ? config.proxyLogBodyMax : 2048
+              return raw.length > max ? `${raw.slice(0, max)}...(${raw.length}B)` : raw
+            } catch (_) { return '[unserializable]' }
+          })()
+          logger.network(`RES[${attempt}] ${resp.status} <- ${attemptUrl} ${_durationMs}ms`, 'PROXY', {
+            contentType: _contentType,
+            respSize: _respSize,
+            bodySnippet: _respSnippet
+          })
         }
+      })
 
-        finalResp = resp
-        break
+      const finalResp = result.response
+      if (!finalResp) {
+        if (idempotent) idempotent.abort()
+        setCorsHeaders(req, res)
+        return res.status(503).json({ error: 'no available account' })
+      }
+      // 响应完整写回（或客户端断开）后才算请求结束
+      releaseAccount = result.release
+      if (res.destroyed) {
+        // 客户端在等待上游期间已断开，'close' 不会再触发：立即释放账户并丢弃上游响应
+        releaseAccount()
+        if (idempotent) idempotent.abort()
+        if (streamMode) finalResp.data.destroy()
+        return
       }
+      res.on('close', releaseAccount)
 
       // 透传最终响应
-      Object.entries((finalResp && finalResp.headers) || {}).forEach(([k, v]) => {
+      Object.entries(finalResp.headers || {}).forEach(([k, v]) => {
         const _skip = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade']
         if (!_skip.includes(String(k || '').toLowerCase())) {
           try { res.setHeader(k, v) } catch (_) {}
@@ -248,10 +467,32 @@ router.all('*', apiKeyVerify, async (req, res) => {
       })
       setCorsHeaders(req, res)
 
-      if (!finalResp) {
-        return res.status(502).json({ error: 'bad gateway', detail: `no response, last status: ${lastStatusForLog || 'unknown'}` })
+      // 从成功响应中学习任务 ID（绑定到最终使用的账户）并扣减报告的积分消耗
+      const inspectResponse = (body) => {
+        taskAffinity.learnFromResponse(body, result.email)
+        dreaminaAccountManager.recordCreditUsage(result.email, body)
+      }
+
+      // 可选：将响应中的生成资源镜像到本地并改写地址（改写后的响应整体返回）
+      if (finalResp.status < 400 && assetMirror.isEnabled()) {
+        const body = streamMode ? await peekStreamBody(finalResp) : finalResp.data
+        if (body && typeof body === 'object' && await assetMirror.rewriteResponse(body, `${req.protocol}://${req.get('host')}`) > 0) {
+          res.removeHeader('content-encoding')
+          res.removeHeader('content-length')
+          inspectResponse(body)
+          if (idempotent) idempotency.recordBuffered(idempotent, finalResp.status, res, body)
+          return res.status(finalResp.status).json(body)
+        }
       }
 
+      if (streamMode) {
+        if (finalResp.status < 400) captureJsonStream(finalResp, inspectResponse)
+        if (idempotent) idempotency.recordStream(idempotent, finalResp, res)
+        return pipeUpstreamStream(req, res, finalResp, targetUrl)
+      }
+
+      if (finalResp.status < 400) inspectResponse(finalResp.data)
+      if (idempotent) idempotency.recordBuffered(idempotent, finalResp.status, res, finalResp.data)
       return res.status(finalResp.status).send(finalResp.data)
     }
 
@@ -333,8 +574,16 @@ router.all('*', apiKeyVerify, async (req, res) => {
 
     return res.status(resp.status).send(resp.data)
   } catch (e) {
-    logger.error('代理转发失败', 'PROXY', '', e)
+    releaseAccount()
+    if (idempotent) idempotent.abort()
+    if (e.code === 'ACCOUNT_QUEUE_CANCELLED') return
     setCorsHeaders(req, res)
+    if (e.retryAfter) {
+      // 账户等待队列已满或排队超时
+      res.setHeader('Retry-After', String(e.retryAfter))
+      return res.status(e.status).json({ error: e.message })
+    }
+    logger.error('代理转发失败', 'PROXY', '', e)
     if (e.code === 'ECONNABORTED' || (e.message && e.message.toLowerCase().includes('timeout'))) {
       return res.status(504).json({ error: 'gateway timeout', detail: e.message })
     }
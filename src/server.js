@@ -9,6 +9,8 @@ const fs = require('fs')
 const verifyRouter = require('./routes/verify.js')
 const dreaminaAccountsRouter = require('./routes/dreamina-accounts.js')
 const proxyRouter = require('./routes/proxy.js')
+const openaiRouter = require('./routes/openai.js')
+const assetsRouter = require('./routes/assets.js')
 const { addClient: addSseClient } = require('./utils/sse')
 const { validateApiKey } = require('./middlewares/authorization')
 
@@ -47,6 +49,12 @@ app.get('/api/events', (req, res) => {
   }
 })
 
+// OpenAI 兼容接口（生图、对话、模型列表）
+app.use('/v1', openaiRouter)
+
+// 本地镜像的生成资源（地址不可猜测，无需鉴权，便于客户端直接引用）
+app.use('/assets', assetsRouter)
+
 // 通用 API 透传（放在本地 API 之后，避免覆盖内部路由）
 app.use('/api', proxyRouter)
 
@@ -99,15 +99,14 @@ if (instances === 1) {
     logger.info(`工作进程启动 - PID: ${process.pid}`, 'WORKER')
     require('./server.js')
 
-    // 工作进程优雅关闭处理
+    // 工作进程优雅关闭处理：此处只记录日志，不直接退出，
+    // 由账户管理器关闭浏览器池后退出（见 utils/dreamina-account.js）
     process.on('SIGTERM', () => {
       logger.info(`工作进程 ${process.pid} 收到SIGTERM信号，正在关闭...`, 'WORKER')
-      process.exit(0)
     })
 
     process.on('SIGINT', () => {
       logger.info(`工作进程 ${process.pid} 收到SIGINT信号，正在关闭...`, 'WORKER')
-      process.exit(0)
     })
   }
 }
@@ -0,0 +1,167 @@
+const { logger } = require('./logger')
+
+/**
+ * 账户健康状态管理
+ * - 冷却：上游 429 后账户在冷却期内不参与选择
+ * - 熔断：连续失败达到阈值后熔断打开，到期后进入半开状态，仅放行一个探测请求
+ *   探测成功则关闭熔断，失败则重新打开
+ */
+class AccountHealth {
+  constructor(options = {}) {
+    this.cooldownMs = Number.isFinite(options.cooldownMs) ? options.cooldownMs : 60000
+    this.failureThreshold = Number.isFinite(options.failureThreshold) ? options.failureThreshold : 3
+    this.openMs = Number.isFinite(options.openMs) ? options.openMs : 300000
+    this.states = new Map()
+  }
+
+  /**
+   * 获取（必要时创建）账户状态
+   * @private
+   */
+  _getState(email) {
+    let state = this.states.get(email)
+    if (!state) {
+      state = {
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        circuit: 'closed',
+        circuitRetryAt: 0,
+        probing: false,
+        lastStatus: null,
+        lastFailureAt: 0
+      }
+      this.states.set(email, state)
+    }
+    return state
+  }
+
+  /**
+   * 账户当前能否被选中（不改变状态）
+   * @param {string} email - 账户邮箱
+   * @returns {boolean}
+   */
+  isSelectable(email) {
+    const state = this.states.get(email)
+    if (!state) return true
+
+    const now = Date.now()
+    if (state.cooldownUntil > now) return false
+    if (state.circuit === 'open') return now >= state.circuitRetryAt
+    if (state.circuit === 'half-open') return !state.probing
+    return true
+  }
+
+  /**
+   * 账户被选中用于一次请求；熔断到期时该请求即为半开探测
+   * @param {string} email - 账户邮箱
+   */
+  claim(email) {
+    const state = this.states.get(email)
+    if (!state || state.circuit === 'closed') return
+
+    if (state.circuit === 'open' && Date.now() >= state.circuitRetryAt) {
+      state.circuit = 'half-open'
+    }
+    if (state.circuit === 'half-open') {
+      state.probing = true
+      logger.info(`账户 ${email} 熔断半开，发送探测请求`, 'HEALTH', '🩺')
+    }
+  }
+
+  /**
+   * 记录一次上游响应结果
+   * @param {string} email - 账户邮箱
+   * @param {number|null} status - 上游状态码；null 表示与账户无关的失败（如连接错误、客户端断开）
+   * @param {Object} headers - 上游响应头（用于读取 Retry-After）
+   */
+  record(email, status, headers = {}) {
+    const state = this._getState(email)
+    state.lastStatus = status
+
+    if (status === 429 || status === 401) {
+      this._recordFailure(email, state, status, headers)
+    } else if (status !== null && status < 400) {
+      if (state.circuit !== 'closed') {
+        logger.success(`账户 ${email} 探测成功，熔断关闭`, 'HEALTH')
+      }
+      state.consecutiveFailures = 0
+      state.circuit = 'closed'
+      state.probing = false
+    } else {
+      // 与账户健康无关的结果：释放半开探测名额，保持原状态
+      state.probing = false
+    }
+  }
+
+  /**
+   * @private
+   */
+  _recordFailure(email, state, status, headers) {
+    const now = Date.now()
+    state.consecutiveFailures += 1
+    state.lastFailureAt = now
+
+    if (status === 429) {
+      const retryAfterSec = parseInt((headers && (headers['retry-after'] || headers['Retry-After'])) || '', 10)
+      const retryAfterMs = Number.isFinite(retryAfterSec) ? retryAfterSec * 1000 : 0
+      state.cooldownUntil = now + Math.max(this.cooldownMs, retryAfterMs)
+      logger.warn(`账户 ${email} 被限流，冷却 ${Math.round((state.cooldownUntil - now) / 1000)} 秒`, 'HEALTH')
+    }
+
+    if (state.circuit === 'half-open' || state.consecutiveFailures >= this.failureThreshold) {
+      if (state.circuit !== 'open') {
+        logger.warn(`账户 ${email} 连续失败 ${state.consecutiveFailures} 次，熔断打开 ${Math.round(this.openMs / 1000)} 秒`, 'HEALTH')
+      }
+      state.circuit = 'open'
+      state.circuitRetryAt = now + this.openMs
+    }
+    state.probing = false
+  }
+
+  /**
+   * 暂停账户一段时间（如失败分类规则判定积分不足、账号封禁）
+   * @param {string} email - 账户邮箱
+   * @param {number} durationMs - 暂停时长，未指定时使用冷却时长
+   * @param {string} reason - 原因（用于日志）
+   */
+  bench(email, durationMs, reason = '') {
+    const state = this._getState(email)
+    const ms = Number.isFinite(durationMs) ? durationMs : this.cooldownMs
+    state.cooldownUntil = Math.max(state.cooldownUntil, Date.now() + ms)
+    state.probing = false
+    logger.warn(`账户 ${email} 暂停 ${Math.round(ms / 1000)} 秒${reason ? `（${reason}）` : ''}`, 'HEALTH')
+  }
+
+  /**
+   * 获取账户健康快照（供管理端展示）
+   * @param {string} email - 账户邮箱
+   * @returns {Object}
+   */
+  getSnapshot(email) {
+    const state = this.states.get(email)
+    if (!state) {
+      return { benched: false, circuit: 'closed', consecutiveFailures: 0, benchedUntil: 0, cooldownRemainingMs: 0 }
+    }
+
+    const now = Date.now()
+    const benchedUntil = Math.max(state.cooldownUntil, state.circuit === 'open' ? state.circuitRetryAt : 0)
+    return {
+      benched: !this.isSelectable(email),
+      circuit: state.circuit,
+      consecutiveFailures: state.consecutiveFailures,
+      lastStatus: state.lastStatus,
+      benchedUntil,
+      cooldownRemainingMs: Math.max(0, benchedUntil - now)
+    }
+  }
+
+  /**
+   * 清除账户状态（账户被删除时调用）
+   * @param {string} email - 账户邮箱
+   */
+  forget(email) {
+    this.states.delete(email)
+  }
+}
+
+module.exports = AccountHealth
@@ -0,0 +1,134 @@
+const config = require('../config')
+const { logger } = require('./logger')
+
+/**
+ * 账户等待队列
+ * 所有可用账户的进行中请求数都达到上限时，请求按先进先出排队等待空闲账户，
+ * 超过队列长度或等待超时则拒绝（携带 Retry-After）；客户端断开时立即离开队列
+ */
+
+// 保留最近的等待时长样本用于统计
+const WAIT_SAMPLE_SIZE = 200
+// 排队请求在未收到通知时的重新检查间隔（冷却结束、积分刷新等不会主动通知）
+const RECHECK_INTERVAL_MS = 1000
+
+const waiters = []
+const waitSamples = []
+const counters = { served: 0, rejectedFull: 0, timedOut: 0, cancelled: 0 }
+
+// 排队被拒绝的错误（携带 HTTP 状态码与 Retry-After 秒数）
+const queueError = (message, code) => Object.assign(new Error(message), {
+  code,
+  status: 503,
+  retryAfter: config.accountQueueRetryAfterSec
+})
+
+// 客户端已断开，取消排队
+const checkCancelled = (signal) => {
+  if (!signal || !signal.aborted) return
+  counters.cancelled += 1
+  logger.info('客户端已断开，取消排队', 'QUEUE')
+  throw Object.assign(new Error('client disconnected'), { code: 'ACCOUNT_QUEUE_CANCELLED' })
+}
+
+/**
+ * 加入队尾
+ * @returns {Object} 排队凭据
+ */
+const enqueue = () => {
+  if (waiters.length >= config.accountQueueMax) {
+    counters.rejectedFull += 1
+    logger.warn(`账户等待队列已满（${waiters.length}），拒绝请求`, 'QUEUE')
+    throw queueError('account queue full', 'ACCOUNT_QUEUE_FULL')
+  }
+  const waiter = { enqueuedAt: Date.now(), wake: null }
+  waiters.push(waiter)
+  return waiter
+}
+
+/**
+ * 是否轮到该请求取账户：排队中的请求需位于队首；未排队的请求仅在队列为空时可直接取
+ * @param {Object|null} waiter - 排队凭据
+ * @returns {boolean}
+ */
+const isTurn = (waiter) => (waiter ? waiters[0] === waiter : waiters.length === 0)
+
+/**
+ * 等待被唤醒或到达重新检查时间；超时或客户端断开则抛出错误
+ * @param {Object} waiter - 排队凭据
+ * @param {AbortSignal|null} signal - 客户端断开时触发
+ */
+const waitTurn = async (waiter, signal = null) => {
+  checkCancelled(signal)
+  const remaining = config.accountQueueTimeoutMs - (Date.now() - waiter.enqueuedAt)
+  if (remaining <= 0) {
+    counters.timedOut += 1
+    logger.warn(`排队等待账户超时（${config.accountQueueTimeoutMs}ms）`, 'QUEUE')
+    throw queueError('account queue timeout', 'ACCOUNT_QUEUE_TIMEOUT')
+  }
+  await new Promise(resolve => {
+    const wake = () => {
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', wake)
+      resolve()
+    }
+    const timer = setTimeout(wake, Math.min(RECHECK_INTERVAL_MS, remaining))
+    waiter.wake = wake
+    if (signal) signal.addEventListener('abort', wake)
+  })
+  waiter.wake = null
+  checkCancelled(signal)
+}
+
+// 唤醒队首请求重新尝试取账户
+const notify = () => {
+  const head = waiters[0]
+  if (head && head.wake) head.wake()
+}
+
+/**
+ * 离开队列并记录等待时长
+ * @param {Object} waiter - 排队凭据
+ * @param {boolean} served - 是否已取得账户
+ */
+const leave = (waiter, served) => {
+  const index = waiters.indexOf(waiter)
+  if (index !== -1) waiters.splice(index, 1)
+  if (served) {
+    counters.served += 1
+    waitSamples.push(Date.now() - waiter.enqueuedAt)
+    if (waitSamples.length > WAIT_SAMPLE_SIZE) waitSamples.shift()
+  }
+  // 可能仍有空闲名额，交给下一个排队请求
+  notify()
+}
+
+const getQueueStats = () => {
+  const sorted = [...waitSamples].sort((a, b) => a - b)
+  const percentile = (p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0)
+  const now = Date.now()
+  return {
+    depth: waiters.length,
+    maxDepth: config.accountQueueMax,
+    timeoutMs: config.accountQueueTimeoutMs,
+    maxInFlightPerAccount: config.accountMaxInFlight,
+    oldestWaitMs: waiters.length ? now - waiters[0].enqueuedAt : 0,
+    waitMs: {
+      samples: sorted.length,
+      avg: sorted.length ? Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length) : 0,
+      p50: percentile(0.5),
+      p95: percentile(0.95),
+      max: sorted.length ? sorted[sorted.length - 1] : 0
+    },
+    ...counters
+  }
+}
+
+module.exports = {
+  enqueue,
+  isTurn,
+  waitTurn,
+  notify,
+  leave,
+  getQueueStats
+}
@@ -0,0 +1,204 @@
+const config = require('../config')
+const { logger } = require('./logger')
+
+/**
+ * 账户选择策略
+ * 每个策略是一个小对象：pick(candidates, usage) 从候选账户中选出一个，
+ * usage(email) 返回该账户的实时使用统计 { inFlight, lastUsedAt, totalRequests }
+ */
+
+// 实时使用统计（按邮箱）
+const usageStats = new Map()
+
+const getUsage = (email) => {
+  let stats = usageStats.get(email)
+  if (!stats) {
+    stats = { inFlight: 0, lastUsedAt: 0, totalRequests: 0 }
+    usageStats.set(email, stats)
+  }
+  return stats
+}
+
+const getWeight = (account) => {
+  const weight = Number(account.weight)
+  return Number.isFinite(weight) && weight >= 0 ? weight : 1
+}
+
+const createRoundRobin = () => {
+  let cursor = 0
+  return {
+    name: 'round-robin',
+    pick(candidates) {
+      cursor = (cursor + 1) % candidates.length
+      return candidates[cursor]
+    },
+    getState() {
+      return { cursor }
+    }
+  }
+}
+
+const createLeastRecentlyUsed = () => ({
+  name: 'lru',
+  pick(candidates, usage) {
+    let best = null
+    for (const account of candidates) {
+      if (!best || usage(account.email).lastUsedAt < usage(best.email).lastUsedAt) best = account
+    }
+    return best
+  },
+  getState() {
+    return {}
+  }
+})
+
+const createLeastInFlight = () => ({
+  name: 'least-inflight',
+  pick(candidates, usage) {
+    let best = null
+    for (const account of candidates) {
+      if (!best) {
+        best = account
+        continue
+      }
+      const a = usage(account.email)
+      const b = usage(best.email)
+      if (a.inFlight < b.inFlight || (a.inFlight === b.inFlight && a.lastUsedAt < b.lastUsedAt)) best = account
+    }
+    return best
+  },
+  getState() {
+    return {}
+  }
+})
+
+// 平滑加权轮询（与 nginx 相同的算法），权重为 0 的账户不参与分配
+const createWeighted = () => {
+  const currentWeights = new Map()
+  return {
+    name: 'weighted',
+    pick(candidates) {
+      let total = 0
+      let best = null
+      for (const account of candidates) {
+        const weight = getWeight(account)
+        if (weight <= 0) continue
+        const current = (currentWeights.get(account.email) || 0) + weight
+        currentWeights.set(account.email, current)
+        total += weight
+        if (!best || current > currentWeights.get(best.email)) best = account
+      }
+      if (!best) return null
+      currentWeights.set(best.email, currentWeights.get(best.email) - total)
+      return best
+    },
+    getState() {
+      return { currentWeights: Object.fromEntries(currentWeights) }
+    }
+  }
+}
+
+const createRandom = () => ({
+  name: 'random',
+  pick(candidates) {
+    return candidates[Math.floor(Math.random() * candidates.length)]
+  },
+  getState() {
+    return {}
+  }
+})
+
+const strategyFactories = {
+  'round-robin': { description: '轮询', create: createRoundRobin },
+  'lru': { description: '最久未使用优先', create: createLeastRecentlyUsed },
+  'least-inflight': { description: '进行中请求最少优先', create: createLeastInFlight },
+  'weighted': { description: '按账户权重分配', create: createWeighted },
+  'random': { description: '随机', create: createRandom }
+}
+
+let activeStrategy = null
+
+/**
+ * 切换当前策略（切换后策略内部状态重置）
+ * @param {string} name - 策略名
+ * @returns {string} 生效的策略名
+ */
+const setStrategy = (name) => {
+  const entry = strategyFactories[name]
+  if (!entry) {
+    throw new Error(`unknown strategy: ${name}`)
+  }
+  activeStrategy = entry.create()
+  return activeStrategy.name
+}
+
+const getStrategyName = () => activeStrategy.name
+
+const listStrategies = () => Object.keys(strategyFactories).map(name => ({
+  name,
+  description: strategyFactories[name].description
+}))
+
+/**
+ * 使用当前策略从候选账户中选择一个
+ * @param {Array} candidates - 可用账户列表
+ * @returns {Object|null} 选中的账户
+ */
+const selectAccount = (candidates) => {
+  if (!candidates || candidates.length === 0) return null
+  return activeStrategy.pick(candidates, getUsage) || null
+}
+
+/**
+ * 记录账户开始处理一个请求
+ * @param {string} email - 账户邮箱
+ * @returns {Function} 结束回调，可重复调用，仅首次生效
+ */
+const trackRequest = (email) => {
+  const stats = getUsage(email)
+  stats.inFlight += 1
+  stats.totalRequests += 1
+  stats.lastUsedAt = Date.now()
+
+  let released = false
+  return () => {
+    if (released) return
+    released = true
+    stats.inFlight = Math.max(0, stats.inFlight - 1)
+  }
+}
+
+/**
+ * 账户进行中的请求数
+ * @param {string} email - 账户邮箱
+ * @returns {number}
+ */
+const getInFlight = (email) => (usageStats.has(email) ? usageStats.get(email).inFlight : 0)
+
+/**
+ * 获取当前策略及其状态、账户使用统计
+ * @returns {Object}
+ */
+const getSelectorState = () => ({
+  strategy: activeStrategy.name,
+  available: listStrategies(),
+  state: activeStrategy.getState(),
+  usage: Object.fromEntries(usageStats)
+})
+
+try {
+  setStrategy(config.accountStrategy)
+} catch (e) {
+  logger.warn(`无效的 ACCOUNT_STRATEGY: ${config.accountStrategy}，已回退为 round-robin`, 'PROXY')
+  setStrategy('round-robin')
+}
+
+module.exports = {
+  selectAccount,
+  trackRequest,
+  getInFlight,
+  setStrategy,
+  getStrategyName,
+  listStrategies,
+  getSelectorState
+}
@@ -0,0 +1,253 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+const axios = require('axios')
+const config = require('../config')
+const { collectScalars, replaceByPath } = require('./json-path')
+const { logger } = require('./logger')
+
+/**
+ * 生成资源本地镜像
+ * 上游返回的图片/视频地址带签名且数小时后过期：按配置的 JSON 路径找出响应中的资源地址，
+ * 下载到本地资源目录并将响应改写为本服务的 /assets/:id 地址
+ * - 单个文件超过大小上限时放弃镜像，保留原地址
+ * - 超过保留时长的文件定期清理；目录总大小超过上限时优先删除最旧的文件
+ * 每个资源保存为 <id>（内容）与 <id>.json（元数据）两个文件；id 由源地址哈希得到，
+ * 同一地址（如轮询任务时重复返回的结果）只下载一次
+ * 内存索引只是缓存：多个工作进程或实例共用同一资源目录时，未命中索引的资源从目录中读取元数据
+ */
+
+const ID_PATTERN = /^[a-f0-9]{32}$/
+// 定期清理间隔
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000
+
+const assetDir = path.resolve(config.assetDir)
+// id -> { id, contentType, size, sourceUrl, createdAt }
+const assets = new Map()
+let totalBytes = 0
+// 下载中的资源：源地址 -> Promise<meta>，同一地址的并发请求共用一次下载
+const downloads = new Map()
+
+const getFilePath = (id) => path.join(assetDir, id)
+const getMetaPath = (id) => path.join(assetDir, `${id}.json`)
+
+const removeAsset = (id) => {
+  const meta = assets.get(id)
+  if (!meta) return
+  assets.delete(id)
+  totalBytes -= meta.size
+  fs.promises.unlink(getFilePath(id)).catch(() => {})
+  fs.promises.unlink(getMetaPath(id)).catch(() => {})
+}
+
+const isExpired = (meta, now = Date.now()) => config.assetRetentionMs > 0 && now - meta.createdAt > config.assetRetentionMs
+
+// 读取并校验资源元数据，内容文件不存在时视为无效
+const readMeta = (metaPath) => {
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'))
+  if (!ID_PATTERN.test(meta.id) || !fs.existsSync(getFilePath(meta.id))) return null
+  return meta
+}
+
+// 启动时从资源目录恢复索引
+const loadIndex = () => {
+  fs.mkdirSync(assetDir, { recursive: true })
+  for (const name of fs.readdirSync(assetDir)) {
+    if (!name.endsWith('.json')) continue
+    try {
+      const meta = readMeta(path.join(assetDir, name))
+      if (!meta) continue
+      assets.set(meta.id, meta)
+      totalBytes += meta.size
+    } catch (e) {
+      logger.warn(`忽略损坏的资源元数据 ${name}: ${e.message}`, 'ASSET')
+    }
+  }
+}
+
+/**
+ * 清理过期资源，并在总大小超过上限时按创建时间从旧到新删除
+ * @param {string|null} keepId - 本次新保存、不参与淘汰的资源
+ */
+const sweep = (keepId = null) => {
+  const now = Date.now()
+  let removed = 0
+  for (const meta of [...assets.values()]) {
+    if (isExpired(meta, now)) {
+      removeAsset(meta.id)
+      removed += 1
+    }
+  }
+  if (config.assetMaxTotalBytes > 0 && totalBytes > config.assetMaxTotalBytes) {
+    const oldestFirst = [...assets.values()].sort((a, b) => a.createdAt - b.createdAt)
+    for (const meta of oldestFirst) {
+      if (totalBytes <= config.assetMaxTotalBytes) break
+      if (meta.id === keepId) continue
+      removeAsset(meta.id)
+      removed += 1
+    }
+  }
+  if (removed > 0) {
+    logger.info(`已清理 ${removed} 个本地资源，当前占用 ${Math.round(totalBytes / 1024 / 1024)}MB`, 'ASSET', '🧹')
+  }
+}
+
+// 源地址 -> 资源 ID（共用资源目录的工作进程得到相同的 ID）
+const getAssetId = (url) => crypto.createHash('sha256').update(url).digest('hex').slice(0, 32)
+
+/**
+ * 下载资源到本地
+ * @param {string} url - 上游资源地址
+ * @returns {Promise<Object>} 资源元数据
+ */
+const download = async (url) => {
+  const id = getAssetId(url)
+  const filePath = getFilePath(id)
+  // 临时文件名各不相同，避免与其他进程同时下载同一地址时互相覆盖
+  const tmpPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  const maxBytes = config.assetMaxFileBytes
+
+  const resp = await axios.get(url, { responseType: 'stream', timeout: config.assetDownloadTimeoutMs })
+  const declared = parseInt(resp.headers['content-length'], 10)
+  if (maxBytes > 0 && declared > maxBytes) {
+    resp.data.destroy()
+    throw new Error(`asset too large (${declared} bytes)`)
+  }
+
+  let size = 0
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length
+      if (maxBytes > 0 && size > maxBytes) return callback(new Error(`asset exceeds ${maxBytes} bytes`))
+      callback(null, chunk)
+    }
+  })
+  try {
+    await pipeline(resp.data, limiter, fs.createWriteStream(tmpPath))
+    await fs.promises.rename(tmpPath, filePath)
+  } catch (e) {
+    await fs.promises.unlink(tmpPath).catch(() => {})
+    throw e
+  }
+
+  const meta = {
+    id,
+    contentType: resp.headers['content-type'] || 'application/octet-stream',
+    size,
+    sourceUrl: url,
+    createdAt: Date.now()
+  }
+  await fs.promises.writeFile(getMetaPath(id), JSON.stringify(meta))
+  // 覆盖已过期的同一资源时先扣除旧的大小
+  const previous = assets.get(id)
+  if (previous) totalBytes -= previous.size
+  assets.set(id, meta)
+  totalBytes += size
+  sweep(id)
+  return meta
+}
+
+/**
+ * 获取源地址对应的本地资源：已镜像且未过期时直接复用，否则下载
+ * @param {string} url - 上游资源地址
+ * @returns {Promise<Object>} 资源元数据
+ */
+const mirror = (url) => {
+  const existing = getAsset(getAssetId(url))
+  if (existing && !isExpired(existing.meta)) return Promise.resolve(existing.meta)
+  if (!downloads.has(url)) {
+    downloads.set(url, download(url).finally(() => downloads.delete(url)))
+  }
+  return downloads.get(url)
+}
+
+const isMirrorable = (value) => typeof value === 'string' && /^https?:\/\//i.test(value)
+
+/**
+ * 镜像一组资源地址
+ * @param {Array<string>} urls - 上游资源地址
+ * @param {string} publicBaseUrl - 对外访问本服务的基础地址
+ * @returns {Promise<Map<string, string>>} 原地址 -> 本地地址（镜像失败的地址不在其中）
+ */
+const mirrorUrls = async (urls, publicBaseUrl) => {
+  const mapping = new Map()
+  const base = (config.assetPublicBaseUrl || publicBaseUrl || '').replace(/\/$/, '')
+  const pending = [...new Set(urls)].filter(url => isMirrorable(url) && !url.startsWith(`${base}/assets/`))
+  await Promise.all(pending.map(async (url) => {
+    try {
+      const meta = await mirror(url)
+      mapping.set(url, `${base}/assets/${meta.id}`)
+    } catch (e) {
+      logger.warn(`镜像资源失败，保留原地址: ${e.message}`, 'ASSET')
+    }
+  }))
+  if (mapping.size > 0) {
+    logger.info(`已镜像 ${mapping.size} 个生成资源到本地`, 'ASSET', '📦')
+  }
+  return mapping
+}
+
+/**
+ * 镜像响应体中配置路径上的资源并原地改写地址
+ * @param {Object} body - 已解析的响应体（会被修改）
+ * @param {string} publicBaseUrl - 对外访问本服务的基础地址
+ * @returns {Promise<number>} 改写的地址个数
+ */
+const rewriteResponse = async (body, publicBaseUrl) => {
+  if (!config.assetMirrorEnabled || !body || typeof body !== 'object') return 0
+  const urls = collectScalars(body, config.assetMirrorPaths)
+  if (urls.length === 0) return 0
+  const mapping = await mirrorUrls(urls, publicBaseUrl)
+  if (mapping.size === 0) return 0
+
+  let count = 0
+  for (const jsonPath of config.assetMirrorPaths) {
+    count += replaceByPath(body, jsonPath, value => mapping.get(value))
+  }
+  return count
+}
+
+/**
+ * 获取本地资源
+ * @param {string} id - 资源 ID
+ * @returns {Object|null} { meta, filePath }
+ */
+const getAsset = (id) => {
+  if (!ID_PATTERN.test(String(id))) return null
+  let meta = assets.get(id)
+  if (!meta) {
+    // 索引未命中：资源可能由共用目录的其他工作进程写入
+    try {
+      meta = readMeta(getMetaPath(id))
+    } catch (_) {
+      meta = null
+    }
+    if (!meta || meta.id !== id || isExpired(meta)) return null
+    assets.set(id, meta)
+    totalBytes += meta.size
+  }
+  return { meta, filePath: getFilePath(id) }
+}
+
+const isEnabled = () => config.assetMirrorEnabled
+
+if (config.assetMirrorEnabled) {
+  try {
+    loadIndex()
+    sweep()
+    // 定时清理不阻止进程退出
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref()
+    logger.info(`资源镜像已启用：${assetDir}（${assets.size} 个已有资源）`, 'ASSET', '📦')
+  } catch (e) {
+    logger.error('资源目录初始化失败', 'ASSET', '', e)
+  }
+}
+
+module.exports = {
+  isEnabled,
+  mirrorUrls,
+  rewriteResponse,
+  getAsset
+}
@@ -0,0 +1,118 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const { logger } = require('./logger')
+
+/**
+ * 请求体暂存器
+ * 将原始请求流（multipart/octet-stream/text 等）完整读出，
+ * 小于内存上限时保存在内存中，超过上限时落盘到临时文件，
+ * 以便在切换 sessionId 重试时重复发送同一份字节
+ */
+class BodySpool {
+  constructor(options = {}) {
+    this.memoryLimit = Number.isFinite(options.memoryLimit) ? options.memoryLimit : 8 * 1024 * 1024
+    this.tmpDir = options.tmpDir || os.tmpdir()
+    this.size = 0
+    this.buffer = null
+    this.filePath = null
+    this.cleaned = false
+  }
+
+  /**
+   * 读取整个流并暂存
+   * @param {import('stream').Readable} stream - 原始请求流
+   * @param {Object} options - { memoryLimit, tmpDir }
+   * @returns {Promise<BodySpool>}
+   */
+  static async fromStream(stream, options = {}) {
+    const spool = new BodySpool(options)
+    await spool._consume(stream)
+    return spool
+  }
+
+  /**
+   * 消费请求流，超过内存上限后转写临时文件
+   * @private
+   */
+  _consume(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      let fileStream = null
+
+      const fail = (err) => {
+        if (fileStream) fileStream.destroy()
+        this.cleanup()
+        reject(err)
+      }
+
+      stream.on('data', (chunk) => {
+        this.size += chunk.length
+        if (fileStream) {
+          if (!fileStream.write(chunk)) {
+            stream.pause()
+            fileStream.once('drain', () => stream.resume())
+          }
+          return
+        }
+
+        chunks.push(chunk)
+        if (this.size > this.memoryLimit) {
+          this.filePath = path.join(this.tmpDir, `dreamina-spool-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`)
+          fileStream = fs.createWriteStream(this.filePath)
+          fileStream.on('error', fail)
+          fileStream.write(Buffer.concat(chunks))
+          chunks.length = 0
+        }
+      })
+
+      stream.on('error', fail)
+      stream.on('aborted', () => fail(new Error('request aborted')))
+      stream.on('end', () => {
+        if (!fileStream) {
+          this.buffer = Buffer.concat(chunks)
+          return resolve()
+        }
+        fileStream.end(() => resolve())
+      })
+    })
+  }
+
+  /**
+   * 是否已落盘
+   * @returns {boolean}
+   */
+  isOnDisk() {
+    return !!this.filePath
+  }
+
+  /**
+   * 生成一份可发送的请求体（每次重试都需重新获取）
+   * @returns {Buffer|import('stream').Readable}
+   */
+  toBody() {
+    if (this.cleaned) throw new Error('spool already cleaned up')
+    if (this.filePath) return fs.createReadStream(this.filePath)
+    return this.buffer
+  }
+
+  /**
+   * 释放内存并删除临时文件
+   */
+  cleanup() {
+    if (this.cleaned) return
+    this.cleaned = true
+    this.buffer = null
+    if (this.filePath) {
+      const file = this.filePath
+      fs.unlink(file, (err) => {
+        if (err && err.code !== 'ENOENT') {
+          logger.warn(`删除请求体临时文件失败: ${file}`, 'PROXY')
+        }
+      })
+    }
+  }
+}
+
+module.exports = BodySpool
@@ -0,0 +1,243 @@
+const { chromium } = require('playwright')
+const { logger } = require('./logger')
+const config = require('../config')
+
+/**
+ * 登录用浏览器池
+ * 保持一个或多个 Chromium 常驻，每次登录在其中新建独立的浏览器上下文（Cookie/存储互不影响）
+ * - 单个浏览器累计使用 maxUses 次后退役，当前登录结束后关闭并按需重新启动
+ * - 浏览器崩溃或断开时移出池，下次登录重新启动
+ * - 空闲超过 idleMs 的浏览器关闭以释放内存
+ * - 所有浏览器的上下文都已满时，登录按先后顺序等待
+ * - 挂起等待人工处理的登录可暂时让出上下文名额（lease.suspend），其上下文保持打开，所在浏览器不会因空闲或退役被关闭
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || 1)
+    this.maxUses = Math.max(1, options.maxUses || 20)
+    this.contextsPerBrowser = Math.max(1, options.contextsPerBrowser || 1)
+    this.idleMs = Number.isFinite(options.idleMs) ? options.idleMs : 300000
+    this.launch = options.launch || (() => chromium.launch(options.launchOptions))
+    this.entries = []
+    this.waiters = []
+    this.closed = false
+    this._nextId = 1
+    this._idleTimer = null
+  }
+
+  /**
+   * 借出一个浏览器用于新建上下文
+   * @returns {Promise<Object>} { browser, release, suspend, resume }，用完后必须调用 release（可重复调用）
+   */
+  async acquire() {
+    while (true) {
+      if (this.closed) {
+        throw new Error('browser pool is closed')
+      }
+
+      const entry = this._pickEntry()
+      if (entry) {
+        entry.active += 1
+        entry.uses += 1
+        entry.lastUsedAt = Date.now()
+        if (entry.uses >= this.maxUses) entry.retiring = true
+        // 仍有空余上下文时让等待者继续尝试
+        if (!entry.retiring && entry.active < this.contextsPerBrowser) this._notify()
+
+        let released = false
+        let suspended = false
+        return {
+          browser: entry.browser,
+          release: () => {
+            if (released) return
+            released = true
+            if (suspended) entry.held -= 1
+            else entry.active -= 1
+            this._release(entry)
+          },
+          // 让出上下文名额（上下文仍保持打开）
+          suspend: () => {
+            if (released || suspended) return
+            suspended = true
+            entry.active -= 1
+            entry.held += 1
+            this._notify()
+          },
+          // 重新计入上下文名额（可能短暂超过 contextsPerBrowser）
+          resume: () => {
+            if (released || !suspended) return
+            suspended = false
+            entry.held -= 1
+            entry.active += 1
+          }
+        }
+      }
+
+      if (this.entries.length < this.size) {
+        await this._launch()
+        continue
+      }
+      await new Promise(resolve => this.waiters.push(resolve))
+    }
+  }
+
+  /**
+   * 选择可用的浏览器：已启动、未退役、上下文未满，优先进行中登录最少的
+   * @private
+   */
+  _pickEntry() {
+    let best = null
+    for (const entry of this.entries) {
+      if (!entry.browser || entry.retiring || entry.active >= this.contextsPerBrowser) continue
+      if (!best || entry.active < best.active) best = entry
+    }
+    return best
+  }
+
+  /**
+   * @private
+   */
+  async _launch() {
+    const entry = { id: this._nextId++, browser: null, uses: 0, active: 0, held: 0, retiring: false, launchedAt: 0, lastUsedAt: 0 }
+    this.entries.push(entry)
+    try {
+      logger.info(`启动浏览器 #${entry.id}`, 'BROWSER', '🌐')
+      entry.browser = await this.launch()
+      entry.launchedAt = Date.now()
+      entry.lastUsedAt = entry.launchedAt
+    } catch (e) {
+      this._remove(entry)
+      throw e
+    }
+
+    entry.browser.on('disconnected', () => {
+      if (!this.entries.includes(entry)) return
+      logger.warn(`浏览器 #${entry.id} 已断开（崩溃或被关闭），下次登录时重新启动`, 'BROWSER')
+      this._remove(entry)
+    })
+    if (this.closed) {
+      this._close(entry)
+      return
+    }
+    // 不唤醒等待者：新浏览器优先交给触发启动的登录
+    this._startIdleTimer()
+  }
+
+  /**
+   * @private
+   */
+  _release(entry) {
+    entry.lastUsedAt = Date.now()
+    if (entry.retiring && entry.active === 0 && entry.held === 0 && this.entries.includes(entry)) {
+      logger.info(`浏览器 #${entry.id} 已使用 ${entry.uses} 次，关闭并回收`, 'BROWSER', '♻️')
+      this._close(entry)
+      return
+    }
+    this._notify()
+  }
+
+  /**
+   * @private
+   */
+  _close(entry) {
+    this._remove(entry)
+    if (entry.browser) entry.browser.close().catch(() => {})
+  }
+
+  /**
+   * @private
+   */
+  _remove(entry) {
+    const index = this.entries.indexOf(entry)
+    if (index !== -1) this.entries.splice(index, 1)
+    if (this.entries.length === 0) this._stopIdleTimer()
+    this._notify()
+  }
+
+  // 唤醒所有等待者重新尝试（数量很少，由 acquire 循环自行判断是否可用）
+  _notify() {
+    const waiters = this.waiters
+    this.waiters = []
+    waiters.forEach(resolve => resolve())
+  }
+
+  _startIdleTimer() {
+    if (this._idleTimer || this.idleMs <= 0) return
+    this._idleTimer = setInterval(() => {
+      const now = Date.now()
+      for (const entry of [...this.entries]) {
+        if (entry.browser && entry.active === 0 && entry.held === 0 && now - entry.lastUsedAt >= this.idleMs) {
+          logger.info(`浏览器 #${entry.id} 空闲超过 ${Math.round(this.idleMs / 1000)} 秒，关闭`, 'BROWSER', '💤')
+          this._close(entry)
+        }
+      }
+    }, Math.min(60000, this.idleMs))
+  }
+
+  _stopIdleTimer() {
+    if (this._idleTimer) {
+      clearInterval(this._idleTimer)
+      this._idleTimer = null
+    }
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      maxUses: this.maxUses,
+      contextsPerBrowser: this.contextsPerBrowser,
+      waiting: this.waiters.length,
+      browsers: this.entries.map(e => ({
+        id: e.id,
+        launching: !e.browser,
+        uses: e.uses,
+        active: e.active,
+        held: e.held,
+        retiring: e.retiring,
+        launchedAt: e.launchedAt
+      }))
+    }
+  }
+
+  /**
+   * 关闭所有浏览器（进程退出前调用）
+   */
+  async shutdown() {
+    this.closed = true
+    this._stopIdleTimer()
+    const entries = [...this.entries]
+    this.entries = []
+    this._notify()
+    await Promise.all(entries.map(e => (e.browser ? e.browser.close().catch(() => {}) : null)))
+    if (entries.length > 0) {
+      logger.info(`已关闭 ${entries.length} 个浏览器`, 'BROWSER', '🧹')
+    }
+  }
+}
+
+// 启动参数：无头模式 + 可选代理（http/https/socks5）
+const buildLaunchOptions = () => {
+  const launchOptions = {
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--incognito']
+  }
+  if (config.browserProxyEnable && config.browserProxyUrl) {
+    launchOptions.proxy = {
+      server: config.browserProxyUrl,
+      username: config.browserProxyUsername || undefined,
+      password: config.browserProxyPassword || undefined
+    }
+    logger.info(`启用浏览器代理：${config.browserProxyUrl}`, 'BROWSER')
+  }
+  return launchOptions
+}
+
+const browserPool = new BrowserPool({
+  size: config.browserPoolSize,
+  maxUses: config.browserPoolMaxUses,
+  contextsPerBrowser: config.browserPoolContextsPerBrowser,
+  idleMs: config.browserPoolIdleMs,
+  launchOptions: buildLaunchOptions()
+})
+
+module.exports = browserPool
@@ -0,0 +1,172 @@
+const axios = require('axios')
+const config = require('../config')
+const { collectByPath } = require('./json-path')
+const { logger } = require('./logger')
+
+/**
+ * 账户积分余额跟踪
+ * - 主动查询：按配置的上游余额接口获取每个账户的剩余积分
+ * - 被动扣减：从透传响应中读取本次消耗的积分并从余额中扣除
+ * 余额低于下限的账户不参与选择；未知余额的账户视为可用
+ */
+
+// 从响应体中按多个路径取出数值并求和，全部缺失时返回 null
+const sumNumbers = (body, paths) => {
+  let found = false
+  let total = 0
+  for (const path of paths) {
+    for (const value of collectByPath(body, path)) {
+      const n = Number(value)
+      if (Number.isFinite(n)) {
+        found = true
+        total += n
+      }
+    }
+  }
+  return found ? total : null
+}
+
+class CreditTracker {
+  constructor(options = {}) {
+    this.floor = Number.isFinite(options.floor) ? options.floor : 1
+    this.lowThreshold = Number.isFinite(options.lowThreshold) ? options.lowThreshold : 0
+    this.balances = new Map()
+    // 积分池已处于低位（已发出告警），回升到阈值以上后重新布防
+    this.poolLow = false
+  }
+
+  /**
+   * 查询账户余额（需配置 CREDIT_BALANCE_URL）
+   * @param {Object} account - 账户（需包含 email 与 sessionid）
+   * @returns {Promise<number|null>} 最新余额，失败时返回 null
+   */
+  async refresh(account) {
+    if (!config.creditBalanceUrl || !account || !account.sessionid) return null
+
+    const rawSid = account.sessionid.replace(/^us-/, '')
+    try {
+      const resp = await axios.request({
+        method: config.creditBalanceMethod,
+        url: config.creditBalanceUrl,
+        headers: {
+          authorization: `Bearer ${account.sessionid.startsWith('us-') ? account.sessionid : `us-${account.sessionid}`}`,
+          cookie: `sessionid=${rawSid}`
+        },
+        data: config.creditBalanceMethod === 'POST' ? {} : undefined,
+        timeout: 15000
+      })
+      const balance = sumNumbers(resp.data, config.creditBalancePaths)
+      if (balance === null) {
+        throw new Error('balance not found in response')
+      }
+      this.setBalance(account.email, balance, 'remote')
+      return balance
+    } catch (e) {
+      const entry = this._getEntry(account.email)
+      entry.error = e.message
+      logger.warn(`查询账户 ${account.email} 积分失败: ${e.message}`, 'CREDIT')
+      return null
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getEntry(email) {
+    let entry = this.balances.get(email)
+    if (!entry) {
+      entry = { balance: null, updatedAt: 0, source: null, error: null }
+      this.balances.set(email, entry)
+    }
+    return entry
+  }
+
+  setBalance(email, balance, source = 'remote') {
+    const entry = this._getEntry(email)
+    entry.balance = balance
+    entry.updatedAt = Date.now()
+    entry.source = source
+    entry.error = null
+  }
+
+  /**
+   * 从透传响应中记录消耗的积分
+   * @param {string} email - 账户邮箱
+   * @param {*} body - 已解析的响应体
+   * @returns {number|null} 本次消耗，未报告时返回 null
+   */
+  recordUsage(email, body) {
+    if (!email || !body || typeof body !== 'object') return null
+    const used = sumNumbers(body, config.creditUsedPaths)
+    if (used === null || used <= 0) return null
+
+    const entry = this._getEntry(email)
+    if (entry.balance !== null) {
+      entry.balance = Math.max(0, entry.balance - used)
+      entry.updatedAt = Date.now()
+      entry.source = 'usage'
+    }
+    logger.info(`账户 ${email} 消耗 ${used} 积分，剩余 ${entry.balance === null ? '未知' : entry.balance}`, 'CREDIT', '💰')
+    return used
+  }
+
+  /**
+   * 余额是否不低于下限（未知余额视为满足）
+   * @param {string} email - 账户邮箱
+   * @returns {boolean}
+   */
+  hasEnough(email) {
+    const entry = this.balances.get(email)
+    if (!entry || entry.balance === null) return true
+    return entry.balance >= this.floor
+  }
+
+  getSnapshot(email) {
+    const entry = this.balances.get(email)
+    if (!entry) return { balance: null, updatedAt: 0, source: null, error: null, belowFloor: false }
+    return { ...entry, belowFloor: !this.hasEnough(email) }
+  }
+
+  /**
+   * 积分池汇总（仅统计已知余额的账户）
+   * @param {Array<string>} emails - 参与统计的账户
+   * @returns {Object} { total, known, belowFloor, lowThreshold }
+   */
+  getPoolStats(emails) {
+    let total = 0
+    let known = 0
+    let belowFloor = 0
+    for (const email of emails) {
+      const entry = this.balances.get(email)
+      if (!entry || entry.balance === null) continue
+      known += 1
+      total += entry.balance
+      if (entry.balance < this.floor) belowFloor += 1
+    }
+    return { total, known, belowFloor, floor: this.floor, lowThreshold: this.lowThreshold }
+  }
+
+  /**
+   * 检查积分池是否跌破告警阈值；仅在跌破的那一刻返回统计（用于发出一次告警）
+   * @param {Array<string>} emails - 参与统计的账户
+   * @returns {Object|null}
+   */
+  checkPoolLow(emails) {
+    const stats = this.getPoolStats(emails)
+    if (this.lowThreshold <= 0 || stats.known === 0) return null
+    if (stats.total < this.lowThreshold) {
+      if (this.poolLow) return null
+      this.poolLow = true
+      logger.warn(`积分池余额 ${stats.total} 低于告警阈值 ${this.lowThreshold}`, 'CREDIT')
+      return stats
+    }
+    this.poolLow = false
+    return null
+  }
+
+  forget(email) {
+    this.balances.delete(email)
+  }
+}
+
+module.exports = CreditTracker
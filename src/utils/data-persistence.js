@@ -1,9 +1,95 @@
 const fs = require('fs').promises
+const { watchFile } = require('fs')
 const path = require('path')
 const config = require('../config/index.js')
 const redisClient = require('./redis')
+const storageStateStore = require('./storage-state-store')
 const { logger } = require('./logger')
 
+/**
+ * 加密账户配置中的敏感字段（邮箱授权码、登录代理密码）
+ * 未配置 STORAGE_STATE_SECRET 时原样保存（接口层已拒绝在此情况下写入新的敏感字段，只剩加密前保存的旧数据）
+ * @param {Object} accountData - 账户数据
+ * @returns {Object} { mailbox, loginProfile }
+ */
+const sealSecrets = (accountData) => {
+  const seal = (value) => (storageStateStore.isEnabled() && typeof value === 'string' ? storageStateStore.sealSecret(value) : value)
+  const { mailbox, loginProfile } = accountData
+  return {
+    mailbox: mailbox ? { ...mailbox, secret: seal(mailbox.secret) } : undefined,
+    loginProfile: loginProfile && loginProfile.proxy && loginProfile.proxy.password
+      ? { ...loginProfile, proxy: { ...loginProfile.proxy, password: seal(loginProfile.proxy.password) } }
+      : loginProfile || undefined
+  }
+}
+
+/**
+ * 解密读取到的账户敏感字段；无法解密时丢弃该字段（邮箱配置整体丢弃）并提示重新设置
+ * @param {Object} account - 读取到的账户
+ * @returns {Object} 账户（敏感字段为明文）
+ */
+const openSecrets = (account) => {
+  const open = (value, label) => {
+    try {
+      return storageStateStore.openSecret(value)
+    } catch (e) {
+      logger.warn(`无法解密账户 ${account.email} 的${label}（密钥可能已更换），请重新设置: ${e.message}`, 'DATA')
+      return undefined
+    }
+  }
+  const opened = { ...account }
+  if (account.mailbox && account.mailbox.secret) {
+    // 授权码是邮箱配置的必需项，无法解密时整个邮箱配置失效
+    const secret = open(account.mailbox.secret, '邮箱授权码')
+    opened.mailbox = secret !== undefined ? { ...account.mailbox, secret } : undefined
+  }
+  if (account.loginProfile && account.loginProfile.proxy && account.loginProfile.proxy.password) {
+    const password = open(account.loginProfile.proxy.password, '代理密码')
+    const proxy = { ...account.loginProfile.proxy, password }
+    if (password === undefined) delete proxy.password
+    opened.loginProfile = { ...account.loginProfile, proxy }
+  }
+  return opened
+}
+
+/**
+ * 转换为持久化的账户结构
+ * @param {string} email - 邮箱
+ * @param {Object} accountData - 账户数据
+ * @returns {Object} 需保存的账户字段
+ */
+const toStoredAccount = (email, accountData) => ({
+  email,
+  password: accountData.password,
+  token: accountData.token,
+  expires: accountData.expires,
+  sessionid: accountData.sessionid,
+  sessionid_expires: accountData.sessionid_expires,
+  sessionid_revoked: accountData.sessionid_revoked ? true : undefined,
+  weight: accountData.weight,
+  refreshable: accountData.refreshable === false ? false : undefined,
+  ...sealSecrets(accountData)
+})
+
+// 同一进程内串行执行数据文件的读-改-写，避免并发保存互相覆盖
+let fileQueue = Promise.resolve()
+const serialize = (task) => {
+  const run = fileQueue.then(task)
+  fileQueue = run.catch(() => {})
+  return run
+}
+
+/**
+ * 写入 JSON 文件：先写临时文件再重命名，其他进程不会读到写了一半的内容
+ * @param {string} filePath - 文件路径
+ * @param {Object} data - 数据
+ */
+const writeJsonFile = async (filePath, data) => {
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf-8')
+  await fs.rename(tmpPath, filePath)
+}
+
 /**
  * 数据持久化管理器
  * 统一处理账户数据的存储和读取
@@ -11,6 +97,8 @@ const { logger } = require('./logger')
 class DataPersistence {
   constructor() {
     this.dataFilePath = path.join(__dirname, '../../data/data.json')
+    // 运行时设置单独保存，不与账户数据共用一个文件
+    this.settingsFilePath = path.join(__dirname, '../../data/settings.json')
   }
 
   /**
@@ -87,13 +175,110 @@ class DataPersistence {
     }
   }
 
+  /**
+   * 加载运行时代理设置
+   * @returns {Promise<Object|null>} 设置对象，未保存过时返回 null
+   */
+  async loadSettings() {
+    try {
+      switch (config.dataSaveMode) {
+        case 'redis':
+          return await redisClient.getSettings()
+        case 'file':
+          return await this._loadSettingsFromFile()
+        default:
+          return null
+      }
+    } catch (error) {
+      logger.error('加载运行时设置失败', 'DATA', '', error)
+      return null
+    }
+  }
+
+  /**
+   * 保存运行时代理设置
+   * @param {Object} settings - 设置对象
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveSettings(settings) {
+    try {
+      switch (config.dataSaveMode) {
+        case 'redis':
+          return await redisClient.setSettings(settings)
+        case 'file':
+          await serialize(async () => {
+            await fs.mkdir(path.dirname(this.settingsFilePath), { recursive: true })
+            await writeJsonFile(this.settingsFilePath, settings)
+          })
+          return true
+        case 'none':
+          logger.warn('环境变量模式不支持保存运行时设置，仅对当前进程生效', 'DATA')
+          return false
+        default:
+          logger.error(`不支持的数据保存模式: ${config.dataSaveMode}`, 'DATA')
+          throw new Error(`不支持的数据保存模式: ${config.dataSaveMode}`)
+      }
+    } catch (error) {
+      logger.error('保存运行时设置失败', 'DATA', '', error)
+      return false
+    }
+  }
+
+  /**
+   * 监听运行时设置变更（其他进程保存后触发）
+   * redis 模式使用发布订阅，file 模式轮询设置文件修改时间
+   * @param {Function} onChange - 变更回调
+   */
+  watchSettings(onChange) {
+    switch (config.dataSaveMode) {
+      case 'redis':
+        redisClient.subscribeSettings(onChange)
+        break
+      case 'file':
+        watchFile(this.settingsFilePath, { interval: 1000 }, (curr, prev) => {
+          if (curr.mtimeMs !== prev.mtimeMs) onChange()
+        })
+        break
+      default:
+        break
+    }
+  }
+
+  /**
+   * 监听账户数据变更（其他进程保存后触发），用于同步会话失效标记与重新登录结果
+   * 仅 file 模式：redis 模式只保存通过 sessionid 导入的账户的 sessionid，其余会话只存在于添加账户的进程中
+   * @param {Function} onChange - 变更回调
+   */
+  watchAccounts(onChange) {
+    if (config.dataSaveMode !== 'file') return
+    watchFile(this.dataFilePath, { interval: 1000 }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) onChange()
+    })
+  }
+
+  /**
+   * 从设置文件加载运行时设置
+   * 设置文件不存在时读取旧版本保存在数据文件中的 settings 字段
+   * @private
+   */
+  async _loadSettingsFromFile() {
+    try {
+      return JSON.parse(await fs.readFile(this.settingsFilePath, 'utf-8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+    await this._ensureDataFileExists()
+    const data = JSON.parse(await fs.readFile(this.dataFilePath, 'utf-8'))
+    return data.settings || null
+  }
+
   /**
    * 从 Redis 加载账户数据
    * @private
    */
   async _loadFromRedis() {
     const accounts = await redisClient.getAllAccounts()
-    return accounts.length > 0 ? accounts : []
+    return accounts.map(openSecrets)
   }
 
   /**
@@ -107,7 +292,7 @@ class DataPersistence {
     const fileContent = await fs.readFile(this.dataFilePath, 'utf-8')
     const data = JSON.parse(fileContent)
     
-    return data.accounts || []
+    return (data.accounts || []).map(openSecrets)
   }
 
   /**
@@ -140,7 +325,7 @@ class DataPersistence {
    * @private
    */
   async _saveToRedis(email, accountData) {
-    return await redisClient.setAccount(email, accountData)
+    return await redisClient.setAccount(email, { ...accountData, ...sealSecrets(accountData) })
   }
 
   /**
@@ -148,34 +333,29 @@ class DataPersistence {
    * @private
    */
   async _saveToFile(email, accountData) {
-    await this._ensureDataFileExists()
-    
-    const fileContent = await fs.readFile(this.dataFilePath, 'utf-8')
-    const data = JSON.parse(fileContent)
-    
-    if (!data.accounts) {
-      data.accounts = []
-    }
+    return serialize(async () => {
+      await this._ensureDataFileExists()
 
-    // 查找现有账户或添加新账户
-    const existingIndex = data.accounts.findIndex(account => account.email === email)
-    const updatedAccount = {
-      email,
-      password: accountData.password,
-      token: accountData.token,
-      expires: accountData.expires,
-      sessionid: accountData.sessionid,
-      sessionid_expires: accountData.sessionid_expires
-    }
+      const fileContent = await fs.readFile(this.dataFilePath, 'utf-8')
+      const data = JSON.parse(fileContent)
 
-    if (existingIndex !== -1) {
-      data.accounts[existingIndex] = updatedAccount
-    } else {
-      data.accounts.push(updatedAccount)
-    }
+      if (!data.accounts) {
+        data.accounts = []
+      }
 
-    await fs.writeFile(this.dataFilePath, JSON.stringify(data, null, 2), 'utf-8')
-    return true
+      // 查找现有账户或添加新账户
+      const existingIndex = data.accounts.findIndex(account => account.email === email)
+      const updatedAccount = toStoredAccount(email, accountData)
+
+      if (existingIndex !== -1) {
+        data.accounts[existingIndex] = updatedAccount
+      } else {
+        data.accounts.push(updatedAccount)
+      }
+
+      await writeJsonFile(this.dataFilePath, data)
+      return true
+    })
   }
 
   /**
@@ -196,22 +376,17 @@ class DataPersistence {
    * @private
    */
   async _saveAllToFile(accounts) {
-    await this._ensureDataFileExists()
-    
-    const fileContent = await fs.readFile(this.dataFilePath, 'utf-8')
-    const data = JSON.parse(fileContent)
-    
-    data.accounts = accounts.map(account => ({
-      email: account.email,
-      password: account.password,
-      token: account.token,
-      expires: account.expires,
-      sessionid: account.sessionid,
-      sessionid_expires: account.sessionid_expires
-    }))
-
-    await fs.writeFile(this.dataFilePath, JSON.stringify(data, null, 2), 'utf-8')
-    return true
+    return serialize(async () => {
+      await this._ensureDataFileExists()
+
+      const fileContent = await fs.readFile(this.dataFilePath, 'utf-8')
+      const data = JSON.parse(fileContent)
+
+      data.accounts = accounts.map(account => toStoredAccount(account.email, account))
+
+      await writeJsonFile(this.dataFilePath, data)
+      return true
+    })
   }
 
   /**
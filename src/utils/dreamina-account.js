@@ -1,16 +1,46 @@
+const crypto = require('crypto')
 const config = require('../config/index.js')
 const DataPersistence = require('./data-persistence')
 const DreaminaTokenManager = require('./dreamina-token-manager')
+const AccountHealth = require('./account-health')
+const CreditTracker = require('./credit-tracker')
+const SessionVerifier = require('./session-verifier')
+const browserPool = require('./browser-pool')
+const loginScheduler = require('./login-scheduler')
+const storageStateStore = require('./storage-state-store')
+const sse = require('./sse')
 const { logger } = require('./logger')
 
 class DreaminaAccount {
     constructor() {
         this.dataPersistence = new DataPersistence()
         this.tokenManager = new DreaminaTokenManager()
+        this.accountHealth = new AccountHealth({
+            cooldownMs: config.accountCooldownMs,
+            failureThreshold: config.accountCircuitFailureThreshold,
+            openMs: config.accountCircuitOpenMs
+        })
+        this.creditTracker = new CreditTracker({
+            floor: config.creditFloor,
+            lowThreshold: config.creditLowThreshold
+        })
+        this.sessionVerifier = new SessionVerifier({
+            url: config.sessionVerifyUrl,
+            method: config.sessionVerifyMethod,
+            timeoutMs: config.sessionVerifyTimeoutMs,
+            concurrency: config.sessionVerifyConcurrency,
+            okPath: config.sessionVerifyOkPath,
+            okValues: config.sessionVerifyOkValues
+        })
         
         this.dreaminaAccounts = []
+        // 进行中的后台重新登录任务（按邮箱去重）
+        this._reloginJobs = new Map()
         this.isInitialized = false
         this._dailyTimer = null
+        this._creditTimer = null
+        this._verifyTimer = null
+        this._verifying = false
         this._lastDailyRunDate = null
         
         this._initialize()
@@ -19,17 +49,39 @@ class DreaminaAccount {
     async _initialize() {
         try {
             await this.loadAccounts()
+
+            // 同步其他工作进程写入的会话失效标记与重新登录结果
+            this.dataPersistence.watchAccounts(() => {
+                this._syncSessionsFromStore().catch(error => logger.error('同步账户会话失败', 'DREAMINA', '', error))
+            })
             
+            // 以下定时任务均不阻止进程退出（由 HTTP 服务保持运行）
             if (config.autoRefresh) {
                 this.refreshInterval = setInterval(
                     () => this.autoRefreshSessionIds(),
                     (config.autoRefreshInterval || 21600) * 1000
-                )
+                ).unref()
             }
             
             // 设置每日定时刷新（按指定时区与时间）
             this._setupDailyRefresh()
 
+            // 查询账户积分余额（需配置 CREDIT_BALANCE_URL）
+            if (config.creditBalanceUrl) {
+                this.refreshAllCredits()
+                if (config.creditRefreshIntervalMs > 0) {
+                    this._creditTimer = setInterval(() => this.refreshAllCredits(), config.creditRefreshIntervalMs).unref()
+                }
+            }
+
+            // 在线校验 SessionID（需配置 SESSION_VERIFY_URL）
+            if (this.sessionVerifier.isEnabled()) {
+                this.verifyAllSessions()
+                if (config.sessionVerifyIntervalMs > 0) {
+                    this._verifyTimer = setInterval(() => this.verifyAllSessions(), config.sessionVerifyIntervalMs).unref()
+                }
+            }
+
             this.isInitialized = true
             logger.success(`Dreamina 账户管理器初始化完成，共加载 ${this.dreaminaAccounts.length} 个账户`, 'DREAMINA')
         } catch (error) {
@@ -57,7 +109,7 @@ class DreaminaAccount {
             if (this._dailyTimer) clearInterval(this._dailyTimer)
 
             // 每分钟检查一次目标时区时间
-            this._dailyTimer = setInterval(() => this._checkDailyRefresh(hour, minute), 60 * 1000)
+            this._dailyTimer = setInterval(() => this._checkDailyRefresh(hour, minute), 60 * 1000).unref()
             logger.info(`已启用每日刷新调度：${timeStr} @ ${config.timeZone || 'UTC'}`, 'SCHEDULE', '⏰')
         } catch (e) {
             logger.error('每日刷新调度初始化失败', 'SCHEDULE', '', e)
@@ -140,24 +192,60 @@ class DreaminaAccount {
         }
     }
 
+    /**
+     * 启动时检查 sessionid（已标记失效的同样视为无效）
+     * 失效但有密码的账户保留并标记为失效，在后台排队重新登录（登录可能挂起等待人工处理验证码，不阻塞启动，
+     * 失败的账户由自动刷新继续重试）；失效且无密码的账户移出列表
+     */
     async _validateAndCleanSessionIds() {
         const validAccounts = []
+        const reloginEmails = []
         
         for (const account of this.dreaminaAccounts) {
-            if (account.sessionid && this.tokenManager.validateSessionId(account.sessionid, account.sessionid_expires)) {
+            if (account.sessionid && !account.sessionid_revoked && this.tokenManager.validateSessionId(account.sessionid, account.sessionid_expires)) {
                 validAccounts.push(account)
             } else if (account.email && account.password) {
-                logger.info(`SessionID 无效，尝试重新登录: ${account.email}`, 'DREAMINA', '🔄')
-                const result = await this.tokenManager.login(account.email, account.password)
-                if (result) {
-                    account.sessionid = result.sessionid
-                    account.sessionid_expires = result.expires
-                    validAccounts.push(account)
-                }
+                logger.info(`SessionID 无效，排队重新登录: ${account.email}`, 'DREAMINA', '🔄')
+                account.sessionid_revoked = true
+                validAccounts.push(account)
+                reloginEmails.push(account.email)
             }
         }
         
         this.dreaminaAccounts = validAccounts
+        reloginEmails.forEach(email => this.queueRelogin(email))
+    }
+
+    /**
+     * 按持久化数据同步账户会话（其他工作进程标记失效或重新登录后）
+     * - 同一 sessionid 已被标记失效：本进程也停止使用，重新登录由标记的进程负责
+     * - 保存的 sessionid 更新（过期时间更晚）且未失效：采用新的 sessionid
+     * @private
+     */
+    async _syncSessionsFromStore() {
+        const stored = await this.dataPersistence.loadAccounts()
+        for (const saved of stored) {
+            const account = this.dreaminaAccounts.find(acc => acc.email === saved.email)
+            if (!account || !saved.sessionid) continue
+
+            if (saved.sessionid === account.sessionid) {
+                if (saved.sessionid_revoked && !account.sessionid_revoked) {
+                    account.sessionid_revoked = true
+                    logger.warn(`账户 ${account.email} 的 SessionID 已被其他进程标记为失效`, 'DREAMINA')
+                }
+            } else if (!saved.sessionid_revoked && (account.sessionid_revoked || (saved.sessionid_expires || 0) > (account.sessionid_expires || 0))) {
+                Object.assign(account, {
+                    sessionid: saved.sessionid,
+                    sessionid_expires: saved.sessionid_expires,
+                    sessionid_revoked: false,
+                    lastVerifiedAt: null,
+                    lastVerifyResult: null,
+                    lastVerifyLatencyMs: null,
+                    lastVerifyError: null
+                })
+                logger.info(`账户 ${account.email} 已采用其他进程刷新的 SessionID`, 'DREAMINA', '🔄')
+            }
+        }
     }
 
     async autoRefreshSessionIds(thresholdHours = 24) {
@@ -168,8 +256,12 @@ class DreaminaAccount {
         
         logger.info('开始自动刷新 Dreamina SessionID...', 'DREAMINA', '🔄')
         
+        // 通过 sessionid 导入的账户没有密码，无法登录刷新
         const needsRefresh = this.dreaminaAccounts.filter(account =>
-            this.tokenManager.isSessionIdExpiringSoon(account.sessionid_expires, thresholdHours)
+            account.refreshable !== false && (
+                account.sessionid_revoked ||
+                this.tokenManager.isSessionIdExpiringSoon(account.sessionid_expires, thresholdHours)
+            )
         )
         
         if (needsRefresh.length === 0) {
@@ -182,42 +274,47 @@ class DreaminaAccount {
         let successCount = 0
         let failedCount = 0
         
-        for (const account of needsRefresh) {
-            try {
+        await loginScheduler.runBatch(
+            needsRefresh,
+            async (account) => {
                 const updatedAccount = await this.tokenManager.refreshSessionId(account)
-                if (updatedAccount) {
-                    const index = this.dreaminaAccounts.findIndex(acc => acc.email === account.email)
-                    if (index !== -1) {
-                        this.dreaminaAccounts[index] = updatedAccount
-                    }
-                    
-                    await this.dataPersistence.saveAccount(account.email, {
-                        password: updatedAccount.password,
-                        token: updatedAccount.token,
-                        expires: updatedAccount.expires,
-                        sessionid: updatedAccount.sessionid,
-                        sessionid_expires: updatedAccount.sessionid_expires
-                    })
-                    
+                if (!updatedAccount) return null
+                
+                const index = this.dreaminaAccounts.findIndex(acc => acc.email === account.email)
+                if (index !== -1) {
+                    this.dreaminaAccounts[index] = updatedAccount
+                }
+                
+                await this.dataPersistence.saveAccount(account.email, updatedAccount)
+                return updatedAccount
+            },
+            ({ item, error, success, done, total }) => {
+                if (success) {
                     successCount++
-                    logger.info(`账户 ${account.email} SessionID 刷新并保存成功 (${successCount}/${needsRefresh.length})`, 'DREAMINA', '✅')
+                    logger.info(`账户 ${item.email} SessionID 刷新并保存成功 (${done}/${total})`, 'DREAMINA', '✅')
+                } else if (error) {
+                    failedCount++
+                    logger.error(`账户 ${item.email} 刷新过程中出错 (${done}/${total})`, 'DREAMINA', '', error)
                 } else {
                     failedCount++
-                    logger.error(`账户 ${account.email} SessionID 刷新失败 (${failedCount} 个失败)`, 'DREAMINA', '❌')
+                    logger.error(`账户 ${item.email} SessionID 刷新失败 (${done}/${total})`, 'DREAMINA', '❌')
                 }
-            } catch (error) {
-                failedCount++
-                logger.error(`账户 ${account.email} 刷新过程中出错`, 'DREAMINA', '', error)
+                sse.broadcast('account:refresh:progress', { email: item.email, success, done, total })
             }
-            
-            await this._delay(2000)
-        }
+        )
         
         logger.success(`SessionID 刷新完成: 成功 ${successCount} 个，失败 ${failedCount} 个`, 'DREAMINA')
         return successCount
     }
 
-    async addAccount(email, password) {
+    /**
+     * 登录并添加账户
+     * @param {string} email - 邮箱
+     * @param {string} password - 密码
+     * @param {Object} options - { mailbox, loginProfile }：邮箱配置（自动读取邮箱验证码）与登录配置（指纹与代理），需已校验
+     * @returns {Promise<boolean>}
+     */
+    async addAccount(email, password, { mailbox = null, loginProfile = null } = {}) {
         try {
             const existingAccount = this.dreaminaAccounts.find(acc => acc.email === email)
             if (existingAccount) {
@@ -225,7 +322,7 @@ class DreaminaAccount {
                 return false
             }
             
-            const result = await this.tokenManager.login(email, password)
+            const result = await this.tokenManager.login(email, password, null, { mailbox, loginProfile })
             if (!result) {
                 logger.error(`Dreamina 账户 ${email} 登录失败，无法添加`, 'DREAMINA')
                 return false
@@ -237,6 +334,8 @@ class DreaminaAccount {
                 sessionid: result.sessionid,
                 sessionid_expires: result.expires
             }
+            if (mailbox) newAccount.mailbox = mailbox
+            if (loginProfile) newAccount.loginProfile = loginProfile
             
             this.dreaminaAccounts.push(newAccount)
             
@@ -250,6 +349,60 @@ class DreaminaAccount {
         }
     }
 
+    /**
+     * 通过 sessionid 导入账户（无密码，例如使用 Google/TikTok 登录的账户）
+     * sessionid 需先通过上游在线校验；导入的账户标记为不可刷新，过期前需重新导入
+     * @param {Object} params - { sessionid, label, expires }，label 作为账户标识（缺省时按 sessionid 生成），expires 为过期时间（秒，可选）
+     * @returns {Promise<Object>} { ok, account } 或 { ok: false, status, error }
+     */
+    async importSessionAccount({ sessionid, label, expires }) {
+        const rawSid = String(sessionid || '').trim().replace(/^us-/, '')
+        if (!rawSid) {
+            return { ok: false, status: 400, error: 'sessionid 不能为空' }
+        }
+        if (expires && expires <= Math.floor(Date.now() / 1000)) {
+            return { ok: false, status: 400, error: '过期时间已过' }
+        }
+        if (!this.sessionVerifier.isEnabled()) {
+            return { ok: false, status: 400, error: '未配置 SESSION_VERIFY_URL，无法校验 sessionid' }
+        }
+
+        const email = (label && String(label).trim()) ||
+            `sid-${crypto.createHash('sha256').update(rawSid).digest('hex').slice(0, 12)}`
+        if (this.dreaminaAccounts.some(acc => acc.email === email || acc.sessionid === rawSid)) {
+            return { ok: false, status: 409, error: '账号已存在' }
+        }
+
+        const outcome = await this.sessionVerifier.verify({ email, sessionid: rawSid })
+        if (outcome.result === 'invalid') {
+            return { ok: false, status: 400, error: `sessionid 校验未通过: ${outcome.error}` }
+        }
+        if (outcome.result === 'error') {
+            return { ok: false, status: 502, error: `sessionid 校验无法完成: ${outcome.error}` }
+        }
+        // 校验期间可能已被并发导入
+        if (this.dreaminaAccounts.some(acc => acc.email === email)) {
+            return { ok: false, status: 409, error: '账号已存在' }
+        }
+
+        const account = {
+            email,
+            password: '',
+            sessionid: rawSid,
+            sessionid_expires: expires || null,
+            refreshable: false,
+            lastVerifiedAt: outcome.verifiedAt,
+            lastVerifyResult: outcome.result,
+            lastVerifyLatencyMs: outcome.latencyMs,
+            lastVerifyError: null
+        }
+        this.dreaminaAccounts.push(account)
+        await this.dataPersistence.saveAccount(email, account)
+
+        logger.success(`成功导入 sessionid 账户: ${email}（不可自动刷新）`, 'DREAMINA')
+        return { ok: true, account }
+    }
+
     async removeAccount(email) {
         try {
             const index = this.dreaminaAccounts.findIndex(acc => acc.email === email)
@@ -259,6 +412,9 @@ class DreaminaAccount {
             }
             
             this.dreaminaAccounts.splice(index, 1)
+            this.accountHealth.forget(email)
+            this.creditTracker.forget(email)
+            await storageStateStore.remove(email)
             
             logger.success(`成功移除 Dreamina 账户: ${email}`, 'DREAMINA')
             return true
@@ -274,6 +430,10 @@ class DreaminaAccount {
             logger.error(`未找到邮箱为 ${email} 的 Dreamina 账户`, 'DREAMINA')
             return false
         }
+        if (account.refreshable === false) {
+            logger.warn(`账户 ${email} 通过 sessionid 导入，无法登录刷新，请重新导入`, 'DREAMINA')
+            return false
+        }
         
         const updatedAccount = await this.tokenManager.refreshSessionId(account)
         if (updatedAccount) {
@@ -282,13 +442,7 @@ class DreaminaAccount {
                 this.dreaminaAccounts[index] = updatedAccount
             }
             
-            await this.dataPersistence.saveAccount(email, {
-                password: updatedAccount.password,
-                token: updatedAccount.token,
-                expires: updatedAccount.expires,
-                sessionid: updatedAccount.sessionid,
-                sessionid_expires: updatedAccount.sessionid_expires
-            })
+            await this.dataPersistence.saveAccount(email, updatedAccount)
             
             return true
         }
@@ -296,10 +450,261 @@ class DreaminaAccount {
         return false
     }
 
+    async setAccountWeight(email, weight) {
+        const account = this.dreaminaAccounts.find(acc => acc.email === email)
+        if (!account) {
+            logger.error(`未找到邮箱为 ${email} 的 Dreamina 账户`, 'DREAMINA')
+            return false
+        }
+
+        account.weight = weight
+        await this.dataPersistence.saveAccount(email, account)
+        logger.info(`账户 ${email} 权重已设置为 ${weight}`, 'DREAMINA')
+        return true
+    }
+
+    /**
+     * 设置或清除账户的邮箱配置
+     * @param {string} email - 账户邮箱
+     * @param {Object|null} mailbox - 邮箱配置（需已校验），null 表示清除
+     * @returns {Promise<boolean>}
+     */
+    async setAccountMailbox(email, mailbox) {
+        const account = this.dreaminaAccounts.find(acc => acc.email === email)
+        if (!account) {
+            logger.error(`未找到邮箱为 ${email} 的 Dreamina 账户`, 'DREAMINA')
+            return false
+        }
+
+        if (mailbox) {
+            account.mailbox = mailbox
+        } else {
+            delete account.mailbox
+        }
+        await this.dataPersistence.saveAccount(email, account)
+        logger.info(`账户 ${email} 的验证码邮箱已${mailbox ? `设置为 ${mailbox.user}@${mailbox.host}` : '清除'}`, 'DREAMINA')
+        return true
+    }
+
+    /**
+     * 设置或清除账户的登录配置（浏览器指纹与代理），下次登录或刷新时生效
+     * @param {string} email - 账户邮箱
+     * @param {Object|null} profile - 登录配置（需已校验），null 表示清除
+     * @returns {Promise<boolean>}
+     */
+    async setAccountLoginProfile(email, profile) {
+        const account = this.dreaminaAccounts.find(acc => acc.email === email)
+        if (!account) {
+            logger.error(`未找到邮箱为 ${email} 的 Dreamina 账户`, 'DREAMINA')
+            return false
+        }
+
+        if (profile) {
+            account.loginProfile = profile
+        } else {
+            delete account.loginProfile
+        }
+        await this.dataPersistence.saveAccount(email, account)
+        logger.info(`账户 ${email} 的登录配置已${profile ? '更新' : '清除'}`, 'DREAMINA')
+        return true
+    }
+
+    /**
+     * 标记 sessionid 已被上游拒绝，并在后台重新登录该账户
+     * 账户在刷新成功前不参与透传选择；失效标记随账户保存，其他工作进程据此停止使用该 sessionid
+     * @param {string} email - 账户邮箱
+     * @param {string} sessionid - 被拒绝的 sessionid
+     */
+    markSessionRevoked(email, sessionid) {
+        const account = this.dreaminaAccounts.find(acc => acc.email === email)
+        // sessionid 已被更新则忽略过期的拒绝结果
+        if (!account || account.sessionid !== sessionid) return
+
+        if (!account.sessionid_revoked) {
+            account.sessionid_revoked = true
+            logger.warn(`账户 ${email} 的 SessionID 被上游拒绝，已标记为失效`, 'DREAMINA')
+            this.dataPersistence.saveAccount(email, account)
+        }
+
+        if (!account.password) {
+            logger.warn(`账户 ${email} 没有密码，无法自动重新登录`, 'DREAMINA')
+            return
+        }
+        this.queueRelogin(email)
+    }
+
+    /**
+     * 排队后台重新登录，同一账户同时只有一个任务
+     * @param {string} email - 账户邮箱
+     * @returns {Promise<boolean>} 刷新是否成功
+     */
+    queueRelogin(email) {
+        if (this._reloginJobs.has(email)) {
+            return this._reloginJobs.get(email)
+        }
+
+        logger.info(`已排队后台重新登录: ${email}`, 'DREAMINA', '🔄')
+        const job = this.refreshAccount(email)
+            .catch(error => {
+                logger.error(`账户 ${email} 后台重新登录出错`, 'DREAMINA', '', error)
+                return false
+            })
+            .then(success => {
+                this._reloginJobs.delete(email)
+                sse.broadcast('account:relogin:done', { email, success })
+                return success
+            })
+
+        this._reloginJobs.set(email, job)
+        return job
+    }
+
+    isReloginPending(email) {
+        return this._reloginJobs.has(email)
+    }
+
     getAllAccounts() {
         return this.dreaminaAccounts
     }
 
+    isAccountSelectable(email) {
+        return this.accountHealth.isSelectable(email)
+    }
+
+    claimAccount(email) {
+        this.accountHealth.claim(email)
+    }
+
+    reportAccountResult(email, status, headers) {
+        this.accountHealth.record(email, status, headers)
+    }
+
+    benchAccount(email, durationMs, reason) {
+        this.accountHealth.bench(email, durationMs, reason)
+    }
+
+    getAccountHealth(email) {
+        return this.accountHealth.getSnapshot(email)
+    }
+
+    /**
+     * 查询单个账户积分余额
+     * @param {string} email - 账户邮箱
+     * @returns {Promise<number|null>} 最新余额
+     */
+    async refreshAccountCredit(email) {
+        const account = this.dreaminaAccounts.find(acc => acc.email === email)
+        if (!account) return null
+        const balance = await this.creditTracker.refresh(account)
+        this._checkCreditPool()
+        return balance
+    }
+
+    /**
+     * 依次查询所有账户积分余额
+     * @returns {Promise<number>} 查询成功的账户数
+     */
+    async refreshAllCredits() {
+        let successCount = 0
+        try {
+            for (const account of [...this.dreaminaAccounts]) {
+                if (!account.sessionid || account.sessionid_revoked) continue
+                const balance = await this.creditTracker.refresh(account)
+                if (balance !== null) successCount++
+            }
+            logger.info(`积分查询完成，成功 ${successCount} 个账户`, 'CREDIT', '💰')
+            this._checkCreditPool()
+        } catch (error) {
+            logger.error('批量查询积分失败', 'CREDIT', '', error)
+        }
+        return successCount
+    }
+
+    /**
+     * 在线校验单个账户的 SessionID
+     * @param {string} email - 账户邮箱
+     * @returns {Promise<Object|null>} 校验结果，账户不存在或没有 sessionid 时返回 null
+     */
+    async verifySession(email) {
+        const account = this.dreaminaAccounts.find(acc => acc.email === email)
+        if (!account || !account.sessionid) return null
+        const outcome = await this.sessionVerifier.verify(account)
+        this._applyVerifyResult(account, outcome)
+        return outcome
+    }
+
+    /**
+     * 在线校验所有账户的 SessionID，失效的会话标记为已吊销并排队重新登录
+     * @returns {Promise<Object>} { valid, invalid, error }
+     */
+    async verifyAllSessions() {
+        const counts = { valid: 0, invalid: 0, error: 0 }
+        if (this._verifying) {
+            logger.info('上一轮 SessionID 校验尚未结束，跳过本次', 'SESSION')
+            return counts
+        }
+        this._verifying = true
+        try {
+            const targets = this.dreaminaAccounts.filter(acc => acc.sessionid && !acc.sessionid_revoked)
+            Object.assign(counts, await this.sessionVerifier.verifyAll(targets, (account, outcome) => {
+                this._applyVerifyResult(account, outcome)
+            }))
+            logger.info(`SessionID 校验完成: 有效 ${counts.valid}，失效 ${counts.invalid}，无法判断 ${counts.error}`, 'SESSION', '🩺')
+        } catch (error) {
+            logger.error('批量校验 SessionID 失败', 'SESSION', '', error)
+        } finally {
+            this._verifying = false
+        }
+        return counts
+    }
+
+    /**
+     * 在账户上记录校验结果（仅保存在内存中，与 sessionid_revoked 一致）；会话已失效时标记并重新登录
+     * @private
+     */
+    _applyVerifyResult(account, outcome) {
+        // 校验期间 sessionid 已被更新（如重新登录）时丢弃结果
+        const current = this.dreaminaAccounts.find(acc => acc.email === account.email)
+        if (!current || current.sessionid !== account.sessionid) return
+
+        current.lastVerifiedAt = outcome.verifiedAt
+        current.lastVerifyResult = outcome.result
+        current.lastVerifyLatencyMs = outcome.latencyMs
+        current.lastVerifyError = outcome.error
+
+        if (outcome.result === 'invalid') {
+            logger.warn(`账户 ${current.email} 的 SessionID 校验失败: ${outcome.error}`, 'SESSION')
+            this.markSessionRevoked(current.email, current.sessionid)
+        } else if (outcome.result === 'error') {
+            logger.warn(`账户 ${current.email} 的 SessionID 校验无法完成: ${outcome.error}`, 'SESSION')
+        }
+    }
+
+    hasEnoughCredit(email) {
+        return this.creditTracker.hasEnough(email)
+    }
+
+    recordCreditUsage(email, body) {
+        if (this.creditTracker.recordUsage(email, body) !== null) {
+            this._checkCreditPool()
+        }
+    }
+
+    getAccountCredit(email) {
+        return this.creditTracker.getSnapshot(email)
+    }
+
+    getCreditStats() {
+        return this.creditTracker.getPoolStats(this.dreaminaAccounts.map(acc => acc.email))
+    }
+
+    _checkCreditPool() {
+        const lowStats = this.creditTracker.checkPoolLow(this.dreaminaAccounts.map(acc => acc.email))
+        if (lowStats) {
+            sse.broadcast('credits:low', lowStats)
+        }
+    }
+
     getHealthStats() {
         const sessionIdStats = this.tokenManager.getSessionIdHealthStats(this.dreaminaAccounts)
         
@@ -322,6 +727,14 @@ class DreaminaAccount {
             clearInterval(this._dailyTimer)
             this._dailyTimer = null
         }
+        if (this._creditTimer) {
+            clearInterval(this._creditTimer)
+            this._creditTimer = null
+        }
+        if (this._verifyTimer) {
+            clearInterval(this._verifyTimer)
+            this._verifyTimer = null
+        }
         
         logger.info('Dreamina 账户管理器已清理资源', 'DREAMINA', '🧹')
     }
@@ -335,11 +748,17 @@ process.on('exit', () => {
     }
 })
 
-process.on('SIGINT', () => {
+// 退出前关闭浏览器池中的常驻浏览器（最多等待 5 秒）
+// 收到退出信号后由此处统一退出进程，其他信号处理器不应直接调用 process.exit
+const shutdown = () => {
     if (dreaminaAccountManager) {
         dreaminaAccountManager.destroy()
     }
-    process.exit(0)
-})
+    const timeout = new Promise(resolve => setTimeout(resolve, 5000))
+    Promise.race([browserPool.shutdown(), timeout]).finally(() => process.exit(0))
+}
+
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
 
 module.exports = dreaminaAccountManager
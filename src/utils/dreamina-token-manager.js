@@ -1,281 +1,168 @@
-const { chromium } = require('playwright')
 const { logger } = require('./logger')
-const config = require('../config')
+const browserPool = require('./browser-pool')
+const loginScheduler = require('./login-scheduler')
+const storageStateStore = require('./storage-state-store')
+const loginDiagnostics = require('./login-diagnostics')
+const loginFlow = require('./login-flow')
+const loginChallenge = require('./login-challenge')
+const emailCodeFetcher = require('./email-code-fetcher')
+const loginProfile = require('./login-profile')
+
+// 单次登录最多挂起等待人工处理的次数
+const MAX_CHALLENGES_PER_LOGIN = 5
+// 人工处理完成后等待页面签发 sessionid 的时长
+const CHALLENGE_SETTLE_MS = 15000
 
 class DreaminaTokenManager {
   constructor() {
-    this.loginUrl = 'https://dreamina.capcut.com/ai-tool/home'
     this.defaultTimeout = 30000
   }
 
-  async login(email, password) {
-    let browser = null
+  /**
+   * 登录并获取 sessionid（经登录调度器排队，限制并发与频率）
+   * 传入当前账户时先尝试恢复已保存的浏览器状态换取新的 sessionid，失败再走账号密码登录
+   * @param {string} email - 邮箱
+   * @param {string} password - 密码
+   * @param {Object|null} current - 当前账户（刷新时传入，含旧的 sessionid 与过期时间）
+   * @param {Object} options - { mailbox, loginProfile }：邮箱配置（自动读取邮箱验证码）与登录配置（指纹与代理），缺省取当前账户的配置
+   * @returns {Promise<Object|null>} { sessionid, expires }，失败返回 null
+   */
+  async login(email, password, current = null, options = {}) {
+    const mailbox = options.mailbox || (current && current.mailbox) || null
+    const contextOptions = loginProfile.getContextOptions(email, options.loginProfile || (current && current.loginProfile) || null)
+    return loginScheduler.schedule(email, async (slot) => {
+      if (current && storageStateStore.isEnabled()) {
+        const restored = await this._restoreSession(email, current, contextOptions)
+        if (restored) return restored
+      }
+      return this._login(email, password, contextOptions, mailbox, slot)
+    })
+  }
+
+  /**
+   * 恢复已保存的浏览器状态并打开首页，检查上游是否签发了新的 sessionid
+   * sessionid 未变化且过期时间未延长时视为失败（如会话已被吊销）
+   * @private
+   */
+  async _restoreSession(email, current, contextOptions) {
+    const state = await storageStateStore.load(email)
+    if (!state) return null
+
+    let lease = null
     let context = null
-    let page = null
-    
     try {
-      logger.info(`开始登录 Dreamina 账户: ${email}`, 'DREAMINA')
-      
-      const launchOptions = {
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--incognito']
+      logger.info(`尝试使用已保存的浏览器状态刷新: ${email}`, 'DREAMINA', '♻️')
+      lease = await browserPool.acquire()
+      context = await lease.browser.newContext({ ...contextOptions, storageState: state })
+      const flow = loginFlow.getFlow()
+      const page = await context.newPage()
+      await page.goto(flow.url, { waitUntil: 'networkidle', timeout: 60000 })
+      await this._delay(3000)
+
+      const cookies = await context.cookies()
+      const sessionidCookie = cookies.find(cookie => cookie.name === (flow.sessionCookie || 'sessionid'))
+      if (!sessionidCookie || !sessionidCookie.value) {
+        logger.info(`浏览器状态已失效（无 sessionid），改用账号密码登录: ${email}`, 'DREAMINA')
+        return null
       }
 
-      // 代理支持（http/https/socks5）
-      if (config.browserProxyEnable && config.browserProxyUrl) {
-        try {
-          launchOptions.proxy = {
-            server: config.browserProxyUrl,
-            username: config.browserProxyUsername || undefined,
-            password: config.browserProxyPassword || undefined
-          }
-          logger.info(`启用浏览器代理：${config.browserProxyUrl}`, 'DREAMINA')
-        } catch (e) {
-          logger.warn(`代理配置无效，忽略。原因: ${e.message}`, 'DREAMINA')
-        }
+      const sessionid = sessionidCookie.value
+      const cookieExpires = sessionidCookie.expires > 0 ? Math.floor(sessionidCookie.expires) : 0
+      const renewed = sessionid !== current.sessionid || cookieExpires > (current.sessionid_expires || 0)
+      const expires = cookieExpires || Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60)
+      if (!renewed || !this.validateSessionId(sessionid, expires)) {
+        logger.info(`浏览器状态未换取到新的 sessionid，改用账号密码登录: ${email}`, 'DREAMINA')
+        return null
       }
 
-      browser = await chromium.launch(launchOptions)
+      await storageStateStore.save(email, await context.storageState())
+      logger.success(`${email} 已通过保存的浏览器状态刷新 sessionid`, 'DREAMINA')
+      return { sessionid, expires }
+    } catch (error) {
+      logger.warn(`恢复浏览器状态失败，改用账号密码登录 (${email}): ${error.message}`, 'DREAMINA')
+      return null
+    } finally {
+      if (context) await context.close().catch(() => {})
+      if (lease) lease.release()
+    }
+  }
+
+  async _login(email, password, contextOptions, mailbox = null, slot = null) {
+    // 从浏览器池借用常驻浏览器，每次登录使用独立的上下文
+    let lease = null
+    let context = null
+    let page = null
+    // 当前步骤与控制台错误，登录失败时写入诊断
+    let step = '准备浏览器'
+    let consoleErrors = []
+    // 本次登录使用开始时的流程定义
+    const flow = loginFlow.getFlow()
+    const cookieName = flow.sessionCookie || 'sessionid'
+    const startedAt = Date.now()
+    
+    try {
+      logger.info(`开始登录 Dreamina 账户: ${email}${contextOptions.proxy ? `（代理 ${contextOptions.proxy.server}）` : ''}`, 'DREAMINA')
+
+      lease = await browserPool.acquire()
       
-      context = await browser.newContext({
-        viewport: { width: 1280, height: 720 },
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      })
+      context = await lease.browser.newContext(contextOptions)
       
       page = await context.newPage()
+      consoleErrors = loginDiagnostics.watchPage(page)
       
-      await page.goto(this.loginUrl, { waitUntil: 'networkidle', timeout: 60000 })
-      await this._delay(500)
-      
-      const screenshotPath = 'screenshot-disabled'
-      // screenshot disabled: removed page.screenshot
-      // logger.info(`页面截图已保存: ${screenshotPath}`, 'DREAMINA')
-      logger.info(`页面标题: ${await page.title()}`, 'DREAMINA')
-      
-      logger.info('步骤1: 查找并点击 Create 菜单项...', 'DREAMINA')
-      await page.waitForTimeout(3000)
-      
-      // 先尝试点击 Create 菜单项
-      const createSelectors = [
-        'div[role="menuitem"]:has-text("Create")',
-        'div.lv-menu-item:has-text("Create")',
-        'div#AIGeneratedRecord:has-text("Create")'
-      ]
-      
-      let createBtn = null
-      for (const selector of createSelectors) {
+      const onStep = (current, index, total) => {
+        step = `步骤${index + 1}/${total}: ${current.name}`
+      }
+      let resumeAt = 0
+      let sessionidCookie = null
+      let autoCodeTried = false
+      for (let held = 0; ; held++) {
+        let flowError = null
         try {
-          const btn = page.locator(selector).first()
-          const count = await btn.count()
-          logger.info(`尝试 Create 选择器: ${selector}, 找到 ${count} 个元素`, 'DREAMINA')
-          if (count > 0) {
-            const isVisible = await btn.isVisible().catch(() => false)
-            logger.info(`Create 选择器 ${selector} 可见性: ${isVisible}`, 'DREAMINA')
-            if (isVisible) {
-              logger.info(`找到 Create 按钮，使用选择器: ${selector}`, 'DREAMINA')
-              createBtn = btn
-              break
-            }
-          }
+          await loginFlow.runFlow(page, flow, { email, password }, onStep, resumeAt)
         } catch (e) {
-          logger.info(`Create 选择器 ${selector} 出错: ${e.message}`, 'DREAMINA')
-          continue
+          flowError = e
         }
-      }
-      
-      if (createBtn) {
-        await createBtn.click({ timeout: 10000 })
-        await this._delay(1000)
-        logger.info('已点击 Create 菜单项，继续查找登录入口', 'DREAMINA')
-      } else {
-        logger.info('没有找到 Create 菜单项，尝试点击 Sign in 按钮', 'DREAMINA')
         
-        // 尝试点击 Sign in 按钮
-        const signInSelectors = [
-          'button:has-text("Sign in")',
-          'a:has-text("Sign in")',
-          'div[role="menuitem"]:has-text("Sign in")',
-          '#SiderMenuLogin',
-          '[class*="login"]',
-          'div:has-text("Sign in")',
-          'span:has-text("Sign in")'
-        ]
+        // 步骤失败时保留失败的步骤，供诊断记录
+        if (!flowError) step = `获取 Cookie 中的 ${cookieName}`
+        logger.info(`获取 Cookie 中的 ${cookieName}...`, 'DREAMINA')
+        // 人工处理后页面可能仍在跳转，稍等 sessionid 签发
+        sessionidCookie = await this._waitForCookie(context, cookieName, held > 0 ? CHALLENGE_SETTLE_MS : 0)
+        if (sessionidCookie) break
         
-        let signInBtn = null
-        for (const selector of signInSelectors) {
-          try {
-            const btn = page.locator(selector).first()
-            const count = await btn.count()
-            logger.info(`尝试 Sign in 选择器: ${selector}, 找到 ${count} 个元素`, 'DREAMINA')
-            if (count > 0) {
-              const isVisible = await btn.isVisible().catch(() => false)
-              logger.info(`Sign in 选择器 ${selector} 可见性: ${isVisible}`, 'DREAMINA')
-              if (isVisible) {
-                logger.info(`找到 Sign in 按钮，使用选择器: ${selector}`, 'DREAMINA')
-                signInBtn = btn
-                break
-              }
-            }
-          } catch (e) {
-            logger.info(`Sign in 选择器 ${selector} 出错: ${e.message}`, 'DREAMINA')
-            continue
-          }
+        // 遇到验证码时挂起登录等待处理，完成后从中断的步骤继续：
+        // 配置了邮箱的账户先自动读取邮箱验证码（每次登录一次），其余情况交给人工处理
+        const challenge = held < MAX_CHALLENGES_PER_LOGIN ? await loginFlow.detectChallenge(page, flow) : null
+        const autoCode = !!challenge && challenge.type === 'code' && !!mailbox && !autoCodeTried
+        if (challenge && !autoCode && !loginChallenge.isEnabled()) {
+          throw new Error(`登录遇到${challenge.name}，未启用人工处理`)
         }
-        
-        if (signInBtn) {
-          await signInBtn.click({ timeout: 10000 })
-          await this._delay(500)
-        } else {
-          const buttons = await page.locator('button').allTextContents()
-          const links = await page.locator('a').allTextContents()
-          const divs = await page.locator('div[role="menuitem"]').allTextContents()
-          logger.info(`页面上的按钮: ${buttons.join(', ')}`, 'DREAMINA')
-          logger.info(`页面上的链接: ${links.join(', ')}`, 'DREAMINA')
-          logger.info(`页面上的菜单项: ${divs.join(', ')}`, 'DREAMINA')
-          throw new Error('无法找到 Create 菜单项或 Sign in 按钮')
+        if (!challenge) {
+          if (flowError) throw flowError
+          const cookies = await context.cookies()
+          logger.info(`所有 Cookie 详情: ${JSON.stringify(cookies.map(c => ({name: c.name, domain: c.domain, value: c.value.substring(0, 30)})), null, 2)}`, 'DREAMINA')
+          throw new Error(`未找到 ${cookieName} Cookie，可能是登录失败或账号密码错误`)
         }
-      }
-      
-      logger.info('步骤2: 点击 Continue with email...', 'DREAMINA')
-      const emailSelectors = [
-        'span.lv_new_third_part_sign_in_expand-label:has-text("Continue with email")',
-        'text=Continue with email',
-        '[class*="sign_in_expand-label"]'
-      ]
-      
-      let continueEmail = null
-      for (const selector of emailSelectors) {
-        try {
-          const btn = page.locator(selector).first()
-          if (await btn.count() > 0 && await btn.isVisible()) {
-            logger.info(`找到 Continue with email，使用选择器: ${selector}`, 'DREAMINA')
-            continueEmail = btn
-            break
-          }
-        } catch (e) {
-          continue
-        }
-      }
-      
-      if (!continueEmail) {
-        // await this._delay(500000)
-        throw new Error('无法找到 Continue with email 按钮')
-      }
-      
-      await continueEmail.click({ timeout: 10000 })
-      await this._delay(500)
-      
-      logger.info('步骤3: 填入邮箱地址...', 'DREAMINA')
-      const emailInputSelectors = [
-        'input[placeholder="Enter email"]',
-        'input[autocomplete="on"][placeholder*="email"]',
-        'input[type="email"]'
-      ]
-      
-      let emailInput = null
-      for (const selector of emailInputSelectors) {
-        try {
-          const input = page.locator(selector).first()
-          if (await input.count() > 0 && await input.isVisible()) {
-            logger.info(`找到邮箱输入框，使用选择器: ${selector}`, 'DREAMINA')
-            emailInput = input
-            break
-          }
-        } catch (e) {
-          continue
-        }
-      }
-      
-      if (!emailInput) {
-        throw new Error('无法找到邮箱输入框')
-      }
-      
-      await emailInput.fill(email)
-      await this._delay(500)
-      
-      logger.info('步骤4: 填入密码...', 'DREAMINA')
-      const passwordInputSelectors = [
-        'input.lv-input.lv-input-size-default[type="password"][placeholder="Enter password"]',
-        'input[type="password"][placeholder="Enter password"]',
-        'input[type="password"]'
-      ]
-      
-      let passwordInput = null
-      for (const selector of passwordInputSelectors) {
-        try {
-          const input = page.locator(selector).first()
-          if (await input.count() > 0 && await input.isVisible()) {
-            logger.info(`找到密码输入框，使用选择器: ${selector}`, 'DREAMINA')
-            passwordInput = input
-            break
-          }
-        } catch (e) {
-          continue
-        }
-      }
-      
-      if (!passwordInput) {
-        throw new Error('无法找到密码输入框')
-      }
-      
-      await passwordInput.fill(password)
-      await this._delay(500)
-      
-      logger.info('步骤5: 点击 Continue 按钮...', 'DREAMINA')
-      const continueBtnSelectors = [
-        'button:has-text("Continue")',
-        'button.lv-btn-primary:has-text("Continue")',
-        'button.lv-btn.lv-btn-primary.lv-btn-size-large.lv_new_sign_in_panel_wide-sign-in-button:has-text("Continue")'
-      ]
-      
-      let continueBtn = null
-      for (const selector of continueBtnSelectors) {
-        try {
-          const btn = page.locator(selector).first()
-          if (await btn.count() > 0 && await btn.isVisible()) {
-            logger.info(`找到 Continue 按钮，使用选择器: ${selector}`, 'DREAMINA')
-            continueBtn = btn
-            break
+        if (autoCode) {
+          autoCodeTried = true
+          step = `读取邮箱验证码: ${challenge.name}`
+          const code = await emailCodeFetcher.waitForCode(mailbox, { email, since: startedAt })
+          // 未取到验证码时下一轮重新检测，交给人工处理
+          if (code) await loginFlow.submitChallengeCode(page, challenge, code)
+        } else {
+          step = `等待人工处理: ${challenge.name}`
+          // 等待期间让出登录调度与浏览器的名额，挂起的登录数由 LOGIN_CHALLENGE_MAX_HELD 单独限制
+          if (slot) slot.suspend()
+          lease.suspend()
+          try {
+            await loginChallenge.hold({ email, challenge, page })
+          } finally {
+            lease.resume()
+            if (slot) slot.resume()
           }
-        } catch (e) {
-          continue
-        }
-      }
-      
-      if (!continueBtn) {
-        throw new Error('无法找到 Continue 按钮')
-      }
-      
-      await continueBtn.click({ timeout: 10000 })
-      
-      logger.info('步骤6: 等待页面跳转...', 'DREAMINA')
-      try {
-        await page.waitForURL('**/dreamina.capcut.com/**', { timeout: 30000 })
-        logger.info(`页面已跳转到: ${page.url()}`, 'DREAMINA')
-      } catch (e) {
-        logger.info(`等待URL超时，当前URL: ${page.url()}`, 'DREAMINA')
-        const errorText = await page.locator('.lv-message, .error, [class*="error"]').allTextContents()
-        if (errorText.length > 0) {
-          logger.info(`页面错误信息: ${errorText.join(', ')}`, 'DREAMINA')
         }
-        await page.waitForLoadState('networkidle', { timeout: 10000 })
-      }
-      await this._delay(15000)
-      
-      // const finalScreenshot = 'screenshot-disabled'
-      // screenshot disabled: removed page.screenshot
-      // logger.info(`最终页面截图: ${finalScreenshot}`, 'DREAMINA')
-      
-      logger.info('步骤7: 获取 Cookie 中的 sessionid...', 'DREAMINA')
-      const cookies = await context.cookies()
-      logger.info(`获取到 ${cookies.length} 个 Cookie`, 'DREAMINA')
-      logger.info(`所有 Cookie: ${cookies.map(c => c.name).join(', ')}`, 'DREAMINA')
-      
-      const sessionidCookie = cookies.find(cookie => cookie.name === 'sessionid')
-      
-      if (!sessionidCookie) {
-        logger.info(`所有 Cookie 详情: ${JSON.stringify(cookies.map(c => ({name: c.name, domain: c.domain, value: c.value.substring(0, 30)})), null, 2)}`, 'DREAMINA')
-        throw new Error('未找到 sessionid Cookie，可能是登录失败或账号密码错误')
+        resumeAt = flowError && flowError.stepIndex !== undefined ? flowError.stepIndex : flow.steps.length
       }
       
       const sessionid = sessionidCookie.value
@@ -283,6 +170,10 @@ class DreaminaTokenManager {
       logger.info(`找到 Cookie: ${sessionidCookie.name}`, 'DREAMINA')
       logger.info('${sessionidCookie.name} expires in {expires}')
       logger.success(`${email} 登录成功，获取到 sessionid`, 'DREAMINA')
+
+      if (storageStateStore.isEnabled()) {
+        await storageStateStore.save(email, await context.storageState())
+      }
       
       return {
         sessionid,
@@ -290,7 +181,8 @@ class DreaminaTokenManager {
       }
       
     } catch (error) {
-      logger.error(`${email} 登录失败`, 'DREAMINA', '', error)
+      logger.error(`${email} 登录失败（${step}）`, 'DREAMINA', '', error)
+      await loginDiagnostics.capture({ email, step, error, page, consoleErrors })
       return null
     } finally {
       try {
@@ -299,18 +191,24 @@ class DreaminaTokenManager {
       try {
         if (context) await context.close().catch(() => {})
       } catch (_) {}
-      try {
-        if (browser) await browser.close().catch(() => {})
-      } catch (_) {}
+      if (lease) lease.release()
       page = null
       context = null
-      browser = null
+      lease = null
     }
   }
 
-  validateSessionId(sessionid, expires) {
+  /**
+   * 判断 sessionid 是否可用：未过期，且最近一次在线校验（如有）未判定为失效
+   * @param {string} sessionid - sessionid
+   * @param {number} expires - 过期时间（秒）
+   * @param {string|null} verifyResult - 最近一次在线校验结果（valid / invalid / error）
+   * @returns {boolean}
+   */
+  validateSessionId(sessionid, expires, verifyResult = null) {
     try {
       if (!sessionid) return false
+      if (verifyResult === 'invalid') return false
       
       const now = Math.floor(Date.now() / 1000)
       if (expires && expires <= now) {
@@ -342,7 +240,7 @@ class DreaminaTokenManager {
 
   async refreshSessionId(account) {
     try {
-      const result = await this.login(account.email, account.password)
+      const result = await this.login(account.email, account.password, account)
       if (!result) {
         return null
       }
@@ -350,7 +248,13 @@ class DreaminaTokenManager {
       const updatedAccount = {
         ...account,
         sessionid: result.sessionid,
-        sessionid_expires: result.expires
+        sessionid_expires: result.expires,
+        sessionid_revoked: false,
+        // 在线校验结果只针对旧的 sessionid
+        lastVerifiedAt: null,
+        lastVerifyResult: null,
+        lastVerifyLatencyMs: null,
+        lastVerifyError: null
       }
       
       const remainingHours = this.getSessionIdRemainingHours(result.expires)
@@ -365,6 +269,7 @@ class DreaminaTokenManager {
 
   async batchRefreshSessionIds(accounts, thresholdHours = 24, onEachRefresh = null) {
     const needsRefresh = accounts.filter(account =>
+      account.refreshable !== false &&
       this.isSessionIdExpiringSoon(account.sessionid_expires, thresholdHours)
     )
     
@@ -375,32 +280,24 @@ class DreaminaTokenManager {
     
     logger.info(`发现 ${needsRefresh.length} 个 SessionID 需要刷新`, 'DREAMINA')
     
-    const refreshed = []
-    const failed = []
-    
-    for (let i = 0; i < needsRefresh.length; i++) {
-      const account = needsRefresh[i]
-      const updatedAccount = await this.refreshSessionId(account)
-      
-      if (updatedAccount) {
-        refreshed.push(updatedAccount)
-        
-        if (onEachRefresh && typeof onEachRefresh === 'function') {
+    const { succeeded, failed } = await loginScheduler.runBatch(
+      needsRefresh,
+      account => this.refreshSessionId(account),
+      async ({ item, result, success, done, total }) => {
+        logger.info(`SessionID 刷新进度 ${done}/${total}: ${item.email} ${success ? '成功' : '失败'}`, 'DREAMINA')
+        if (success && onEachRefresh && typeof onEachRefresh === 'function') {
           try {
-            await onEachRefresh(updatedAccount, i + 1, needsRefresh.length)
+            await onEachRefresh(result, done, total)
           } catch (error) {
-            logger.error(`刷新回调函数执行失败 (${account.email})`, 'DREAMINA', '', error)
+            logger.error(`刷新回调函数执行失败 (${item.email})`, 'DREAMINA', '', error)
           }
         }
-      } else {
-        failed.push(account)
       }
-      
-      await this._delay(2000)
-    }
+    )
+    const refreshed = succeeded.map(entry => entry.result)
     
     logger.success(`SessionID 刷新完成: 成功 ${refreshed.length} 个，失败 ${failed.length} 个`, 'DREAMINA')
-    return { refreshed, failed }
+    return { refreshed, failed: failed.map(entry => entry.item) }
   }
 
   getSessionIdHealthStats(accounts) {
@@ -409,16 +306,30 @@ class DreaminaTokenManager {
       valid: 0,
       expired: 0,
       expiringSoon: 0,
-      invalid: 0
+      invalid: 0,
+      // 在线校验：最近一次结果为有效 / 失效 / 无法判断 / 从未校验的账户数，以及平均耗时
+      verify: { valid: 0, invalid: 0, error: 0, unverified: 0, avgLatencyMs: null }
     }
+    let latencyTotal = 0
+    let latencyCount = 0
     
     accounts.forEach(account => {
+      if (account.lastVerifyResult && stats.verify[account.lastVerifyResult] !== undefined) {
+        stats.verify[account.lastVerifyResult]++
+        if (Number.isFinite(account.lastVerifyLatencyMs)) {
+          latencyTotal += account.lastVerifyLatencyMs
+          latencyCount++
+        }
+      } else {
+        stats.verify.unverified++
+      }
+
       if (!account.sessionid) {
         stats.invalid++
         return
       }
       
-      if (!this.validateSessionId(account.sessionid, account.sessionid_expires)) {
+      if (account.sessionid_revoked || !this.validateSessionId(account.sessionid, account.sessionid_expires, account.lastVerifyResult)) {
         stats.invalid++
         return
       }
@@ -433,9 +344,27 @@ class DreaminaTokenManager {
       }
     })
     
+    if (latencyCount > 0) stats.verify.avgLatencyMs = Math.round(latencyTotal / latencyCount)
     return stats
   }
 
+  /**
+   * 在 timeoutMs 内轮询上下文中的指定 Cookie
+   * @private
+   */
+  async _waitForCookie(context, name, timeoutMs) {
+    const deadline = Date.now() + timeoutMs
+    while (true) {
+      const cookies = await context.cookies()
+      const found = cookies.find(cookie => cookie.name === name)
+      if (found || Date.now() >= deadline) {
+        if (!found) logger.info(`所有 Cookie: ${cookies.map(c => c.name).join(', ')}`, 'DREAMINA')
+        return found || null
+      }
+      await this._delay(500)
+    }
+  }
+
   async _delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms))
   }
@@ -0,0 +1,197 @@
+const config = require('../config')
+const ImapClient = require('./imap-client')
+const { logger } = require('./logger')
+
+/**
+ * 通过 IMAP 自动读取邮箱验证码
+ * 登录遇到邮箱验证码时，对配置了邮箱的账户轮询收件箱中的 Dreamina 邮件，按正则提取验证码
+ * - 只读取本次登录开始之后（允许一分钟的时钟误差）收到、发件人包含 EMAIL_CODE_FROM 的邮件
+ * - 验证码取正则的第一个捕获分组（无分组时取整个匹配），账户邮箱配置的 codePattern 优先于 EMAIL_CODE_PATTERN
+ * 账户邮箱配置：{ host, port, secure, user, secret, codePattern }
+ */
+
+// 邮件服务器与本机的时钟误差
+const CLOCK_SKEW_MS = 60000
+// 单次 IMAP 连接的空闲超时
+const IMAP_TIMEOUT_MS = 15000
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== ''
+
+/**
+ * 校验账户邮箱配置
+ * @param {Object} mailbox - 邮箱配置
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+const validateMailbox = (mailbox) => {
+  if (!mailbox || typeof mailbox !== 'object' || Array.isArray(mailbox)) return 'mailbox must be object'
+  if (!isNonEmptyString(mailbox.host)) return 'host must be non-empty string'
+  if (!isNonEmptyString(mailbox.user)) return 'user must be non-empty string'
+  if (!isNonEmptyString(mailbox.secret)) return 'secret must be non-empty string'
+  if (mailbox.port !== undefined && (!Number.isInteger(mailbox.port) || mailbox.port <= 0 || mailbox.port > 65535)) return 'port must be 1-65535'
+  if (mailbox.secure !== undefined && typeof mailbox.secure !== 'boolean') return 'secure must be boolean'
+  if (mailbox.codePattern !== undefined) {
+    if (!isNonEmptyString(mailbox.codePattern)) return 'codePattern must be non-empty string'
+    try {
+      new RegExp(mailbox.codePattern)
+    } catch (e) {
+      return `codePattern is invalid: ${e.message}`
+    }
+  }
+  return null
+}
+
+/**
+ * 规范化邮箱配置（只保留已知字段）
+ * @param {Object} mailbox - 已校验的邮箱配置
+ * @returns {Object}
+ */
+const normalizeMailbox = (mailbox) => ({
+  host: mailbox.host.trim(),
+  port: mailbox.port,
+  secure: mailbox.secure !== false,
+  user: mailbox.user.trim(),
+  secret: mailbox.secret,
+  codePattern: mailbox.codePattern
+})
+
+const decodeQuotedPrintable = (text) => {
+  const bytes = Buffer.from(text.replace(/=\r?\n/g, ''), 'latin1')
+  const out = []
+  for (let i = 0; i < bytes.length; i++) {
+    const hex = bytes[i] === 0x3d ? bytes.toString('latin1', i + 1, i + 3) : ''
+    if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+      out.push(parseInt(hex, 16))
+      i += 2
+    } else {
+      out.push(bytes[i])
+    }
+  }
+  return Buffer.from(out).toString('utf-8')
+}
+
+const decodeEncodedWords = (text) => text.replace(/=\?[^?]+\?([BbQq])\?([^?]*)\?=/g, (match, encoding, data) => (
+  encoding.toUpperCase() === 'B'
+    ? Buffer.from(data, 'base64').toString('utf-8')
+    : decodeQuotedPrintable(data.replace(/_/g, ' '))
+))
+
+const splitMessage = (raw) => {
+  const index = raw.search(/\r?\n\r?\n/)
+  if (index === -1) return { headers: raw, body: '' }
+  return { headers: raw.slice(0, index), body: raw.slice(index).replace(/^\r?\n\r?\n/, '') }
+}
+
+const getHeader = (headers, name) => {
+  const unfolded = headers.replace(/\r?\n[ \t]+/g, ' ')
+  const match = unfolded.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'))
+  return match ? match[1].trim() : ''
+}
+
+/**
+ * 提取 MIME 邮件的主题与正文文本（HTML 去除标签）
+ * @param {string} raw - 原始邮件
+ * @returns {string}
+ */
+const extractText = (raw) => {
+  const { headers, body } = splitMessage(raw)
+  const contentType = getHeader(headers, 'Content-Type').toLowerCase()
+  const boundary = getHeader(headers, 'Content-Type').match(/boundary="?([^";]+)"?/i)
+  const subject = decodeEncodedWords(getHeader(headers, 'Subject'))
+
+  if (contentType.startsWith('multipart/') && boundary) {
+    const parts = body
+      .split(`--${boundary[1]}`)
+      .filter(part => part.trim() && !part.startsWith('--'))
+      .map(part => extractText(part.replace(/^\r?\n/, '')))
+    return [subject, ...parts].filter(Boolean).join('\n')
+  }
+
+  const encoding = getHeader(headers, 'Content-Transfer-Encoding').toLowerCase()
+  let text = body
+  if (encoding === 'base64') {
+    text = Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf-8')
+  } else if (encoding === 'quoted-printable') {
+    text = decodeQuotedPrintable(body)
+  }
+  if (contentType.startsWith('text/html')) {
+    text = text.replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ')
+  }
+  return subject ? `${subject}\n${text}` : text
+}
+
+/**
+ * 按正则从邮件中提取验证码
+ * @param {string} raw - 原始邮件
+ * @param {string} pattern - 正则
+ * @returns {string|null}
+ */
+const extractCode = (raw, pattern) => {
+  const match = extractText(raw).match(new RegExp(pattern))
+  if (!match) return null
+  return (match[1] !== undefined ? match[1] : match[0]).trim()
+}
+
+/**
+ * 查找一次收件箱中最新的验证码
+ * @private
+ */
+const findLatestCode = async (mailbox, since) => {
+  const client = new ImapClient({ ...mailbox, timeoutMs: IMAP_TIMEOUT_MS })
+  try {
+    await client.connect()
+    await client.select('INBOX')
+    // SEARCH SINCE 按日期匹配且受服务端时区影响，往前放宽一天，再按 INTERNALDATE 精确过滤
+    let criteria = `SINCE ${ImapClient.formatSearchDate(since - 24 * 60 * 60 * 1000)}`
+    if (config.emailCodeFrom) criteria += ` FROM ${ImapClient.quote(config.emailCodeFrom)}`
+    const uids = await client.search(criteria)
+    const pattern = mailbox.codePattern || config.emailCodePattern
+
+    // 从新到旧查找
+    for (const uid of uids.sort((a, b) => b - a)) {
+      const message = await client.fetch(uid)
+      if (!message || (message.internalDate && message.internalDate < since)) continue
+      const code = extractCode(message.raw, pattern)
+      if (code) return code
+    }
+    return null
+  } finally {
+    await client.logout()
+  }
+}
+
+/**
+ * 轮询邮箱直到取得验证码或超时
+ * @param {Object} mailbox - 账户邮箱配置
+ * @param {Object} options - { email, since }，since 为本次登录开始时间（毫秒）
+ * @returns {Promise<string|null>} 验证码，超时返回 null
+ */
+const waitForCode = async (mailbox, { email, since }) => {
+  const deadline = Date.now() + config.emailCodeTimeoutMs
+  const after = since - CLOCK_SKEW_MS
+  logger.info(`开始从邮箱 ${mailbox.user} 读取验证码: ${email}`, 'LOGIN', '📬')
+
+  while (true) {
+    try {
+      const code = await findLatestCode(mailbox, after)
+      if (code) {
+        logger.success(`已从邮箱读取到验证码: ${email}`, 'LOGIN')
+        return code
+      }
+    } catch (e) {
+      logger.warn(`读取邮箱 ${mailbox.user} 失败: ${e.message}`, 'LOGIN')
+    }
+    if (Date.now() + config.emailCodePollIntervalMs > deadline) break
+    await new Promise(resolve => setTimeout(resolve, config.emailCodePollIntervalMs))
+  }
+
+  logger.warn(`等待邮箱验证码超时: ${email}`, 'LOGIN')
+  return null
+}
+
+module.exports = {
+  validateMailbox,
+  normalizeMailbox,
+  extractText,
+  extractCode,
+  waitForCode
+}
@@ -0,0 +1,190 @@
+const config = require('../config')
+const { collectByPath } = require('./json-path')
+const { logger } = require('./logger')
+
+/**
+ * 上游失败分类规则
+ * 即梦类上游常以 HTTP 200 + 响应体错误码表示积分不足、账号封禁、会话过期等失败，
+ * 因此规则可同时按状态码、响应体 JSON 路径取值与正则匹配；按表内顺序匹配，首条命中的规则生效
+ * 每条规则：{ name, status, path, values, pattern, action, benchMs }
+ * - status: 状态码、"min-max" 状态码区间（如 "500-599"），或由它们组成的数组
+ * - path + values: JSON 路径取值等于 values 之一（未设置 values 时只要求路径存在）
+ * - pattern: 对响应体文本的正则
+ * - action: retry 换账户重试 / bench 暂停该账户后重试 / relogin 标记会话失效并重新登录后重试 / pass 原样返回
+ */
+
+const ACTIONS = ['retry', 'bench', 'relogin', 'pass']
+
+// 未配置 FAILURE_RULES 时的默认规则，与原先按状态码重试的行为一致
+const DEFAULT_RULES = [
+  { name: 'session-expired', status: 401, action: 'relogin' },
+  { name: 'rate-limited', status: 429, action: 'retry' },
+  { name: 'retryable-status', status: [400, 504], action: 'retry' }
+]
+
+let rules = []
+
+const STATUS_RANGE = /^(\d{3})-(\d{3})$/
+
+/**
+ * 解析状态码条件
+ * @param {number|string} value - 状态码或 "min-max" 区间
+ * @returns {Array<number>|null} [min, max]，无效时返回 null
+ */
+const parseStatus = (value) => {
+  if (Number.isInteger(value) || (typeof value === 'string' && /^\d+$/.test(value.trim()))) {
+    return [Number(value), Number(value)]
+  }
+  const range = typeof value === 'string' ? STATUS_RANGE.exec(value.trim()) : null
+  if (range && Number(range[1]) <= Number(range[2])) return [Number(range[1]), Number(range[2])]
+  return null
+}
+
+// 规则的状态码条件是否包含该状态码（未设置 status 时不限制）
+const matchesStatus = (rule, status) => !rule.status || rule.status.some(s => {
+  const [min, max] = parseStatus(s)
+  return status >= min && status <= max
+})
+
+/**
+ * 校验规则定义
+ * @param {Object} def - 规则定义
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+const validateRule = (def) => {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) return 'rule must be object'
+  if (!ACTIONS.includes(def.action)) return `action must be one of ${ACTIONS.join('/')}`
+  if (def.status === undefined && !def.path && !def.pattern) return 'rule must set status, path or pattern'
+  if (def.status !== undefined) {
+    const statuses = [].concat(def.status)
+    if (statuses.length === 0 || statuses.some(s => !parseStatus(s))) return 'status must be integer, "min-max" range or array of them'
+  }
+  if (def.path !== undefined && (typeof def.path !== 'string' || !def.path.trim())) return 'path must be non-empty string'
+  if (def.values !== undefined && !def.path) return 'values requires path'
+  if (def.pattern !== undefined) {
+    if (typeof def.pattern !== 'string') return 'pattern must be string'
+    try {
+      new RegExp(def.pattern)
+    } catch (e) {
+      return `invalid pattern: ${e.message}`
+    }
+  }
+  if (def.benchMs !== undefined && def.benchMs !== null && !(Number.isFinite(Number(def.benchMs)) && Number(def.benchMs) >= 0)) {
+    return 'benchMs must be non-negative number'
+  }
+  return null
+}
+
+/**
+ * 校验规则列表
+ * @param {Array} defs - 规则定义列表
+ * @returns {string|null} 错误信息（含规则序号），合法时返回 null
+ */
+const validateRules = (defs) => {
+  if (!Array.isArray(defs)) return 'rules must be array'
+  for (let i = 0; i < defs.length; i++) {
+    const error = validateRule(defs[i])
+    if (error) return `rules[${i}]: ${error}`
+  }
+  return null
+}
+
+/**
+ * 规范化规则定义（调用前需先校验）
+ * @private
+ */
+const normalizeRule = (def, index) => ({
+  name: def.name ? String(def.name) : `rule-${index + 1}`,
+  status: def.status === undefined ? null : [].concat(def.status).map(s => {
+    const [min, max] = parseStatus(s)
+    return min === max ? min : `${min}-${max}`
+  }),
+  path: def.path ? def.path.trim() : null,
+  values: def.values === undefined ? null : [].concat(def.values).map(String),
+  pattern: def.pattern || null,
+  action: def.action,
+  benchMs: def.benchMs === undefined || def.benchMs === null ? null : Number(def.benchMs)
+})
+
+const listRules = () => rules.map(r => ({ ...r }))
+
+/**
+ * 整体替换规则表（管理端修改或从持久化存储同步时使用），无效定义会被忽略
+ * @param {Array} defs - 规则定义列表
+ */
+const replaceRules = (defs) => {
+  const next = []
+  defs.forEach((def, index) => {
+    const error = validateRule(def)
+    if (error) {
+      logger.warn(`忽略无效的失败分类规则 ${(def && def.name) || index}: ${error}`, 'RULES')
+      return
+    }
+    next.push(normalizeRule(def, index))
+  })
+  rules = next
+}
+
+// 是否存在需要读取响应体才能判定的规则
+const needsBody = (status) => rules.some(r => (r.path || r.pattern) && matchesStatus(r, status))
+
+/**
+ * 按规则表判定一次上游响应
+ * @param {number} status - 上游状态码
+ * @param {*} body - 已解析的响应体（对象或文本，未读取时为 undefined）
+ * @returns {Object|null} 命中的规则
+ */
+const classify = (status, body) => {
+  let text = null
+  const getText = () => {
+    if (text === null) {
+      if (body === undefined || body === null) text = ''
+      else if (typeof body === 'string') text = body
+      else if (Buffer.isBuffer(body)) text = body.toString('utf-8')
+      else text = JSON.stringify(body)
+    }
+    return text
+  }
+
+  for (const rule of rules) {
+    if (!matchesStatus(rule, status)) continue
+    if (rule.path) {
+      if (!body || typeof body !== 'object' || Buffer.isBuffer(body)) continue
+      const found = collectByPath(body, rule.path)
+      if (found.length === 0) continue
+      if (rule.values && !found.some(v => rule.values.includes(String(v)))) continue
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(getText())) continue
+    return rule
+  }
+  return null
+}
+
+// 初始化：FAILURE_RULES（JSON 数组），未配置或解析失败时使用默认规则
+const loadInitialRules = () => {
+  if (config.failureRules) {
+    try {
+      const defs = JSON.parse(config.failureRules)
+      if (Array.isArray(defs)) {
+        replaceRules(defs)
+        return
+      }
+      logger.warn('FAILURE_RULES 必须是 JSON 数组，已使用默认规则', 'RULES')
+    } catch (e) {
+      logger.warn(`FAILURE_RULES 解析失败: ${e.message}，已使用默认规则`, 'RULES')
+    }
+  }
+  replaceRules(DEFAULT_RULES)
+}
+
+loadInitialRules()
+
+module.exports = {
+  ACTIONS,
+  DEFAULT_RULES,
+  validateRules,
+  listRules,
+  replaceRules,
+  needsBody,
+  classify
+}
@@ -0,0 +1,244 @@
+const crypto = require('crypto')
+const config = require('../config')
+const redisClient = require('./redis')
+const { logger } = require('./logger')
+
+/**
+ * 透传请求幂等键（Idempotency-Key 请求头）
+ * - 首个携带该键的请求正常执行，期间占用该键
+ * - 并发的重复请求等待首个请求完成后重放其响应
+ * - TTL 内的后续重复请求直接重放已保存的响应（响应头 Idempotent-Replayed: true）
+ * 上游 5xx 或请求失败时不保存，释放该键以便客户端重试；
+ * 超过大小上限或事件流等无法保存的响应只记录状态，重复请求返回 409，避免重复创建任务
+ * 存储：redis 数据模式下使用 redis（多进程共享），否则使用内存
+ */
+
+const REDIS_KEY_PREFIX = 'idempotency:'
+// 等待首个请求完成时的轮询间隔（跨进程时依赖轮询，同进程内完成时立即唤醒）
+const POLL_INTERVAL_MS = 250
+// 重放时不回写的响应头
+const SKIP_REPLAY_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'content-length']
+
+// 内存存储：key -> { value, expiresAt }
+const createMemoryStore = () => {
+  const entries = new Map()
+
+  // 定时清理过期条目，定时器不阻止进程退出
+  setInterval(() => {
+    const now = Date.now()
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key)
+    }
+  }, 60 * 1000).unref()
+
+  const read = (key) => {
+    const entry = entries.get(key)
+    if (!entry || entry.expiresAt <= Date.now()) return null
+    return entry.value
+  }
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return read(key)
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      if (read(key)) return false
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs })
+      return true
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs })
+    },
+    async remove(key) {
+      entries.delete(key)
+    }
+  }
+}
+
+// Redis 存储：值为 JSON，占用通过 SET NX 实现
+const createRedisStore = () => ({
+  name: 'redis',
+  async get(key) {
+    const raw = await redisClient.get(REDIS_KEY_PREFIX + key)
+    return raw ? JSON.parse(raw) : null
+  },
+  async setIfAbsent(key, value, ttlMs) {
+    return (await redisClient.set(REDIS_KEY_PREFIX + key, JSON.stringify(value), 'PX', ttlMs, 'NX')) === 'OK'
+  },
+  async set(key, value, ttlMs) {
+    await redisClient.set(REDIS_KEY_PREFIX + key, JSON.stringify(value), 'PX', ttlMs)
+  },
+  async remove(key) {
+    await redisClient.del(REDIS_KEY_PREFIX + key)
+  }
+})
+
+const store = config.dataSaveMode === 'redis' && redisClient ? createRedisStore() : createMemoryStore()
+
+// 本进程内等待某个键完成的请求：key -> Set<wake>
+const waiters = new Map()
+
+const wakeWaiters = (key) => {
+  const set = waiters.get(key)
+  if (!set) return
+  waiters.delete(key)
+  set.forEach(wake => wake())
+}
+
+const waitForChange = (key) => new Promise(resolve => {
+  const timer = setTimeout(done, POLL_INTERVAL_MS)
+  function done() {
+    clearTimeout(timer)
+    const set = waiters.get(key)
+    if (set) set.delete(done)
+    resolve()
+  }
+  if (!waiters.has(key)) waiters.set(key, new Set())
+  waiters.get(key).add(done)
+})
+
+/**
+ * 从请求中取出幂等键（按调用方凭据隔离），不适用时返回 null
+ * @param {Object} req - express 请求
+ * @returns {string|null}
+ */
+const getKey = (req) => {
+  if (!config.idempotencyEnabled) return null
+  if (['GET', 'HEAD', 'OPTIONS'].includes(String(req.method).toUpperCase())) return null
+  const raw = req.headers['idempotency-key']
+  if (!raw || typeof raw !== 'string' || !raw.trim()) return null
+  const scope = crypto.createHash('sha256').update(String(req.headers.authorization || '')).digest('hex').slice(0, 16)
+  return `${scope}:${raw.trim().slice(0, 255)}`
+}
+
+/**
+ * 占用幂等键；已被占用时等待其完成
+ * @param {string} key - 幂等键
+ * @param {string} fingerprint - 请求指纹（方法 + 目标 + 路径），同一键用于不同请求时拒绝
+ * @param {number} lockTtlMs - 占用时长上限（应覆盖请求超时）
+ * @returns {Promise<Object>} { state: 'execute', complete, abort } | { state: 'replay', record } | { state: 'conflict', reason }
+ */
+const claim = async (key, fingerprint, lockTtlMs) => {
+  while (true) {
+    const pending = { pending: true, fingerprint, startedAt: Date.now() }
+    if (await store.setIfAbsent(key, pending, lockTtlMs)) {
+      return { state: 'execute', ...createHandle(key, fingerprint) }
+    }
+
+    const existing = await store.get(key)
+    if (!existing) continue
+    if (existing.fingerprint !== fingerprint) {
+      return { state: 'conflict', reason: 'idempotency key reused with different request' }
+    }
+    if (!existing.pending) {
+      if (!existing.replayable) {
+        return { state: 'conflict', reason: 'original response is not replayable' }
+      }
+      return { state: 'replay', record: existing }
+    }
+    await waitForChange(key)
+  }
+}
+
+// 首个请求的完成回调，只生效一次
+const createHandle = (key, fingerprint) => {
+  let settled = false
+
+  const abort = () => {
+    if (settled) return
+    settled = true
+    store.remove(key)
+      .catch(e => logger.error('释放幂等键失败', 'IDEMPOTENCY', '', e))
+      .finally(() => wakeWaiters(key))
+  }
+
+  /**
+   * 保存最终响应
+   * @param {Object} response - { status, headers, body }，body 为 Buffer；无法保存时 body 为 null
+   */
+  const complete = ({ status, headers, body }) => {
+    if (settled) return
+    if (status >= 500) return abort()
+    settled = true
+    const replayable = Buffer.isBuffer(body)
+    const record = {
+      pending: false,
+      fingerprint,
+      replayable,
+      status,
+      headers: replayable ? headers : {},
+      body: replayable ? body.toString('base64') : null,
+      completedAt: Date.now()
+    }
+    store.set(key, record, config.idempotencyTtlMs)
+      .catch(e => logger.error('保存幂等响应失败', 'IDEMPOTENCY', '', e))
+      .finally(() => wakeWaiters(key))
+  }
+
+  return { complete, abort }
+}
+
+/**
+ * 旁路收集流式响应用于保存（超过大小上限或事件流时只记录状态）
+ * @param {Object} handle - claim 返回的占用凭据
+ * @param {Object} upstream - axios 流式响应
+ * @param {Object} res - express 响应（取实际写回的响应头）
+ */
+const recordStream = (handle, upstream, res) => {
+  // 客户端已断开（'close' 已触发，不会再通知）：立即释放该键
+  if (res.destroyed) return handle.abort()
+  const ct = String((upstream.headers && upstream.headers['content-type']) || '').toLowerCase()
+  const storable = !ct.includes('text/event-stream')
+  const chunks = []
+  let size = 0
+  upstream.data.on('data', (chunk) => {
+    size += chunk.length
+    if (storable && size <= config.idempotencyMaxBodyBytes) chunks.push(chunk)
+  })
+  upstream.data.on('end', () => {
+    const fits = storable && size <= config.idempotencyMaxBodyBytes
+    handle.complete({ status: upstream.status, headers: res.getHeaders(), body: fits ? Buffer.concat(chunks) : null })
+  })
+  // 上游中断或客户端提前断开：释放该键
+  upstream.data.on('error', handle.abort)
+  res.on('close', handle.abort)
+}
+
+/**
+ * 保存缓冲模式下的响应
+ * @param {Object} handle - claim 返回的占用凭据
+ * @param {number} status - 状态码
+ * @param {Object} res - express 响应（取实际写回的响应头）
+ * @param {*} data - 响应体（对象、文本或 Buffer）
+ */
+const recordBuffered = (handle, status, res, data) => {
+  let body
+  if (Buffer.isBuffer(data)) body = data
+  else if (typeof data === 'string') body = Buffer.from(data)
+  else body = Buffer.from(JSON.stringify(data === undefined ? '' : data))
+  handle.complete({ status, headers: res.getHeaders(), body: body.length <= config.idempotencyMaxBodyBytes ? body : null })
+}
+
+/**
+ * 重放已保存的响应
+ * @param {Object} res - express 响应
+ * @param {Object} record - 保存的响应
+ */
+const replay = (res, record) => {
+  Object.entries(record.headers || {}).forEach(([k, v]) => {
+    if (!SKIP_REPLAY_HEADERS.includes(k.toLowerCase())) {
+      try { res.setHeader(k, v) } catch (_) {}
+    }
+  })
+  res.setHeader('Idempotent-Replayed', 'true')
+  return res.status(record.status).end(Buffer.from(record.body || '', 'base64'))
+}
+
+module.exports = {
+  getKey,
+  claim,
+  recordStream,
+  recordBuffered,
+  replay
+}
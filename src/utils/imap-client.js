@@ -0,0 +1,210 @@
+const net = require('net')
+const tls = require('tls')
+
+/**
+ * 最小化 IMAP 客户端，仅实现读取验证码邮件所需的命令：LOGIN、SELECT、UID SEARCH、UID FETCH、LOGOUT
+ * secure 为 false 时使用明文连接（用于本地测试用的 IMAP 服务）
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const quote = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`
+
+/**
+ * 解析 INTERNALDATE（如 19-Oct-2026 15:00:00 +0800）
+ * @private
+ */
+const parseInternalDate = (text) => {
+  const match = String(text).trim().match(/^(\d{1,2})-(\w{3})-(\d{4}) (\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/)
+  if (!match) return null
+  const [, day, month, year, hour, minute, second, sign, offsetHour, offsetMinute] = match
+  const monthIndex = MONTHS.indexOf(month)
+  if (monthIndex === -1) return null
+  const offsetMs = (Number(offsetHour) * 60 + Number(offsetMinute)) * 60000 * (sign === '-' ? -1 : 1)
+  return Date.UTC(Number(year), monthIndex, Number(day), Number(hour), Number(minute), Number(second)) - offsetMs
+}
+
+/**
+ * 从缓冲区解析一条命令的完整响应
+ * 未收到带标签的结束行时返回 null；字面量（{n}\r\n 后的 n 个字节）按顺序放入 literals
+ * @private
+ */
+const parseResponse = (buffer, tag) => {
+  const lines = []
+  const literals = []
+  let current = ''
+  let pos = 0
+  while (pos < buffer.length) {
+    const crlf = buffer.indexOf('\r\n', pos)
+    if (crlf === -1) return null
+    const line = buffer.toString('utf-8', pos, crlf)
+    pos = crlf + 2
+    const literal = line.match(/\{(\d+)\}$/)
+    if (literal) {
+      const size = Number(literal[1])
+      if (buffer.length < pos + size) return null
+      literals.push(buffer.subarray(pos, pos + size))
+      current += line
+      pos += size
+      continue
+    }
+    current += line
+    if (tag && current.startsWith(`${tag} `)) {
+      const status = current.slice(tag.length + 1).split(' ')[0]
+      return { status, text: current, lines, literals, consumed: pos }
+    }
+    if (!tag) {
+      return { status: current.split(' ')[1], text: current, lines, literals, consumed: pos }
+    }
+    lines.push(current)
+    current = ''
+  }
+  return null
+}
+
+class ImapClient {
+  /**
+   * @param {Object} options - { host, port, secure, user, secret, timeoutMs }
+   */
+  constructor({ host, port, secure = true, user, secret, timeoutMs = 15000 }) {
+    this.host = host
+    this.port = port || (secure ? 993 : 143)
+    this.secure = secure
+    this.user = user
+    this.secret = secret
+    this.timeoutMs = timeoutMs
+    this.socket = null
+    this.buffer = Buffer.alloc(0)
+    this.pending = null
+    this.tagCounter = 0
+  }
+
+  /**
+   * 连接并登录
+   */
+  async connect() {
+    await new Promise((resolve, reject) => {
+      const onError = (error) => reject(error)
+      this.socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host }, resolve)
+        : net.connect({ host: this.host, port: this.port }, resolve)
+      this.socket.once('error', onError)
+      this.socket.setTimeout(this.timeoutMs, () => this.socket.destroy(new Error('IMAP 连接超时')))
+    })
+    this.socket.on('data', (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk])
+      this._drain()
+    })
+    this.socket.on('error', (error) => this._fail(error))
+    this.socket.on('close', () => this._fail(new Error('IMAP 连接已关闭')))
+
+    const greeting = await this._wait(null)
+    if (greeting.status !== 'OK' && greeting.status !== 'PREAUTH') {
+      throw new Error(`IMAP 服务拒绝连接: ${greeting.text}`)
+    }
+    await this.command(`LOGIN ${quote(this.user)} ${quote(this.secret)}`)
+  }
+
+  _wait(tag) {
+    return new Promise((resolve, reject) => {
+      this.pending = { tag, resolve, reject }
+      this._drain()
+    })
+  }
+
+  _drain() {
+    if (!this.pending) return
+    const response = parseResponse(this.buffer, this.pending.tag)
+    if (!response) return
+    this.buffer = this.buffer.subarray(response.consumed)
+    const { resolve } = this.pending
+    this.pending = null
+    resolve(response)
+  }
+
+  _fail(error) {
+    if (!this.pending) return
+    const { reject } = this.pending
+    this.pending = null
+    reject(error)
+  }
+
+  /**
+   * 发送命令并等待带标签的响应
+   * @param {string} text - 命令（不含标签）
+   * @returns {Promise<Object>} { status, text, lines, literals }
+   */
+  async command(text) {
+    const tag = `A${++this.tagCounter}`
+    const done = this._wait(tag)
+    this.socket.write(`${tag} ${text}\r\n`)
+    const response = await done
+    if (response.status !== 'OK') {
+      throw new Error(`IMAP 命令失败: ${text.split(' ')[0]} ${response.text}`)
+    }
+    return response
+  }
+
+  async select(mailbox = 'INBOX') {
+    return this.command(`SELECT ${quote(mailbox)}`)
+  }
+
+  /**
+   * @param {string} criteria - 搜索条件，如 SINCE 1-Jan-2025 FROM "capcut"
+   * @returns {Promise<Array<number>>} UID 列表
+   */
+  async search(criteria) {
+    const response = await this.command(`UID SEARCH ${criteria}`)
+    const line = response.lines.find(item => item.startsWith('* SEARCH'))
+    if (!line) return []
+    return line.slice('* SEARCH'.length).trim().split(/\s+/).filter(Boolean).map(Number)
+  }
+
+  /**
+   * 读取整封邮件（不标记为已读）
+   * @param {number} uid - 邮件 UID
+   * @returns {Promise<Object|null>} { uid, internalDate, raw }
+   */
+  async fetch(uid) {
+    const response = await this.command(`UID FETCH ${uid} (INTERNALDATE BODY.PEEK[])`)
+    if (response.literals.length === 0) return null
+    const header = response.lines.find(item => item.includes('INTERNALDATE')) || ''
+    const date = header.match(/INTERNALDATE "([^"]+)"/)
+    return {
+      uid,
+      internalDate: date ? parseInternalDate(date[1]) : null,
+      raw: response.literals[0].toString('utf-8')
+    }
+  }
+
+  async logout() {
+    try {
+      if (this.socket && !this.socket.destroyed) await this.command('LOGOUT')
+    } catch (e) {
+      // 服务端可能在 LOGOUT 后直接断开
+    } finally {
+      this.close()
+    }
+  }
+
+  close() {
+    if (this.socket) this.socket.destroy()
+    this.socket = null
+  }
+
+  /**
+   * 格式化为 IMAP SEARCH 使用的日期（如 1-Jan-2025）
+   * @param {number} time - 毫秒时间戳
+   * @returns {string}
+   */
+  static formatSearchDate(time) {
+    const date = new Date(time)
+    return `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`
+  }
+
+  static quote(value) {
+    return quote(value)
+  }
+}
+
+module.exports = ImapClient
@@ -0,0 +1,97 @@
+const zlib = require('zlib')
+const { Readable } = require('stream')
+
+/**
+ * 流式透传时旁路读取 JSON 响应
+ * 收集响应字节（超过上限则放弃），结束后按 content-encoding 解压并解析，
+ * 不影响原始字节的透传
+ */
+
+// 响应体超过该大小时不再解析（任务提交、积分等响应通常很小）
+const MAX_CAPTURE_BYTES = 1024 * 1024
+
+const getContentType = (upstream) => String((upstream.headers && upstream.headers['content-type']) || '').toLowerCase()
+
+// 按 content-encoding 解压后解析为 JSON，非 JSON 时返回文本
+const decodeBody = (raw, headers, callback) => {
+  const encoding = String((headers && headers['content-encoding']) || '').toLowerCase()
+  const decode = encoding.includes('gzip') ? zlib.gunzip
+    : encoding.includes('br') ? zlib.brotliDecompress
+      : encoding.includes('deflate') ? zlib.inflate
+        : (buf, cb) => cb(null, buf)
+  decode(raw, (err, decoded) => {
+    if (err) return callback(null)
+    const text = decoded.toString('utf-8')
+    // 只捕获解析错误，回调自身抛出的异常不能导致再次回调
+    let body = text
+    try {
+      body = JSON.parse(text)
+    } catch (_) {}
+    callback(body)
+  })
+}
+
+/**
+ * @param {Object} upstream - axios 流式响应
+ * @param {Function} onJson - 解析成功后回调，参数为响应体对象
+ */
+const captureJsonStream = (upstream, onJson) => {
+  if (!getContentType(upstream).includes('json')) return
+
+  const chunks = []
+  let size = 0
+  upstream.data.on('data', (chunk) => {
+    size += chunk.length
+    if (size <= MAX_CAPTURE_BYTES) chunks.push(chunk)
+  })
+  upstream.data.on('end', () => {
+    if (size > MAX_CAPTURE_BYTES) return
+    decodeBody(Buffer.concat(chunks), upstream.headers, (body) => {
+      if (body && typeof body === 'object') onJson(body)
+    })
+  })
+}
+
+/**
+ * 在透传前预读流式响应体（仅 JSON / 文本，事件流除外），用于按响应体内容判定失败
+ * 读出的字节会重新组装为 upstream.data，后续透传不受影响；超过上限时不解析
+ * @param {Object} upstream - axios 流式响应（upstream.data 会被替换）
+ * @returns {Promise<*>} 解析后的 JSON 对象或文本，无法预读时返回 undefined
+ */
+const peekStreamBody = async (upstream) => {
+  const ct = getContentType(upstream)
+  if (!ct.includes('json') && !(ct.startsWith('text/') && !ct.includes('event-stream'))) return undefined
+
+  const source = upstream.data
+  const iterator = source[Symbol.asyncIterator]()
+  const chunks = []
+  let size = 0
+  let ended = false
+  while (size <= MAX_CAPTURE_BYTES) {
+    const { value, done } = await iterator.next()
+    if (done) {
+      ended = true
+      break
+    }
+    chunks.push(value)
+    size += value.length
+  }
+
+  const rest = async function * () {
+    yield * chunks
+    if (!ended) {
+      for await (const chunk of { [Symbol.asyncIterator]: () => iterator }) yield chunk
+    }
+  }
+  upstream.data = Readable.from(rest(), { objectMode: false })
+  // 新流未读完就被销毁（客户端断开、放弃该响应）时同时关闭上游连接
+  upstream.data.on('close', () => source.destroy())
+  if (!ended) return undefined
+
+  return await new Promise(resolve => decodeBody(Buffer.concat(chunks), upstream.headers, (body) => resolve(body === null ? undefined : body)))
+}
+
+module.exports = {
+  captureJsonStream,
+  peekStreamBody
+}
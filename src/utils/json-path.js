@@ -0,0 +1,89 @@
+/**
+ * 简单 JSON 路径取值与替换
+ * 语法：点号分隔的字段名，数字表示数组下标，* 表示展开数组（或对象）的所有元素
+ * 例如：data.task_id、data.items.0.id、history_ids.*
+ */
+
+const splitPath = (path) => String(path).split('.').filter(Boolean)
+
+// 当前层的所有值按一个路径片段展开为下一层
+const step = (current, segment) => {
+  const next = []
+  for (const value of current) {
+    if (value === null || typeof value !== 'object') continue
+    if (segment === '*') {
+      next.push(...(Array.isArray(value) ? value : Object.values(value)))
+    } else if (value[segment] !== undefined) {
+      next.push(value[segment])
+    }
+  }
+  return next
+}
+
+/**
+ * 按路径取出所有匹配的值
+ * @param {*} source - 已解析的 JSON 对象
+ * @param {string} path - 路径
+ * @returns {Array} 匹配到的值（不含 undefined / null）
+ */
+const collectByPath = (source, path) => {
+  let current = [source]
+  for (const segment of splitPath(path)) {
+    current = step(current, segment)
+  }
+  return current.filter(v => v !== undefined && v !== null)
+}
+
+/**
+ * 按路径原地替换匹配的值
+ * @param {*} source - 已解析的 JSON 对象（会被修改）
+ * @param {string} path - 路径
+ * @param {Function} replacer - 接收原值返回新值，返回 undefined 时保持不变
+ * @returns {number} 被替换的值的个数
+ */
+const replaceByPath = (source, path, replacer) => {
+  const segments = splitPath(path)
+  if (segments.length === 0) return 0
+  let parents = [source]
+  for (const segment of segments.slice(0, -1)) {
+    parents = step(parents, segment)
+  }
+
+  const last = segments[segments.length - 1]
+  let count = 0
+  for (const parent of parents) {
+    if (parent === null || typeof parent !== 'object') continue
+    const keys = last === '*' ? Object.keys(parent) : [last]
+    for (const key of keys) {
+      if (parent[key] === undefined || parent[key] === null) continue
+      const next = replacer(parent[key])
+      if (next !== undefined && next !== parent[key]) {
+        parent[key] = next
+        count += 1
+      }
+    }
+  }
+  return count
+}
+
+/**
+ * 按多个路径取出所有标量值（字符串/数字），去重后以字符串返回
+ * @param {*} source - 已解析的 JSON 对象
+ * @param {Array<string>} paths - 路径列表
+ * @returns {Array<string>}
+ */
+const collectScalars = (source, paths) => {
+  const result = new Set()
+  for (const path of paths) {
+    for (const value of collectByPath(source, path)) {
+      if (typeof value === 'string' || typeof value === 'number') result.add(String(value))
+    }
+  }
+  return [...result]
+}
+
+module.exports = {
+  collectByPath,
+  collectScalars,
+  replaceByPath
+}
@@ -0,0 +1,204 @@
+const cluster = require('cluster')
+const os = require('os')
+const crypto = require('crypto')
+const config = require('../config')
+const loginFlow = require('./login-flow')
+const sse = require('./sse')
+const { logger } = require('./logger')
+
+/**
+ * 登录验证人工处理
+ * 登录时遇到图形验证码或邮箱验证码，登录会话挂起并保留浏览器上下文，通过 SSE account:challenge 通知控制台：
+ * - 操作员查看实时截图并在截图上点击，或提交邮箱验证码
+ * - 操作员确认完成后登录从中断处继续；超时（LOGIN_CHALLENGE_TIMEOUT_MS）或取消则本次登录失败
+ * 挂起期间登录让出登录调度的并发名额与浏览器的上下文名额（上下文保持打开），
+ * 同时挂起的登录数不超过 LOGIN_CHALLENGE_MAX_HELD，超过时新的验证直接判定登录失败
+ * 挂起的登录与 SSE 连接都只存在于当前进程，控制台的请求可能落到其他工作进程，
+ * 因此多进程部署（Node 集群或 PM2 多实例）时不启用人工处理，遇到验证的登录直接失败
+ */
+
+const ID_PATTERN = /^[a-f0-9]{24}$/
+
+// id -> { id, email, challenge, page, createdAt, expiresAt, resolve, reject, timer }
+const pending = new Map()
+
+// 与 start.js / ecosystem.config.js 相同的进程数计算，工作进程数大于 1 时为多进程部署
+const isMultiProcess = () => {
+  if (!cluster.isWorker) return false
+  const cpuCores = os.cpus().length
+  const configured = process.env.PM2_INSTANCES === 'max' ? cpuCores : (parseInt(process.env.PM2_INSTANCES, 10) || 1)
+  return Math.min(configured, cpuCores) > 1
+}
+
+const multiProcess = isMultiProcess()
+if (config.loginChallengeTimeoutMs > 0 && multiProcess) {
+  logger.warn('多进程部署下不支持登录验证人工处理（验证只能由发起登录的进程处理），遇到验证的登录将直接失败；如需人工处理请使用 PM2_INSTANCES=1', 'LOGIN')
+}
+
+const isEnabled = () => config.loginChallengeTimeoutMs > 0 && !multiProcess
+
+const toInfo = (entry) => ({
+  id: entry.id,
+  email: entry.email,
+  type: entry.challenge.type,
+  name: entry.challenge.name,
+  url: entry.page.isClosed() ? null : entry.page.url(),
+  createdAt: entry.createdAt,
+  expiresAt: entry.expiresAt
+})
+
+const finish = (entry, result, error = null) => {
+  if (!pending.has(entry.id)) return
+  pending.delete(entry.id)
+  clearTimeout(entry.timer)
+  sse.broadcast('account:challenge:done', { id: entry.id, email: entry.email, result })
+  if (error) {
+    entry.reject(error)
+  } else {
+    entry.resolve()
+  }
+}
+
+/**
+ * 挂起登录，等待操作员处理验证
+ * @param {Object} params - { email, challenge, page }
+ * @returns {Promise<void>} 操作员确认完成时 resolve，超时、取消或挂起数已达上限时 reject
+ */
+const hold = ({ email, challenge, page }) => new Promise((resolve, reject) => {
+  if (config.loginChallengeMaxHeld > 0 && pending.size >= config.loginChallengeMaxHeld) {
+    throw new Error(`等待人工处理的登录已达上限（${config.loginChallengeMaxHeld}），无法处理${challenge.name}`)
+  }
+  const id = crypto.randomBytes(12).toString('hex')
+  const now = Date.now()
+  const entry = {
+    id,
+    email,
+    challenge,
+    page,
+    createdAt: now,
+    expiresAt: now + config.loginChallengeTimeoutMs,
+    resolve,
+    reject,
+    timer: null
+  }
+  entry.timer = setTimeout(() => {
+    logger.warn(`登录验证等待超时: ${email}（${challenge.name}）`, 'LOGIN')
+    finish(entry, 'timeout', new Error(`等待人工处理${challenge.name}超时`))
+  }, config.loginChallengeTimeoutMs)
+  pending.set(id, entry)
+
+  logger.warn(`账户 ${email} 登录遇到${challenge.name}，等待人工处理 (${id})`, 'LOGIN', '🧩')
+  sse.broadcast('account:challenge', toInfo(entry))
+})
+
+const getEntry = (id) => (ID_PATTERN.test(String(id)) ? pending.get(id) || null : null)
+
+/**
+ * 列出等待处理的验证（早的在前）
+ * @returns {Array<Object>}
+ */
+const list = () => [...pending.values()].map(toInfo)
+
+/**
+ * 获取等待处理的验证
+ * @param {string} id - 验证 ID
+ * @returns {Object|null}
+ */
+const get = (id) => {
+  const entry = getEntry(id)
+  return entry ? toInfo(entry) : null
+}
+
+/**
+ * 获取账户当前等待处理的验证
+ * @param {string} email - 账户邮箱
+ * @returns {Object|null}
+ */
+const getByEmail = (email) => {
+  for (const entry of pending.values()) {
+    if (entry.email === email) return toInfo(entry)
+  }
+  return null
+}
+
+/**
+ * 截取挂起页面的当前画面
+ * @param {string} id - 验证 ID
+ * @returns {Promise<Buffer|null>} PNG 图片，验证不存在时返回 null
+ */
+const screenshot = async (id) => {
+  const entry = getEntry(id)
+  if (!entry) return null
+  return entry.page.screenshot({ type: 'png', timeout: 15000 })
+}
+
+/**
+ * 在挂起页面上点击（坐标为截图中的像素位置）
+ * @param {string} id - 验证 ID
+ * @param {number} x - 横坐标
+ * @param {number} y - 纵坐标
+ * @returns {Promise<boolean>} 验证是否存在
+ */
+const click = async (id, x, y) => {
+  const entry = getEntry(id)
+  if (!entry) return false
+  await entry.page.mouse.click(x, y)
+  return true
+}
+
+/**
+ * 提交邮箱验证码并继续登录
+ * @param {string} id - 验证 ID
+ * @param {string} code - 验证码
+ * @returns {Promise<boolean>} 验证是否存在
+ */
+const submitCode = async (id, code) => {
+  const entry = getEntry(id)
+  if (!entry) return false
+  if (entry.challenge.type !== 'code') {
+    throw new Error(`${entry.challenge.name}不支持提交验证码`)
+  }
+  await loginFlow.submitChallengeCode(entry.page, entry.challenge, code)
+  logger.info(`已提交验证码，继续登录: ${entry.email}`, 'LOGIN', '🧩')
+  finish(entry, 'resolved')
+  return true
+}
+
+/**
+ * 操作员确认已完成验证，继续登录
+ * @param {string} id - 验证 ID
+ * @returns {boolean} 验证是否存在
+ */
+const resolve = (id) => {
+  const entry = getEntry(id)
+  if (!entry) return false
+  logger.info(`操作员已完成${entry.challenge.name}，继续登录: ${entry.email}`, 'LOGIN', '🧩')
+  finish(entry, 'resolved')
+  return true
+}
+
+/**
+ * 取消验证，本次登录失败
+ * @param {string} id - 验证 ID
+ * @returns {boolean} 验证是否存在
+ */
+const cancel = (id) => {
+  const entry = getEntry(id)
+  if (!entry) return false
+  logger.info(`操作员已取消登录验证: ${entry.email}`, 'LOGIN')
+  finish(entry, 'cancelled', new Error(`${entry.challenge.name}已被操作员取消`))
+  return true
+}
+
+module.exports = {
+  isEnabled,
+  hold,
+  list,
+  get,
+  getByEmail,
+  screenshot,
+  click,
+  submitCode,
+  resolve,
+  cancel
+}
@@ -0,0 +1,204 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const config = require('../config')
+const { logger } = require('./logger')
+
+/**
+ * 登录失败诊断（LOGIN_DIAGNOSTICS_ENABLED=true 时启用）
+ * 每次登录失败保存一份现场：页面截图、页面 HTML、当前地址、控制台错误与失败的步骤，
+ * 便于排查 Dreamina 页面改版、验证码等问题
+ * 每份诊断保存在诊断目录下的 <id>/ 子目录中：meta.json、screenshot.png、page.html
+ * 超过保留时长或数量上限的诊断按从旧到新删除
+ */
+
+const ID_PATTERN = /^[a-f0-9]{24}$/
+// 单次登录最多记录的控制台错误条数
+const MAX_CONSOLE_ERRORS = 50
+// 可下载的诊断文件
+const FILES = {
+  screenshot: { name: 'screenshot.png', contentType: 'image/png' },
+  html: { name: 'page.html', contentType: 'text/plain; charset=utf-8' }
+}
+
+const diagnosticsDir = path.resolve(config.loginDiagnosticsDir)
+
+const isEnabled = () => config.loginDiagnosticsEnabled
+
+const getEntryDir = (id) => path.join(diagnosticsDir, id)
+
+/**
+ * 开始记录页面的控制台错误与页面异常
+ * @param {Object} page - Playwright 页面
+ * @returns {Array<string>} 错误列表（随页面事件持续追加）
+ */
+const watchPage = (page) => {
+  const errors = []
+  if (!isEnabled() || !page) return errors
+  const push = (text) => {
+    if (errors.length < MAX_CONSOLE_ERRORS) errors.push(text)
+  }
+  page.on('console', (msg) => {
+    if (msg.type() === 'error') push(`[console] ${msg.text()}`)
+  })
+  page.on('pageerror', (error) => push(`[pageerror] ${error.message}`))
+  return errors
+}
+
+/**
+ * 保存一次登录失败的现场
+ * @param {Object} params - { email, step, error, page, consoleErrors }
+ * @returns {Promise<string|null>} 诊断 ID，未启用或保存失败时返回 null
+ */
+const capture = async ({ email, step, error, page, consoleErrors = [] }) => {
+  if (!isEnabled()) return null
+  const id = crypto.randomBytes(12).toString('hex')
+  const dir = getEntryDir(id)
+  try {
+    await fs.promises.mkdir(dir, { recursive: true })
+    const meta = {
+      id,
+      email,
+      step,
+      error: error ? error.message : null,
+      url: null,
+      consoleErrors: [...consoleErrors],
+      files: [],
+      createdAt: Date.now()
+    }
+
+    if (page && !page.isClosed()) {
+      meta.url = page.url()
+      try {
+        await page.screenshot({ path: path.join(dir, FILES.screenshot.name), fullPage: true, timeout: 15000 })
+        meta.files.push('screenshot')
+      } catch (e) {
+        logger.warn(`登录诊断截图失败: ${e.message}`, 'LOGIN')
+      }
+      try {
+        await fs.promises.writeFile(path.join(dir, FILES.html.name), await page.content())
+        meta.files.push('html')
+      } catch (e) {
+        logger.warn(`登录诊断保存页面 HTML 失败: ${e.message}`, 'LOGIN')
+      }
+    }
+
+    await fs.promises.writeFile(path.join(dir, 'meta.json'), JSON.stringify(meta, null, 2))
+    logger.info(`已保存登录失败诊断 ${id}（${email}，${step}）`, 'LOGIN', '🧾')
+    await sweep()
+    return id
+  } catch (e) {
+    logger.error(`保存登录诊断失败 (${email})`, 'LOGIN', '', e)
+    return null
+  }
+}
+
+const readMeta = async (id) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(getEntryDir(id), 'meta.json'), 'utf-8'))
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * 列出诊断（新的在前）
+ * @param {string} email - 仅列出该账户的诊断（可选）
+ * @returns {Promise<Array<Object>>} 诊断元数据
+ */
+const list = async (email = null) => {
+  let names = []
+  try {
+    names = await fs.promises.readdir(diagnosticsDir)
+  } catch (e) {
+    return []
+  }
+  const metas = await Promise.all(names.filter(name => ID_PATTERN.test(name)).map(readMeta))
+  return metas
+    .filter(meta => meta && (!email || meta.email === email))
+    .sort((a, b) => b.createdAt - a.createdAt)
+}
+
+/**
+ * 获取诊断元数据
+ * @param {string} id - 诊断 ID
+ * @returns {Promise<Object|null>}
+ */
+const get = async (id) => {
+  if (!ID_PATTERN.test(String(id))) return null
+  return readMeta(id)
+}
+
+/**
+ * 获取诊断文件
+ * @param {string} id - 诊断 ID
+ * @param {string} type - screenshot / html
+ * @returns {Promise<Object|null>} { filePath, contentType }
+ */
+const getFile = async (id, type) => {
+  const file = FILES[type]
+  const meta = file ? await get(id) : null
+  if (!meta || !meta.files.includes(type)) return null
+  return { filePath: path.join(getEntryDir(id), file.name), contentType: file.contentType }
+}
+
+/**
+ * 删除诊断
+ * @param {string} id - 诊断 ID
+ * @returns {Promise<boolean>} 是否存在并已删除
+ */
+const remove = async (id) => {
+  if (!ID_PATTERN.test(String(id))) return false
+  const dir = getEntryDir(id)
+  if (!fs.existsSync(dir)) return false
+  await fs.promises.rm(dir, { recursive: true, force: true })
+  return true
+}
+
+/**
+ * 删除超过保留时长或超出数量上限的诊断
+ */
+const sweep = async () => {
+  const metas = await list()
+  const now = Date.now()
+  let removed = 0
+  for (let i = 0; i < metas.length; i++) {
+    const expired = config.loginDiagnosticsRetentionMs > 0 && now - metas[i].createdAt > config.loginDiagnosticsRetentionMs
+    const overflow = config.loginDiagnosticsMaxEntries > 0 && i >= config.loginDiagnosticsMaxEntries
+    if (expired || overflow) {
+      await remove(metas[i].id)
+      removed += 1
+    }
+  }
+  if (removed > 0) {
+    logger.info(`已清理 ${removed} 份登录诊断`, 'LOGIN', '🧹')
+  }
+}
+
+/**
+ * 按账户统计诊断数量（供账户列表展示）
+ * @returns {Promise<Map<string, number>>}
+ */
+const countByEmail = async () => {
+  const counts = new Map()
+  for (const meta of await list()) {
+    counts.set(meta.email, (counts.get(meta.email) || 0) + 1)
+  }
+  return counts
+}
+
+if (config.loginDiagnosticsEnabled) {
+  logger.info(`登录失败诊断已启用：${diagnosticsDir}`, 'LOGIN', '🧾')
+  sweep().catch(e => logger.error('清理登录诊断失败', 'LOGIN', '', e))
+}
+
+module.exports = {
+  isEnabled,
+  watchPage,
+  capture,
+  list,
+  get,
+  getFile,
+  remove,
+  countByEmail
+}
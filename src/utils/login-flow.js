@@ -0,0 +1,300 @@
+const fs = require('fs')
+const path = require('path')
+const config = require('../config')
+const { logger } = require('./logger')
+
+/**
+ * 登录流程定义
+ * 登录页地址、各步骤的候选选择器与动作由 JSON 文件描述，Dreamina 页面改版时只需修改定义文件，无需发布代码：
+ * - LOGIN_FLOW_FILE 指向的文件存在时使用该文件，否则使用内置的 src/config/login-flow.json
+ * - 文件变化后自动重新加载（定义不合法时保留当前定义）
+ * 定义格式：{ url, sessionCookie, steps: [{ name, action, selectors, value, url, pattern, waitUntil, errorSelectors, timeout, delayAfterMs, optional }] }
+ * - goto：打开 url（缺省为定义中的 url）
+ * - wait：等待 timeout 毫秒
+ * - click / fill：在 timeout 内按顺序查找第一个可见的候选选择器并点击 / 填入 value（支持 {{email}}、{{password}}）
+ * - waitForUrl：等待地址匹配 pattern，超时时记录 errorSelectors 对应的页面提示
+ * optional 的步骤失败时只记录日志并继续
+ * challenges（可选）描述需要人工处理的验证页面：[{ type, name, selectors, inputSelectors, submitSelectors }]
+ * - captcha：图形/滑块验证码，由操作员在截图上点击完成
+ * - code：邮箱验证码，操作员提交的验证码填入 inputSelectors 并点击 submitSelectors（未配置时按回车）
+ */
+
+const ACTIONS = ['goto', 'wait', 'click', 'fill', 'waitForUrl']
+const CHALLENGE_TYPES = ['captcha', 'code']
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'commit']
+const DEFAULT_FLOW_PATH = path.join(__dirname, '../config/login-flow.json')
+// 查找候选元素时的轮询间隔
+const POLL_INTERVAL_MS = 250
+// 点击、填入动作本身的超时
+const ACTION_TIMEOUT_MS = 10000
+
+const flowPath = path.resolve(config.loginFlowFile)
+
+let flow = null
+let source = 'default'
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== ''
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString)
+const isDuration = (value) => value === undefined || (Number.isFinite(value) && value >= 0)
+
+/**
+ * 校验单个步骤
+ * @private
+ */
+const validateStep = (step) => {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) return 'step must be object'
+  if (!isNonEmptyString(step.name)) return 'name must be non-empty string'
+  if (!ACTIONS.includes(step.action)) return `action must be one of ${ACTIONS.join('/')}`
+  if (!isDuration(step.timeout)) return 'timeout must be non-negative number'
+  if (!isDuration(step.delayAfterMs)) return 'delayAfterMs must be non-negative number'
+  if (step.optional !== undefined && typeof step.optional !== 'boolean') return 'optional must be boolean'
+  switch (step.action) {
+    case 'goto':
+      if (step.url !== undefined && !isNonEmptyString(step.url)) return 'url must be non-empty string'
+      if (step.waitUntil !== undefined && !WAIT_UNTIL.includes(step.waitUntil)) return `waitUntil must be one of ${WAIT_UNTIL.join('/')}`
+      break
+    case 'wait':
+      if (step.timeout === undefined) return 'wait requires timeout'
+      break
+    case 'click':
+    case 'fill':
+      if (!isStringList(step.selectors)) return 'selectors must be non-empty string array'
+      if (step.action === 'fill' && typeof step.value !== 'string') return 'fill requires value'
+      break
+    case 'waitForUrl':
+      if (!isNonEmptyString(step.pattern)) return 'waitForUrl requires pattern'
+      if (step.errorSelectors !== undefined && !isStringList(step.errorSelectors)) return 'errorSelectors must be non-empty string array'
+      break
+  }
+  return null
+}
+
+/**
+ * 校验单个验证页面描述
+ * @private
+ */
+const validateChallenge = (challenge) => {
+  if (!challenge || typeof challenge !== 'object' || Array.isArray(challenge)) return 'challenge must be object'
+  if (!CHALLENGE_TYPES.includes(challenge.type)) return `type must be one of ${CHALLENGE_TYPES.join('/')}`
+  if (!isNonEmptyString(challenge.name)) return 'name must be non-empty string'
+  if (!isStringList(challenge.selectors)) return 'selectors must be non-empty string array'
+  if (challenge.type === 'code' && !isStringList(challenge.inputSelectors)) return 'code requires inputSelectors'
+  if (challenge.submitSelectors !== undefined && !isStringList(challenge.submitSelectors)) return 'submitSelectors must be non-empty string array'
+  return null
+}
+
+/**
+ * 校验登录流程定义
+ * @param {Object} def - 流程定义
+ * @returns {string|null} 错误信息（含步骤序号），合法时返回 null
+ */
+const validateFlow = (def) => {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) return 'flow must be object'
+  if (!isNonEmptyString(def.url)) return 'url must be non-empty string'
+  if (def.sessionCookie !== undefined && !isNonEmptyString(def.sessionCookie)) return 'sessionCookie must be non-empty string'
+  if (!Array.isArray(def.steps) || def.steps.length === 0) return 'steps must be non-empty array'
+  for (let i = 0; i < def.steps.length; i++) {
+    const error = validateStep(def.steps[i])
+    if (error) return `steps[${i}]: ${error}`
+  }
+  if (def.challenges !== undefined) {
+    if (!Array.isArray(def.challenges)) return 'challenges must be array'
+    for (let i = 0; i < def.challenges.length; i++) {
+      const error = validateChallenge(def.challenges[i])
+      if (error) return `challenges[${i}]: ${error}`
+    }
+  }
+  return null
+}
+
+const readFlow = (filePath) => {
+  const def = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  const error = validateFlow(def)
+  if (error) throw new Error(error)
+  return def
+}
+
+/**
+ * 加载流程定义；自定义文件不合法时保留当前定义
+ * @private
+ */
+const load = () => {
+  if (fs.existsSync(flowPath)) {
+    try {
+      flow = readFlow(flowPath)
+      source = 'file'
+      logger.info(`已加载登录流程定义 ${flowPath}（${flow.steps.length} 个步骤）`, 'LOGIN', '📜')
+      return
+    } catch (e) {
+      logger.error(`登录流程定义 ${flowPath} 无效，继续使用当前定义: ${e.message}`, 'LOGIN')
+      if (flow) return
+    }
+  }
+  flow = readFlow(DEFAULT_FLOW_PATH)
+  source = 'default'
+}
+
+const getFlow = () => flow
+
+const getInfo = () => ({ source, path: source === 'file' ? flowPath : DEFAULT_FLOW_PATH, flow })
+
+/**
+ * 保存新的流程定义到 LOGIN_FLOW_FILE 并立即生效（调用前需先校验）
+ * @param {Object} def - 流程定义
+ */
+const replaceFlow = async (def) => {
+  await fs.promises.mkdir(path.dirname(flowPath), { recursive: true })
+  const tmpPath = `${flowPath}.tmp`
+  await fs.promises.writeFile(tmpPath, JSON.stringify(def, null, 2), 'utf-8')
+  await fs.promises.rename(tmpPath, flowPath)
+  flow = def
+  source = 'file'
+}
+
+const renderValue = (template, vars) => template.replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match))
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * 在 timeout 内按顺序查找第一个可见的候选元素
+ * @private
+ */
+const findVisible = async (page, selectors, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs
+  while (true) {
+    for (const selector of selectors) {
+      try {
+        const locator = page.locator(selector).first()
+        if (await locator.count() > 0 && await locator.isVisible()) {
+          return { locator, selector }
+        }
+      } catch (e) {
+        continue
+      }
+    }
+    if (Date.now() >= deadline) return null
+    await delay(POLL_INTERVAL_MS)
+  }
+}
+
+/**
+ * @private
+ */
+const runStep = async (page, def, step, vars) => {
+  const timeout = step.timeout !== undefined ? step.timeout : 5000
+  switch (step.action) {
+    case 'goto':
+      await page.goto(step.url || def.url, { waitUntil: step.waitUntil || 'load', timeout })
+      logger.info(`页面标题: ${await page.title()}`, 'DREAMINA')
+      break
+    case 'wait':
+      await delay(timeout)
+      break
+    case 'click':
+    case 'fill': {
+      const found = await findVisible(page, step.selectors, timeout)
+      if (!found) throw new Error(`无法找到元素（${step.name}）`)
+      logger.info(`${step.name}：使用选择器 ${found.selector}`, 'DREAMINA')
+      if (step.action === 'click') {
+        await found.locator.click({ timeout: ACTION_TIMEOUT_MS })
+      } else {
+        await found.locator.fill(renderValue(step.value, vars), { timeout: ACTION_TIMEOUT_MS })
+      }
+      break
+    }
+    case 'waitForUrl':
+      try {
+        await page.waitForURL(step.pattern, { timeout })
+        logger.info(`页面已跳转到: ${page.url()}`, 'DREAMINA')
+      } catch (e) {
+        logger.info(`等待URL超时，当前URL: ${page.url()}`, 'DREAMINA')
+        if (step.errorSelectors) {
+          const errorText = await page.locator(step.errorSelectors.join(', ')).allTextContents().catch(() => [])
+          if (errorText.length > 0) {
+            logger.info(`页面错误信息: ${errorText.join(', ')}`, 'DREAMINA')
+          }
+        }
+        await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {})
+        throw e
+      }
+      break
+  }
+}
+
+/**
+ * 在页面上按定义执行登录步骤
+ * @param {Object} page - Playwright 页面
+ * @param {Object} def - 流程定义（登录开始时取 getFlow()，执行中途重新加载不影响本次登录）
+ * @param {Object} vars - 模板变量（email、password）
+ * @param {Function} onStep - (step, index, total) => void，每个步骤开始前调用
+ * @param {number} startAt - 从第几个步骤开始（人工处理验证后从失败的步骤继续）
+ * @throws {Error} 必需步骤失败时抛出，error.stepIndex 为失败步骤的序号
+ */
+const runFlow = async (page, def, vars, onStep = null, startAt = 0) => {
+  for (let i = startAt; i < def.steps.length; i++) {
+    const step = def.steps[i]
+    if (typeof onStep === 'function') onStep(step, i, def.steps.length)
+    logger.info(`步骤${i + 1}/${def.steps.length}: ${step.name}...`, 'DREAMINA')
+    try {
+      await runStep(page, def, step, vars)
+    } catch (e) {
+      if (!step.optional) {
+        e.stepIndex = i
+        throw e
+      }
+      logger.info(`可选步骤「${step.name}」未完成，继续: ${e.message}`, 'DREAMINA')
+    }
+    if (step.delayAfterMs) await delay(step.delayAfterMs)
+  }
+}
+
+/**
+ * 检查页面当前是否处于需要人工处理的验证状态
+ * @param {Object} page - Playwright 页面
+ * @param {Object} def - 流程定义
+ * @returns {Promise<Object|null>} 匹配的验证页面描述
+ */
+const detectChallenge = async (page, def) => {
+  for (const challenge of def.challenges || []) {
+    if (await findVisible(page, challenge.selectors, 0)) return challenge
+  }
+  return null
+}
+
+/**
+ * 填入操作员提交的验证码并提交
+ * @param {Object} page - Playwright 页面
+ * @param {Object} challenge - code 类型的验证页面描述
+ * @param {string} code - 验证码
+ */
+const submitChallengeCode = async (page, challenge, code) => {
+  const input = await findVisible(page, challenge.inputSelectors, 5000)
+  if (!input) throw new Error(`无法找到验证码输入框（${challenge.name}）`)
+  await input.locator.fill(code, { timeout: ACTION_TIMEOUT_MS })
+  const submit = challenge.submitSelectors ? await findVisible(page, challenge.submitSelectors, 5000) : null
+  if (submit) {
+    await submit.locator.click({ timeout: ACTION_TIMEOUT_MS })
+  } else {
+    await input.locator.press('Enter', { timeout: ACTION_TIMEOUT_MS })
+  }
+}
+
+load()
+// 轮询定义文件变化，不阻止进程退出
+fs.watchFile(flowPath, { interval: 2000, persistent: false }, (curr, prev) => {
+  if (curr.mtimeMs === prev.mtimeMs) return
+  // 本进程通过 replaceFlow 写入时内容已生效，重复加载无副作用
+  load()
+})
+
+module.exports = {
+  ACTIONS,
+  CHALLENGE_TYPES,
+  validateFlow,
+  getFlow,
+  getInfo,
+  replaceFlow,
+  runFlow,
+  detectChallenge,
+  submitChallengeCode
+}
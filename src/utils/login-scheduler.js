@@ -0,0 +1,188 @@
+const config = require('../config')
+const { logger } = require('./logger')
+
+// 每分钟限额的统计窗口
+const RATE_WINDOW_MS = 60 * 1000
+
+/**
+ * 登录调度器
+ * 所有 Dreamina 登录（批量添加、定时刷新、自动重新登录）都经由此处排队执行，控制对上游的总压力：
+ * - 同时进行的登录数不超过 concurrency
+ * - 任意 60 秒内开始的登录数不超过 maxPerMinute（0 不限制）
+ * - 相邻两次登录的开始时间间隔为 [minDelayMs, maxDelayMs] 之间的随机值
+ * 登录按提交顺序开始
+ * 登录挂起等待人工处理期间可让出并发名额（slot.suspend），恢复后重新计入（slot.resume，不排队）
+ */
+class LoginScheduler {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1)
+    this.maxPerMinute = Math.max(0, options.maxPerMinute || 0)
+    this.minDelayMs = Math.max(0, options.minDelayMs || 0)
+    this.maxDelayMs = Math.max(this.minDelayMs, options.maxDelayMs || 0)
+    this.queue = []
+    this.active = 0
+    // 让出并发名额、挂起等待人工处理的登录数
+    this.held = 0
+    // 最近 60 秒内登录开始的时间
+    this.startTimes = []
+    this.nextStartAt = 0
+    this.completed = 0
+    this.failed = 0
+    this._timer = null
+  }
+
+  /**
+   * 提交一次登录
+   * @param {string} label - 日志标识（通常为邮箱）
+   * @param {Function} task - 执行登录的异步函数，参数为 slot：{ suspend, resume }
+   * @returns {Promise<*>} task 的结果
+   */
+  schedule(label, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ label, task, resolve, reject, queuedAt: Date.now() })
+      if (this.queue.length > 1 || this.active >= this.concurrency) {
+        logger.info(`登录排队: ${label}（排队 ${this.queue.length}，进行中 ${this.active}）`, 'LOGIN', '⏳')
+      }
+      this._pump()
+    })
+  }
+
+  /**
+   * 批量执行登录相关任务，每完成一项回调一次进度
+   * 各项并发提交，实际登录由 schedule 限流
+   * @param {Array} items - 待处理项
+   * @param {Function} worker - async (item) => result，返回假值或抛错视为失败
+   * @param {Function} onProgress - ({ item, result, error, success, done, total }) => void
+   * @returns {Promise<Object>} { succeeded: [{ item, result }], failed: [{ item, error }] }
+   */
+  async runBatch(items, worker, onProgress = null) {
+    const total = items.length
+    const succeeded = []
+    const failed = []
+    let done = 0
+
+    await Promise.all(items.map(async (item) => {
+      let result = null
+      let error = null
+      try {
+        result = await worker(item)
+      } catch (e) {
+        error = e
+      }
+
+      done += 1
+      const success = !error && !!result
+      if (success) succeeded.push({ item, result })
+      else failed.push({ item, error })
+
+      if (typeof onProgress === 'function') {
+        try {
+          await onProgress({ item, result, error, success, done, total })
+        } catch (e) {
+          logger.error('登录进度回调执行失败', 'LOGIN', '', e)
+        }
+      }
+    }))
+
+    return { succeeded, failed }
+  }
+
+  /**
+   * @private
+   */
+  _pump() {
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const now = Date.now()
+      this.startTimes = this.startTimes.filter(t => now - t < RATE_WINDOW_MS)
+
+      let waitMs = Math.max(0, this.nextStartAt - now)
+      if (this.maxPerMinute > 0 && this.startTimes.length >= this.maxPerMinute) {
+        waitMs = Math.max(waitMs, this.startTimes[0] + RATE_WINDOW_MS - now)
+      }
+      if (waitMs > 0) {
+        this._schedulePump(waitMs)
+        return
+      }
+
+      const job = this.queue.shift()
+      this.active += 1
+      this.startTimes.push(now)
+      this.nextStartAt = now + this._jitter()
+      this._run(job)
+    }
+  }
+
+  _schedulePump(waitMs) {
+    if (this._timer) return
+    this._timer = setTimeout(() => {
+      this._timer = null
+      this._pump()
+    }, waitMs)
+  }
+
+  async _run(job) {
+    let suspended = false
+    const slot = {
+      // 让出并发名额，排队中的登录可以开始
+      suspend: () => {
+        if (suspended) return
+        suspended = true
+        this.active -= 1
+        this.held += 1
+        this._pump()
+      },
+      // 重新计入并发名额（可能短暂超过 concurrency）
+      resume: () => {
+        if (!suspended) return
+        suspended = false
+        this.held -= 1
+        this.active += 1
+      }
+    }
+    try {
+      const result = await job.task(slot)
+      this.completed += 1
+      job.resolve(result)
+    } catch (e) {
+      this.failed += 1
+      job.reject(e)
+    } finally {
+      if (suspended) {
+        this.held -= 1
+      } else {
+        this.active -= 1
+      }
+      this._pump()
+    }
+  }
+
+  _jitter() {
+    return this.minDelayMs + Math.floor(Math.random() * (this.maxDelayMs - this.minDelayMs + 1))
+  }
+
+  getStats() {
+    const now = Date.now()
+    return {
+      concurrency: this.concurrency,
+      maxPerMinute: this.maxPerMinute,
+      minDelayMs: this.minDelayMs,
+      maxDelayMs: this.maxDelayMs,
+      active: this.active,
+      held: this.held,
+      queued: this.queue.length,
+      oldestQueuedMs: this.queue.length > 0 ? now - this.queue[0].queuedAt : 0,
+      startedLastMinute: this.startTimes.filter(t => now - t < RATE_WINDOW_MS).length,
+      completed: this.completed,
+      failed: this.failed
+    }
+  }
+}
+
+const loginScheduler = new LoginScheduler({
+  concurrency: config.loginConcurrency,
+  maxPerMinute: config.loginMaxPerMinute,
+  minDelayMs: config.loginDelayMinMs,
+  maxDelayMs: config.loginDelayMaxMs
+})
+
+module.exports = loginScheduler
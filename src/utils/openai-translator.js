@@ -0,0 +1,159 @@
+const crypto = require('crypto')
+const config = require('../config')
+
+/**
+ * OpenAI 请求/响应与上游即梦生图格式之间的转换
+ * 上游请求：{ model, prompt, negative_prompt, width, height, sample_strength }
+ * 上游响应：{ created, data: [{ url }] }
+ */
+
+const DEFAULT_SIZE = { width: 1024, height: 1024 }
+
+/**
+ * 解析 OpenAI size（如 1024x1792）
+ * @param {string} size - 尺寸
+ * @returns {Object} { width, height }
+ */
+const parseSize = (size) => {
+  const match = /^(\d+)\s*x\s*(\d+)$/i.exec(String(size || '').trim())
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : { ...DEFAULT_SIZE }
+}
+
+/**
+ * 映射模型名：已知的即梦模型原样使用，其余（如 dall-e-3、gpt-image-1）使用默认模型
+ * @param {string} model - 请求中的模型名
+ * @returns {string}
+ */
+const resolveModel = (model) => (config.openaiModels.includes(model) ? model : config.openaiDefaultModel)
+
+/**
+ * OpenAI /v1/images/generations 请求体 -> 上游请求体
+ * @param {Object} body - OpenAI 请求体
+ * @returns {Object}
+ */
+const toJimengImageRequest = (body) => {
+  const { width, height } = parseSize(body.size)
+  const sampleStrength = Number(body.sample_strength)
+  return {
+    model: resolveModel(body.model),
+    prompt: body.prompt,
+    negative_prompt: body.negative_prompt || '',
+    width,
+    height,
+    sample_strength: Number.isFinite(sampleStrength) ? sampleStrength : 0.5
+  }
+}
+
+/**
+ * 从 chat messages 中提取生图提示词（最后一条用户消息的文本）
+ * @param {Array} messages - OpenAI chat messages
+ * @returns {string}
+ */
+const extractChatPrompt = (messages) => {
+  const lastUser = [...(Array.isArray(messages) ? messages : [])].reverse().find(m => m && m.role === 'user')
+  if (!lastUser) return ''
+  if (typeof lastUser.content === 'string') return lastUser.content.trim()
+  if (Array.isArray(lastUser.content)) {
+    return lastUser.content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n')
+      .trim()
+  }
+  return ''
+}
+
+/**
+ * 从上游响应中取出图片地址
+ * @param {Object} data - 上游响应体
+ * @returns {Array<string>}
+ */
+const extractImageUrls = (data) => {
+  const items = data && Array.isArray(data.data) ? data.data : []
+  return items
+    .map(item => (typeof item === 'string' ? item : item && item.url))
+    .filter(url => typeof url === 'string' && url)
+}
+
+/**
+ * 从上游失败响应中取出错误信息
+ * @param {*} data - 上游响应体
+ * @returns {string|null}
+ */
+const extractUpstreamError = (data) => {
+  if (!data) return null
+  if (typeof data === 'string') return data.slice(0, 500)
+  if (data.error && typeof data.error === 'object') return data.error.message || null
+  return data.message || data.errmsg || (typeof data.error === 'string' ? data.error : null)
+}
+
+const toImagesResponse = (items) => ({
+  created: Math.floor(Date.now() / 1000),
+  data: items
+})
+
+const toChatContent = (urls) => urls.map((url, i) => `![image_${i + 1}](${url})`).join('\n')
+
+/**
+ * 生成的图片 -> OpenAI chat.completion
+ * @param {string} model - 模型名
+ * @param {Array<string>} urls - 图片地址
+ * @returns {Object}
+ */
+const toChatCompletion = (model, urls) => ({
+  id: `chatcmpl-${crypto.randomUUID()}`,
+  object: 'chat.completion',
+  created: Math.floor(Date.now() / 1000),
+  model,
+  choices: [{
+    index: 0,
+    message: { role: 'assistant', content: toChatContent(urls) },
+    finish_reason: 'stop'
+  }],
+  usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+})
+
+/**
+ * 生成的图片 -> OpenAI chat.completion.chunk 序列（stream: true）
+ * @param {string} model - 模型名
+ * @param {Array<string>} urls - 图片地址
+ * @returns {Array<Object>}
+ */
+const toChatCompletionChunks = (model, urls) => {
+  const id = `chatcmpl-${crypto.randomUUID()}`
+  const created = Math.floor(Date.now() / 1000)
+  const chunk = (delta, finishReason) => ({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  })
+  return [
+    chunk({ role: 'assistant', content: toChatContent(urls) }, null),
+    chunk({}, 'stop')
+  ]
+}
+
+/**
+ * OpenAI 错误响应体
+ * @param {string} message - 错误信息
+ * @param {string} type - 错误类型
+ * @returns {Object}
+ */
+const toErrorBody = (message, type = 'invalid_request_error') => ({
+  error: { message, type, param: null, code: null }
+})
+
+module.exports = {
+  parseSize,
+  resolveModel,
+  toJimengImageRequest,
+  extractChatPrompt,
+  extractImageUrls,
+  extractUpstreamError,
+  toImagesResponse,
+  toChatCompletion,
+  toChatCompletionChunks,
+  toErrorBody
+}
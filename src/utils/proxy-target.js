@@ -1,16 +1,207 @@
 const config = require('../config')
+const { logger } = require('./logger')
 
-let runtimeProxyTarget = process.env.PROXY_TARGET || ''
+/**
+ * 透传目标路由表
+ * 每个目标：{ name, baseUrl, failoverUrls, pathPrefix | pathRegex, stripPrefix, setHeaders, removeHeaders, timeoutMs, maxRetry }
+ * baseUrl 与 failoverUrls 组成一组等价上游，主上游不可用时按顺序故障转移
+ * 匹配顺序：先按表内顺序匹配 pathRegex，再按最长 pathPrefix 匹配
+ */
 
-const getProxyTarget = () => runtimeProxyTarget || config.proxyTarget || ''
+const DEFAULT_TARGET_NAME = 'default'
+
+let targets = []
+// 目标 -> 编译后的 pathRegex（在加载或替换路由表时编译，不随目标列出或持久化）
+const compiledRegex = new WeakMap()
+
+/**
+ * 校验目标定义
+ * @param {Object} def - 目标定义
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+const validateTarget = (def) => {
+  if (!def || typeof def !== 'object') return 'target must be object'
+  if (typeof def.name !== 'string' || !/^[\w.-]+$/.test(def.name)) return 'name must match [A-Za-z0-9_.-]+'
+  if (typeof def.baseUrl !== 'string' || !/^https?:\/\//i.test(def.baseUrl.trim())) return 'baseUrl must be http(s) url'
+  if (def.failoverUrls !== undefined) {
+    if (!Array.isArray(def.failoverUrls)) return 'failoverUrls must be array'
+    if (def.failoverUrls.some(url => typeof url !== 'string' || !/^https?:\/\//i.test(url.trim()))) return 'failoverUrls must be http(s) urls'
+  }
+  if (def.pathRegex) {
+    try {
+      new RegExp(def.pathRegex)
+    } catch (e) {
+      return `invalid pathRegex: ${e.message}`
+    }
+  } else if (def.pathPrefix !== undefined && (typeof def.pathPrefix !== 'string' || !def.pathPrefix.startsWith('/'))) {
+    return 'pathPrefix must start with /'
+  }
+  if (def.setHeaders !== undefined && (typeof def.setHeaders !== 'object' || Array.isArray(def.setHeaders))) return 'setHeaders must be object'
+  if (def.removeHeaders !== undefined && !Array.isArray(def.removeHeaders)) return 'removeHeaders must be array'
+  for (const key of ['timeoutMs', 'maxRetry']) {
+    const v = def[key]
+    if (v !== undefined && v !== null && v !== '' && !(Number.isFinite(Number(v)) && Number(v) >= 0)) return `${key} must be non-negative number`
+  }
+  return null
+}
+
+/**
+ * 规范化目标定义（调用前需先校验）
+ * @private
+ */
+const normalizeTarget = (def) => {
+  const toNumberOrNull = (v) => (v === undefined || v === null || v === '' ? null : Number(v))
+  const target = {
+    name: def.name,
+    baseUrl: def.baseUrl.trim().replace(/\/$/, ''),
+    failoverUrls: (def.failoverUrls || []).map(url => url.trim().replace(/\/$/, '')),
+    pathPrefix: def.pathRegex ? null : (def.pathPrefix || '/'),
+    pathRegex: def.pathRegex || null,
+    stripPrefix: !!def.stripPrefix,
+    setHeaders: { ...(def.setHeaders || {}) },
+    removeHeaders: (def.removeHeaders || []).map(h => String(h).toLowerCase()),
+    timeoutMs: toNumberOrNull(def.timeoutMs),
+    maxRetry: toNumberOrNull(def.maxRetry)
+  }
+  if (target.pathRegex) compiledRegex.set(target, new RegExp(target.pathRegex))
+  return target
+}
+
+const listTargets = () => targets.map(t => ({ ...t }))
+
+/**
+ * 目标组全部成员（主上游在前）
+ * @param {Object} target - 目标
+ * @returns {Array<string>}
+ */
+const getTargetMembers = (target) => [target.baseUrl, ...target.failoverUrls]
+
+const getTarget = (name) => targets.find(t => t.name === name) || null
+
+const addTarget = (def) => {
+  if (getTarget(def.name)) {
+    throw new Error(`target ${def.name} already exists`)
+  }
+  const target = normalizeTarget(def)
+  targets.push(target)
+  return target
+}
+
+const updateTarget = (name, def) => {
+  const index = targets.findIndex(t => t.name === name)
+  if (index === -1) return null
+  if (def.name !== name && getTarget(def.name)) {
+    throw new Error(`target ${def.name} already exists`)
+  }
+  targets[index] = normalizeTarget(def)
+  return targets[index]
+}
+
+const removeTarget = (name) => {
+  const index = targets.findIndex(t => t.name === name)
+  if (index === -1) return false
+  targets.splice(index, 1)
+  return true
+}
+
+/**
+ * 按请求路径匹配目标
+ * @param {string} reqPath - 去除 /api 前缀后的路径（不含查询串）
+ * @returns {Object|null} { target, upstreamPath } upstreamPath 为转发到上游的路径
+ */
+const resolveTarget = (reqPath) => {
+  for (const t of targets) {
+    if (t.pathRegex && compiledRegex.get(t).test(reqPath)) {
+      return { target: t, upstreamPath: reqPath }
+    }
+  }
+
+  let best = null
+  for (const t of targets) {
+    if (!t.pathPrefix) continue
+    const prefix = t.pathPrefix.replace(/\/$/, '')
+    const matched = prefix === '' || reqPath === prefix || reqPath.startsWith(prefix + '/')
+    if (matched && (!best || prefix.length > best.pathPrefix.replace(/\/$/, '').length)) best = t
+  }
+  if (!best) return null
+
+  let upstreamPath = reqPath
+  if (best.stripPrefix) {
+    upstreamPath = reqPath.slice(best.pathPrefix.replace(/\/$/, '').length) || '/'
+  }
+  return { target: best, upstreamPath }
+}
+
+/**
+ * 整体替换路由表（从持久化存储同步时使用），无效定义会被忽略
+ * @param {Array} defs - 目标定义列表
+ */
+const replaceTargets = (defs) => {
+  const next = []
+  for (const def of defs) {
+    const error = validateTarget(def)
+    if (error) {
+      logger.warn(`忽略无效的透传目标 ${def && def.name}: ${error}`, 'PROXY')
+      continue
+    }
+    if (!next.some(t => t.name === def.name)) next.push(normalizeTarget(def))
+  }
+  targets = next
+}
+
+// 兼容旧接口：单一透传目标即名为 default 的兜底目标
+const getProxyTarget = () => {
+  const target = getTarget(DEFAULT_TARGET_NAME)
+  return target ? target.baseUrl : ''
+}
 
 const setProxyTarget = (url) => {
-  runtimeProxyTarget = url || ''
-  return runtimeProxyTarget
+  if (!url) {
+    removeTarget(DEFAULT_TARGET_NAME)
+    return ''
+  }
+  const existing = getTarget(DEFAULT_TARGET_NAME)
+  const def = { ...(existing || {}), name: DEFAULT_TARGET_NAME, baseUrl: url, pathPrefix: existing ? existing.pathPrefix : '/' }
+  if (existing) updateTarget(DEFAULT_TARGET_NAME, def)
+  else targets.push(normalizeTarget(def))
+  return getProxyTarget()
+}
+
+// 初始化：PROXY_TARGETS（JSON 数组）+ PROXY_TARGET（作为 default 兜底目标）
+const loadInitialTargets = () => {
+  if (config.proxyTargets) {
+    try {
+      const defs = JSON.parse(config.proxyTargets)
+      for (const def of Array.isArray(defs) ? defs : []) {
+        const error = validateTarget(def)
+        if (error) {
+          logger.warn(`忽略无效的透传目标 ${def && def.name}: ${error}`, 'PROXY')
+          continue
+        }
+        if (!getTarget(def.name)) targets.push(normalizeTarget(def))
+      }
+    } catch (e) {
+      logger.warn(`PROXY_TARGETS 解析失败: ${e.message}`, 'PROXY')
+    }
+  }
+  if (config.proxyTarget && !getTarget(DEFAULT_TARGET_NAME)) {
+    setProxyTarget(config.proxyTarget)
+  }
 }
 
+loadInitialTargets()
+
 module.exports = {
+  DEFAULT_TARGET_NAME,
+  validateTarget,
+  listTargets,
+  getTargetMembers,
+  getTarget,
+  addTarget,
+  updateTarget,
+  removeTarget,
+  replaceTargets,
+  resolveTarget,
   getProxyTarget,
   setProxyTarget
 }
-
@@ -30,6 +30,13 @@ let idleTimer = null
 // 空闲超时时间 (5分钟)
 const IDLE_TIMEOUT = 5 * 60 * 1000
 
+// 运行时代理设置的存储键与变更通知频道
+const SETTINGS_KEY = 'settings:proxy'
+const SETTINGS_CHANNEL = 'settings:proxy:changed'
+
+// 订阅连接（常驻，不参与空闲断开）
+let subscriber = null
+
 /**
  * 判断是否需要TLS
  */
@@ -189,6 +196,19 @@ const ensureConnection = async () => {
   return redis
 }
 
+/**
+ * 解析以 JSON 保存的账户配置字段（邮箱配置、登录配置）
+ */
+const parseJsonField = (value, label) => {
+  if (!value) return undefined
+  try {
+    return JSON.parse(value)
+  } catch (e) {
+    logger.warn(`账户${label}格式无效，已忽略`, 'REDIS')
+    return undefined
+  }
+}
+
 /**
  * 获取所有账户
  * @returns {Promise<Array>} 所有账户信息数组
@@ -239,7 +259,16 @@ const getAllAccounts = async () => {
         email: keys[index].replace('user:', ''),
         password: accountData.password || '',
         token: accountData.token || '',
-        expires: accountData.expires || ''
+        expires: accountData.expires || '',
+        weight: accountData.weight !== undefined && accountData.weight !== '' ? Number(accountData.weight) : undefined,
+        refreshable: accountData.refreshable === 'false' ? false : undefined,
+        // 只有通过 sessionid 导入的账户保存了 sessionid（无法重新登录获取）
+        ...(accountData.refreshable === 'false' ? {
+          sessionid: accountData.sessionid || '',
+          sessionid_expires: Number(accountData.sessionid_expires) || null
+        } : {}),
+        mailbox: parseJsonField(accountData.mailbox, '邮箱配置'),
+        loginProfile: parseJsonField(accountData.loginProfile, '登录配置')
       }
     }).filter(Boolean) // 过滤掉null值
 
@@ -261,11 +290,19 @@ const setAccount = async (key, value) => {
   try {
     const client = await ensureConnection()
 
-    const { password, token, expires } = value
+    const { password, token, expires, sessionid, sessionid_expires, weight, refreshable, mailbox, loginProfile } = value
+    // 通过 sessionid 导入的账户没有密码、无法重新登录，需要保存 sessionid 本身；其余账户不保存 sessionid
+    const keepSession = refreshable === false
     await client.hset(`user:${key}`, {
       password: password || '',
       token: token || '',
-      expires: expires || ''
+      expires: expires || '',
+      sessionid: keepSession ? sessionid || '' : '',
+      sessionid_expires: keepSession ? sessionid_expires || '' : '',
+      weight: weight !== undefined && weight !== null ? String(weight) : '',
+      refreshable: refreshable === false ? 'false' : '',
+      mailbox: mailbox ? JSON.stringify(mailbox) : '',
+      loginProfile: loginProfile ? JSON.stringify(loginProfile) : ''
     })
 
     logger.success(`账户 ${key} 设置成功`, 'REDIS')
@@ -319,6 +356,65 @@ const checkKeyExists = async (key = 'headers') => {
   }
 }
 
+/**
+ * 获取运行时代理设置
+ * @returns {Promise<Object|null>} 设置对象，不存在时返回 null
+ */
+const getSettings = async () => {
+  try {
+    const client = await ensureConnection()
+    const raw = await client.get(SETTINGS_KEY)
+    return raw ? JSON.parse(raw) : null
+  } catch (err) {
+    logger.error('获取运行时设置失败', 'REDIS', '', err)
+    return null
+  }
+}
+
+/**
+ * 保存运行时代理设置并通知其他进程
+ * @param {Object} settings - 设置对象
+ * @returns {Promise<boolean>} 保存是否成功
+ */
+const setSettings = async (settings) => {
+  try {
+    const client = await ensureConnection()
+    await client.set(SETTINGS_KEY, JSON.stringify(settings))
+    await client.publish(SETTINGS_CHANNEL, String(process.pid))
+    logger.success('运行时设置保存成功', 'REDIS')
+    return true
+  } catch (err) {
+    logger.error('保存运行时设置失败', 'REDIS', '', err)
+    return false
+  }
+}
+
+/**
+ * 订阅运行时设置变更通知（使用独立的常驻连接，断线后自动重连并重新订阅）
+ * @param {Function} handler - 收到通知时的回调，参数为发布方进程 PID
+ */
+const subscribeSettings = (handler) => {
+  if (config.dataSaveMode !== 'redis') return
+  if (!subscriber) {
+    subscriber = new Redis(config.redisURL, {
+      ...createRedisConfig(),
+      lazyConnect: false,
+      enableOfflineQueue: true,
+      connectionName: 'qwen2api_settings_subscriber',
+      retryStrategy: (times) => Math.min(1000 * times, 10000)
+    })
+    subscriber.on('error', (err) => {
+      logger.error('Redis订阅连接错误', 'REDIS', '', err)
+    })
+    subscriber.subscribe(SETTINGS_CHANNEL).catch(err => {
+      logger.error('订阅运行时设置变更失败', 'REDIS', '', err)
+    })
+  }
+  subscriber.on('message', (channel, message) => {
+    if (channel === SETTINGS_CHANNEL) handler(message)
+  })
+}
+
 /**
  * 获取连接状态
  * @returns {Object} 连接状态信息
@@ -338,6 +434,10 @@ const getConnectionStatus = () => {
  */
 const cleanup = async () => {
   logger.info('清理Redis连接...', 'REDIS', '🧹')
+  if (subscriber) {
+    subscriber.disconnect()
+    subscriber = null
+  }
   await disconnectRedis()
 }
 
@@ -347,6 +447,9 @@ const redisClient = {
   setAccount,
   deleteAccount,
   checkKeyExists,
+  getSettings,
+  setSettings,
+  subscribeSettings,
   getConnectionStatus,
   cleanup,
 
@@ -366,6 +469,21 @@ const redisClient = {
     return client.hgetall(key)
   },
 
+  async get(key) {
+    const client = await ensureConnection()
+    return client.get(key)
+  },
+
+  async set(key, ...args) {
+    const client = await ensureConnection()
+    return client.set(key, ...args)
+  },
+
+  async mget(keys) {
+    const client = await ensureConnection()
+    return client.mget(keys)
+  },
+
   async exists(key) {
     const client = await ensureConnection()
     return client.exists(key)
@@ -0,0 +1,91 @@
+const DataPersistence = require('./data-persistence')
+const proxyTargets = require('./proxy-target')
+const accountSelector = require('./account-selector')
+const failureRules = require('./failure-rules')
+const { logger } = require('./logger')
+
+/**
+ * 运行时代理设置（透传目标路由表、账户选择策略、失败分类规则）
+ * 管理端修改后通过 DataPersistence 持久化，重启后恢复；
+ * 其他工作进程通过 redis 发布订阅或数据文件变更得到通知并重新加载
+ * 已保存过的设置优先于环境变量 PROXY_TARGET / PROXY_TARGETS / ACCOUNT_STRATEGY / FAILURE_RULES
+ */
+
+const dataPersistence = new DataPersistence()
+
+// 最近一次应用/保存的设置，用于跳过无变化的重新加载（包括本进程自身写入触发的通知）
+let lastApplied = null
+
+const snapshot = () => ({
+  proxyTargets: proxyTargets.listTargets(),
+  accountStrategy: accountSelector.getStrategyName(),
+  failureRules: failureRules.listRules()
+})
+
+/**
+ * 应用设置到当前进程
+ * @param {Object|null} settings - 持久化的设置
+ * @returns {boolean} 是否有变化
+ */
+const applySettings = (settings) => {
+  if (!settings) return false
+  const serialized = JSON.stringify(settings)
+  if (serialized === lastApplied) return false
+  lastApplied = serialized
+
+  if (Array.isArray(settings.proxyTargets)) {
+    proxyTargets.replaceTargets(settings.proxyTargets)
+  }
+  if (Array.isArray(settings.failureRules)) {
+    failureRules.replaceRules(settings.failureRules)
+  }
+  if (settings.accountStrategy && settings.accountStrategy !== accountSelector.getStrategyName()) {
+    try {
+      accountSelector.setStrategy(settings.accountStrategy)
+    } catch (e) {
+      logger.warn(`忽略无效的账户选择策略: ${settings.accountStrategy}`, 'SETTINGS')
+    }
+  }
+  return true
+}
+
+/**
+ * 保存当前进程的运行时设置并通知其他进程
+ * @returns {Promise<boolean>} 是否已持久化
+ */
+const saveSettings = async () => {
+  const settings = snapshot()
+  lastApplied = JSON.stringify(settings)
+  return await dataPersistence.saveSettings(settings)
+}
+
+/**
+ * 从持久化存储重新加载设置
+ * @returns {Promise<boolean>} 是否有变化
+ */
+const reloadSettings = async () => {
+  const settings = await dataPersistence.loadSettings()
+  const changed = applySettings(settings)
+  if (changed) {
+    logger.info(`已同步运行时代理设置：${proxyTargets.listTargets().length} 个透传目标，策略 ${accountSelector.getStrategyName()}`, 'SETTINGS', '🔄')
+  }
+  return changed
+}
+
+const initialize = async () => {
+  try {
+    await reloadSettings()
+    dataPersistence.watchSettings(() => {
+      reloadSettings().catch(e => logger.error('同步运行时设置失败', 'SETTINGS', '', e))
+    })
+  } catch (error) {
+    logger.error('运行时设置初始化失败', 'SETTINGS', '', error)
+  }
+}
+
+initialize()
+
+module.exports = {
+  saveSettings,
+  reloadSettings
+}
@@ -0,0 +1,206 @@
+const axios = require('axios')
+const config = require('../config')
+const { logger } = require('./logger')
+const proxyTargets = require('./proxy-target')
+const dreaminaAccountManager = require('./dreamina-account')
+const accountSelector = require('./account-selector')
+const upstreamHealth = require('./upstream-health')
+const accountQueue = require('./account-queue')
+const failureRules = require('./failure-rules')
+const { peekStreamBody } = require('./json-capture')
+
+/**
+ * 基于 sessionId 轮换的上游请求
+ * 透传与 OpenAI 兼容接口共用同一套规则：
+ * - 上游响应命中失败分类规则（默认 429/400/401/504）时按规则处理账户并切换重试，最多 maxRetry 次
+ * - 建立连接前的错误切换到目标组内下一个等价上游（不消耗重试次数）；
+ *   请求发出后连接中断时上游可能已处理该请求，仅幂等方法切换上游重试且消耗重试次数
+ * - 携带已知任务 ID 的请求固定使用创建任务的账户，不做轮换
+ * - 所有可用账户都达到并发上限时排队等待，而不是直接返回无可用账户
+ */
+
+// 账户是否已达到并发上限
+const isSaturated = (email) => config.accountMaxInFlight > 0 && accountSelector.getInFlight(email) >= config.accountMaxInFlight
+
+// 可参与选择的账户（不考虑并发上限）
+const getEligibleAccounts = () => (dreaminaAccountManager.getAllAccounts() || []).filter(a => a && a.sessionid && !a.sessionid_revoked &&
+  dreaminaAccountManager.isAccountSelectable(a.email) && dreaminaAccountManager.hasEnoughCredit(a.email))
+
+/**
+ * 选择本次尝试使用的账户
+ * @param {string|null} pinnedEmail - 任务绑定的账户
+ * @returns {Object|null}
+ */
+const pickAccount = (pinnedEmail = null) => {
+  // 任务绑定的账户：轮询等后续请求必须沿用创建任务的 sessionId，不受冷却/熔断/并发上限影响
+  if (pinnedEmail) {
+    const all = dreaminaAccountManager.getAllAccounts() || []
+    const pinned = all.find(a => a && a.email === pinnedEmail && a.sessionid && !a.sessionid_revoked)
+    if (pinned) {
+      dreaminaAccountManager.claimAccount(pinned.email)
+      return pinned
+    }
+    logger.warn(`任务绑定的账户 ${pinnedEmail} 不可用，改为常规选择`, 'PROXY')
+  }
+  const available = getEligibleAccounts().filter(a => !isSaturated(a.email))
+  const account = accountSelector.selectAccount(available)
+  if (account) dreaminaAccountManager.claimAccount(account.email)
+  return account
+}
+
+/**
+ * 获取账户，所有可用账户都满载时按先进先出排队等待
+ * @param {string|null} pinnedEmail - 任务绑定的账户
+ * @param {AbortSignal|null} signal - 客户端断开时触发，排队中的请求随之离开队列
+ * @returns {Promise<Object|null>} 没有任何可用账户时返回 null；队列已满或等待超时抛出带 retryAfter 的错误，
+ *   客户端断开抛出 code 为 ACCOUNT_QUEUE_CANCELLED 的错误
+ */
+const acquireAccount = async (pinnedEmail = null, signal = null) => {
+  let waiter = null
+  let served = false
+  try {
+    while (true) {
+      // 已有请求在排队时，新请求不能越过队列直接取账户（任务绑定的请求除外）
+      if (pinnedEmail || accountQueue.isTurn(waiter)) {
+        const account = pickAccount(pinnedEmail)
+        if (account) {
+          served = true
+          return account
+        }
+        if (!getEligibleAccounts().length) return null
+      }
+      if (!waiter) waiter = accountQueue.enqueue()
+      await accountQueue.waitTurn(waiter, signal)
+    }
+  } finally {
+    if (waiter) accountQueue.leave(waiter, served)
+  }
+}
+
+/**
+ * 按失败分类规则判定响应，规则需要响应体时预读流式响应
+ * @param {Object} response - axios 响应
+ * @returns {Promise<Object|null>} 命中的规则
+ */
+const classifyResponse = async (response) => {
+  let body = response.data
+  if (body && typeof body.pipe === 'function') {
+    body = failureRules.needsBody(response.status) ? await peekStreamBody(response) : undefined
+  }
+  return failureRules.classify(response.status, body)
+}
+
+// 执行规则对账户的处理（retry / pass 不处理账户）
+const applyRuleAction = (rule, account) => {
+  if (rule.action === 'bench') {
+    dreaminaAccountManager.benchAccount(account.email, rule.benchMs === null ? undefined : rule.benchMs, `规则 ${rule.name}`)
+  } else if (rule.action === 'relogin') {
+    // 会话被拒绝：标记失效并后台重新登录
+    dreaminaAccountManager.markSessionRevoked(account.email, account.sessionid)
+  }
+}
+
+// 连接中断后可以重放的幂等方法
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'])
+
+const getMaxRetries = (target) => {
+  if (target && target.maxRetry !== null && target.maxRetry !== undefined) return target.maxRetry
+  return Number.isFinite(config.proxyMaxRetry) ? config.proxyMaxRetry : 5
+}
+
+/**
+ * 按轮换规则发送请求
+ * @param {Object} options
+ * @param {Object} options.target - 透传目标
+ * @param {string} options.path - 上游路径（含查询串）
+ * @param {Object} options.axiosConfig - axios 配置，url 与 authorization 由本函数按尝试写入
+ * @param {boolean} options.canRetry - 请求体能否重放（未暂存的原始流不可重试）
+ * @param {string|null} options.pinnedEmail - 任务绑定的账户
+ * @param {AbortSignal|null} options.signal - 客户端断开时触发（取消排队）
+ * @param {Function} options.beforeAttempt - 每次发送前回调 ({ attempt, account, targetUrl })
+ * @param {Function} options.afterResponse - 每次收到响应后回调 ({ attempt, account, targetUrl, response, durationMs })
+ * @returns {Promise<Object>} { response, email, release, targetUrl }；无可用账户时 response 为 null，
+ *   排队已满或等待超时抛出带 status/retryAfter 的错误
+ */
+const sendWithRotation = async ({ target, path, axiosConfig, canRetry = true, pinnedEmail = null, signal = null, beforeAttempt, afterResponse }) => {
+  const maxRetries = getMaxRetries(target)
+  const isIdempotent = IDEMPOTENT_METHODS.has(String(axiosConfig.method || 'GET').toUpperCase())
+  const members = proxyTargets.getTargetMembers(target)
+  // 本次请求中连接失败过的上游，故障转移时跳过
+  const failedUpstreams = new Set()
+  let attempt = 0
+
+  while (true) {
+    const account = await acquireAccount(pinnedEmail, signal)
+    if (!account || !account.sessionid) {
+      return { response: null, email: null, release: () => {}, targetUrl: null }
+    }
+    // 结束回调：统计账户进行中请求数，并唤醒排队等待账户的请求
+    const releaseAccount = accountSelector.trackRequest(account.email)
+    let released = false
+    const release = () => {
+      if (released) return
+      released = true
+      releaseAccount()
+      accountQueue.notify()
+    }
+    const sid = account.sessionid.startsWith('us-') ? account.sessionid : `us-${account.sessionid}`
+    axiosConfig.headers = axiosConfig.headers || {}
+    axiosConfig.headers.authorization = `Bearer ${sid}`
+
+    const baseUrl = upstreamHealth.pickUpstream(members, failedUpstreams)
+    const targetUrl = baseUrl + path
+    axiosConfig.url = targetUrl
+    if (beforeAttempt) beforeAttempt({ attempt, account, targetUrl })
+
+    const start = Date.now()
+    let response
+    try {
+      response = await axios(axiosConfig)
+    } catch (e) {
+      if (upstreamHealth.isConnectionError(e) || upstreamHealth.isTimeoutError(e)) {
+        upstreamHealth.reportFailure(baseUrl, e)
+      }
+      release()
+      // 与账户无关的失败：释放其熔断探测名额
+      dreaminaAccountManager.reportAccountResult(account.email, null)
+      failedUpstreams.add(baseUrl)
+      const hasNextUpstream = failedUpstreams.size < members.length && canRetry
+      // 建立连接前失败：请求未被上游处理，换下一个等价上游重试（不消耗重试次数）
+      if (upstreamHealth.isPreConnectError(e) && hasNextUpstream) {
+        logger.warn(`上游 ${baseUrl} 连接失败 (${e.code})，切换到下一个上游`, 'PROXY')
+        continue
+      }
+      // 请求发出后连接中断：上游可能已创建任务，非幂等请求不重放，幂等请求消耗一次重试
+      if (upstreamHealth.isConnectionError(e) && hasNextUpstream && isIdempotent && attempt < maxRetries) {
+        attempt += 1
+        logger.warn(`上游 ${baseUrl} 连接中断 (${e.code})，切换到下一个上游重试（第 ${attempt}/${maxRetries} 次）`, 'PROXY')
+        continue
+      }
+      throw e
+    }
+    upstreamHealth.reportSuccess(baseUrl)
+    dreaminaAccountManager.reportAccountResult(account.email, response.status, response.headers)
+    const rule = await classifyResponse(response)
+    if (rule) applyRuleAction(rule, account)
+    if (afterResponse) afterResponse({ attempt, account, targetUrl, response, durationMs: Date.now() - start })
+
+    const isPinned = pinnedEmail === account.email
+    if (rule && rule.action !== 'pass' && attempt < maxRetries && canRetry && !isPinned) {
+      // 尚未向客户端写出任何字节，丢弃本次响应流后即可切换 sessionId 重试
+      if (response.data && typeof response.data.destroy === 'function') response.data.destroy()
+      release()
+      attempt += 1
+      logger.warn(`上游状态 ${response.status} 命中规则 ${rule.name}，切换 sessionId 重试（第 ${attempt}/${maxRetries} 次）`, 'PROXY')
+      continue
+    }
+
+    return { response, email: account.email, release, targetUrl }
+  }
+}
+
+module.exports = {
+  pickAccount,
+  acquireAccount,
+  sendWithRotation
+}
@@ -0,0 +1,111 @@
+const axios = require('axios')
+const { collectByPath } = require('./json-path')
+const { logger } = require('./logger')
+
+/**
+ * SessionID 在线校验
+ * 仅比较 sessionid_expires 无法发现被上游提前吊销的会话：使用账户的 sessionid 请求一个轻量的上游接口，
+ * 根据状态码（以及可选的响应字段）判断会话是否仍然有效
+ * - valid：请求成功且响应字段符合预期
+ * - invalid：上游返回 401/403，或响应字段不符合预期
+ * - error：网络错误、超时或其他状态码，无法判断会话状态
+ * HTTP 客户端可通过 options.http 替换（签名同 axios.request）
+ */
+
+const INVALID_STATUSES = [401, 403]
+
+class SessionVerifier {
+  constructor(options = {}) {
+    this.url = options.url || ''
+    this.method = (options.method || 'GET').toUpperCase()
+    this.timeoutMs = options.timeoutMs || 10000
+    this.concurrency = Math.max(1, options.concurrency || 1)
+    // 可选：响应中该路径的值必须在 okValues 之中才视为有效
+    this.okPath = options.okPath || ''
+    this.okValues = options.okValues || []
+    this.http = options.http || (requestConfig => axios.request(requestConfig))
+  }
+
+  isEnabled() {
+    return !!this.url
+  }
+
+  /**
+   * 校验单个账户的 sessionid
+   * @param {Object} account - 账户（需包含 email 与 sessionid）
+   * @returns {Promise<Object>} { result: 'valid'|'invalid'|'error', status, latencyMs, error, verifiedAt }
+   */
+  async verify(account) {
+    const startedAt = Date.now()
+    const rawSid = String(account.sessionid || '').replace(/^us-/, '')
+    let outcome
+    try {
+      const resp = await this.http({
+        method: this.method,
+        url: this.url,
+        headers: {
+          authorization: `Bearer us-${rawSid}`,
+          cookie: `sessionid=${rawSid}`
+        },
+        data: this.method === 'POST' ? {} : undefined,
+        timeout: this.timeoutMs,
+        validateStatus: () => true
+      })
+      outcome = this._judge(resp)
+    } catch (e) {
+      outcome = { result: 'error', status: null, error: e.message }
+    }
+
+    const verifiedAt = Date.now()
+    return { ...outcome, latencyMs: verifiedAt - startedAt, verifiedAt }
+  }
+
+  /**
+   * @private
+   */
+  _judge(resp) {
+    const status = resp.status
+    if (INVALID_STATUSES.includes(status)) {
+      return { result: 'invalid', status, error: `HTTP ${status}` }
+    }
+    if (status < 200 || status >= 300) {
+      return { result: 'error', status, error: `HTTP ${status}` }
+    }
+    if (this.okPath) {
+      const values = collectByPath(resp.data, this.okPath).map(String)
+      if (!values.some(value => this.okValues.includes(value))) {
+        return { result: 'invalid', status, error: `${this.okPath}=${values.join(',') || '(missing)'}` }
+      }
+    }
+    return { result: 'valid', status, error: null }
+  }
+
+  /**
+   * 并发校验一组账户
+   * @param {Array<Object>} accounts - 账户列表
+   * @param {Function} onResult - (account, outcome) => void，每个账户校验完成后调用
+   * @returns {Promise<Object>} { valid, invalid, error }
+   */
+  async verifyAll(accounts, onResult = null) {
+    const counts = { valid: 0, invalid: 0, error: 0 }
+    const pending = [...accounts]
+    const worker = async () => {
+      while (pending.length > 0) {
+        const account = pending.shift()
+        const outcome = await this.verify(account)
+        counts[outcome.result] += 1
+        if (typeof onResult === 'function') {
+          try {
+            await onResult(account, outcome)
+          } catch (e) {
+            logger.error(`处理会话校验结果失败 (${account.email})`, 'SESSION', '', e)
+          }
+        }
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker))
+    return counts
+  }
+}
+
+module.exports = SessionVerifier
@@ -36,7 +36,7 @@ function broadcast(event, data) {
   }
 }
 
-// Heartbeat to keep connections alive
+// Heartbeat to keep connections alive (does not keep the process alive by itself)
 setInterval(() => {
   for (const client of clients.values()) {
     try {
@@ -46,7 +46,7 @@ setInterval(() => {
       // Swallow; cleanup happens on next broadcast
     }
   }
-}, HEARTBEAT_INTERVAL)
+}, HEARTBEAT_INTERVAL).unref()
 
 module.exports = {
   addClient,
@@ -0,0 +1,128 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const config = require('../config')
+const { logger } = require('./logger')
+
+/**
+ * 登录浏览器状态（Playwright storageState：Cookie 与 localStorage）加密存储
+ * 登录成功后保存，刷新 SessionID 时优先恢复该状态换取新的 sessionid，避免每次都走完整的账号密码登录
+ * - 使用 AES-256-GCM 加密，密钥由 STORAGE_STATE_SECRET 派生；未配置密钥时不保存也不恢复
+ * - 每个账户一个文件，文件名为邮箱的哈希，不暴露邮箱
+ * 账户配置中的敏感字段（邮箱授权码、代理密码）保存时也使用同一密钥加密（sealSecret / openSecret）
+ */
+
+const FORMAT_VERSION = 1
+
+const stateDir = path.resolve(config.storageStateDir)
+const key = config.storageStateSecret
+  ? crypto.createHash('sha256').update(config.storageStateSecret).digest()
+  : null
+
+const getFilePath = (email) => {
+  const name = crypto.createHash('sha256').update(String(email).toLowerCase()).digest('hex')
+  return path.join(stateDir, `${name}.enc`)
+}
+
+const encrypt = (plain) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  const data = Buffer.concat([cipher.update(plain, 'utf-8'), cipher.final()])
+  return {
+    v: FORMAT_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }
+}
+
+const decrypt = (payload) => {
+  if (!payload || payload.v !== FORMAT_VERSION) throw new Error('unsupported storage state format')
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'))
+  return Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]).toString('utf-8')
+}
+
+const isEnabled = () => !!key
+
+/**
+ * 加密敏感字段
+ * @param {string} plain - 明文
+ * @returns {Object} 加密后的载荷 { v, iv, tag, data }
+ * @throws {Error} 未配置 STORAGE_STATE_SECRET 时抛出
+ */
+const sealSecret = (plain) => {
+  if (!key) throw new Error('STORAGE_STATE_SECRET is not configured')
+  return encrypt(String(plain))
+}
+
+/**
+ * 解密 sealSecret 的结果；字符串视为加密前保存的明文，原样返回
+ * @param {Object|string} value - 加密后的载荷或明文
+ * @returns {string}
+ * @throws {Error} 未配置密钥或无法解密（如密钥已更换）时抛出
+ */
+const openSecret = (value) => {
+  if (typeof value === 'string') return value
+  if (!key) throw new Error('STORAGE_STATE_SECRET is not configured')
+  return decrypt(value)
+}
+
+/**
+ * 加密保存账户的浏览器状态
+ * @param {string} email - 账户邮箱
+ * @param {Object} state - context.storageState() 的返回值
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+const save = async (email, state) => {
+  if (!key) return false
+  try {
+    await fs.promises.mkdir(stateDir, { recursive: true })
+    const filePath = getFilePath(email)
+    const tmpPath = `${filePath}.tmp`
+    await fs.promises.writeFile(tmpPath, JSON.stringify(encrypt(JSON.stringify(state))), { mode: 0o600 })
+    await fs.promises.rename(tmpPath, filePath)
+    return true
+  } catch (e) {
+    logger.error(`保存浏览器状态失败 (${email})`, 'STORAGE', '', e)
+    return false
+  }
+}
+
+/**
+ * 读取并解密账户的浏览器状态
+ * @param {string} email - 账户邮箱
+ * @returns {Promise<Object|null>} storageState，不存在或无法解密（如密钥已更换）时返回 null
+ */
+const load = async (email) => {
+  if (!key) return null
+  let raw
+  try {
+    raw = await fs.promises.readFile(getFilePath(email), 'utf-8')
+  } catch (e) {
+    return null
+  }
+  try {
+    return JSON.parse(decrypt(JSON.parse(raw)))
+  } catch (e) {
+    logger.warn(`无法解密账户 ${email} 的浏览器状态（密钥可能已更换），将重新登录: ${e.message}`, 'STORAGE')
+    return null
+  }
+}
+
+/**
+ * 删除账户的浏览器状态
+ * @param {string} email - 账户邮箱
+ */
+const remove = async (email) => {
+  await fs.promises.unlink(getFilePath(email)).catch(() => {})
+}
+
+module.exports = {
+  isEnabled,
+  sealSecret,
+  openSecret,
+  save,
+  load,
+  remove
+}
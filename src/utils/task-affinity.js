@@ -0,0 +1,136 @@
+const config = require('../config')
+const redisClient = require('./redis')
+const { collectScalars } = require('./json-path')
+const { logger } = require('./logger')
+
+/**
+ * 任务与账户绑定
+ * 异步生成任务的提交与轮询必须使用同一 sessionId：
+ * 从提交响应中按配置的 JSON 路径学习任务 ID，记录创建该任务的账户（带 TTL），
+ * 后续请求的路径片段、查询参数或请求体中出现该 ID 时固定使用同一账户
+ */
+
+// 过短的候选值（如路径中的 v1、images）不参与查找
+const MIN_ID_LENGTH = 6
+const REDIS_KEY_PREFIX = 'affinity:'
+
+// 内存存储：id -> { email, expiresAt }
+const createMemoryStore = () => {
+  const entries = new Map()
+
+  // 定时清理过期条目，定时器不阻止进程退出
+  setInterval(() => {
+    const now = Date.now()
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(id)
+    }
+  }, 60 * 1000).unref()
+
+  return {
+    name: 'memory',
+    async set(ids, email, ttlMs) {
+      const expiresAt = Date.now() + ttlMs
+      ids.forEach(id => entries.set(id, { email, expiresAt }))
+    },
+    async find(ids) {
+      const now = Date.now()
+      for (const id of ids) {
+        const entry = entries.get(id)
+        if (entry && entry.expiresAt > now) return { id, email: entry.email }
+      }
+      return null
+    },
+    size() {
+      return entries.size
+    }
+  }
+}
+
+// Redis 存储：多个工作进程共享
+const createRedisStore = () => ({
+  name: 'redis',
+  async set(ids, email, ttlMs) {
+    await Promise.all(ids.map(id => redisClient.set(REDIS_KEY_PREFIX + id, email, 'PX', ttlMs)))
+  },
+  async find(ids) {
+    const emails = await redisClient.mget(ids.map(id => REDIS_KEY_PREFIX + id))
+    const index = emails.findIndex(Boolean)
+    return index === -1 ? null : { id: ids[index], email: emails[index] }
+  },
+  size() {
+    return null
+  }
+})
+
+const createStore = () => {
+  if (config.taskAffinityStore === 'redis') {
+    if (redisClient) return createRedisStore()
+    logger.warn('TASK_AFFINITY_STORE=redis 需要 DATA_SAVE_MODE=redis，已回退为内存存储', 'AFFINITY')
+  }
+  return createMemoryStore()
+}
+
+const store = createStore()
+
+/**
+ * 记录任务 ID 与账户的绑定关系
+ * @param {*} body - 已解析的响应体
+ * @param {string} email - 创建任务的账户
+ */
+const learnFromResponse = async (body, email) => {
+  if (!config.taskAffinityEnabled || !email || !body || typeof body !== 'object') return
+  const ids = collectScalars(body, config.taskAffinityResponsePaths).filter(id => id.length >= MIN_ID_LENGTH)
+  if (ids.length === 0) return
+  try {
+    await store.set(ids, email, config.taskAffinityTtlMs)
+    logger.info(`任务 ${ids.join(',')} 绑定账户 ${email}`, 'AFFINITY', '📌')
+  } catch (e) {
+    logger.error('保存任务绑定失败', 'AFFINITY', '', e)
+  }
+}
+
+/**
+ * 查找请求应固定使用的账户
+ * 候选 ID 来自路径片段、查询参数值以及请求体中配置的 JSON 路径
+ * @param {Object} request - { path, query, body }
+ * @returns {Promise<string|null>} 绑定的账户邮箱
+ */
+const findPinnedEmail = async ({ path, query, body }) => {
+  if (!config.taskAffinityEnabled) return null
+
+  const candidates = new Set()
+  String(path || '').split('/').forEach(segment => {
+    try { candidates.add(decodeURIComponent(segment)) } catch (_) { candidates.add(segment) }
+  })
+  Object.values(query || {}).forEach(v => [].concat(v).forEach(item => candidates.add(String(item))))
+  if (body && typeof body === 'object' && !Buffer.isBuffer(body) && typeof body.pipe !== 'function') {
+    collectScalars(body, config.taskAffinityRequestPaths).forEach(id => candidates.add(id))
+  }
+
+  const ids = [...candidates].filter(id => id.length >= MIN_ID_LENGTH)
+  if (ids.length === 0) return null
+  try {
+    const found = await store.find(ids)
+    if (!found) return null
+    logger.info(`请求携带任务 ${found.id}，固定使用账户 ${found.email}`, 'AFFINITY', '📌')
+    return found.email
+  } catch (e) {
+    logger.error('查询任务绑定失败', 'AFFINITY', '', e)
+    return null
+  }
+}
+
+const getAffinityStats = () => ({
+  enabled: config.taskAffinityEnabled,
+  store: store.name,
+  size: store.size(),
+  ttlMs: config.taskAffinityTtlMs,
+  responsePaths: config.taskAffinityResponsePaths,
+  requestPaths: config.taskAffinityRequestPaths
+})
+
+module.exports = {
+  learnFromResponse,
+  findPinnedEmail,
+  getAffinityStats
+}
@@ -0,0 +1,156 @@
+const axios = require('axios')
+const config = require('../config')
+const { logger } = require('./logger')
+const { listTargets, getTargetMembers } = require('./proxy-target')
+
+/**
+ * 上游健康状态
+ * - 被动检测：透传时的连接错误/超时计入失败，连续失败达到阈值后标记为不健康
+ * - 主动检测：定期探测所有目标组成员，成功即恢复健康
+ * 不健康的成员在恢复窗口过后会重新参与尝试（主动检测关闭时依赖此机制恢复）
+ */
+
+// 建立连接前的错误：请求未到达上游，可安全切换到其他上游重试
+const PRE_CONNECT_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH'
+])
+
+// 连接层错误：包括请求发出后连接被中断（上游可能已处理该请求）
+const CONNECTION_ERROR_CODES = new Set([
+  ...PRE_CONNECT_ERROR_CODES,
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE'
+])
+
+const states = new Map()
+
+const getState = (url) => {
+  let state = states.get(url)
+  if (!state) {
+    state = { healthy: true, consecutiveFailures: 0, lastError: null, lastFailureAt: 0, lastCheckedAt: 0, retryAt: 0 }
+    states.set(url, state)
+  }
+  return state
+}
+
+/**
+ * 是否为连接层错误（计入上游健康状态）
+ * @param {Error} error - axios 错误
+ * @returns {boolean}
+ */
+const isConnectionError = (error) => !!(error && !error.response && CONNECTION_ERROR_CODES.has(error.code))
+
+/**
+ * 是否为建立连接前的错误（请求未到达上游）
+ * @param {Error} error - axios 错误
+ * @returns {boolean}
+ */
+const isPreConnectError = (error) => !!(error && !error.response && PRE_CONNECT_ERROR_CODES.has(error.code))
+
+/**
+ * 是否为超时错误
+ * @param {Error} error - axios 错误
+ * @returns {boolean}
+ */
+const isTimeoutError = (error) => !!(error && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || (error.message && error.message.toLowerCase().includes('timeout'))))
+
+const isAvailable = (url) => {
+  const state = states.get(url)
+  if (!state || state.healthy) return true
+  return Date.now() >= state.retryAt
+}
+
+const reportSuccess = (url) => {
+  const state = getState(url)
+  if (!state.healthy) {
+    logger.success(`上游 ${url} 已恢复`, 'UPSTREAM')
+  }
+  state.healthy = true
+  state.consecutiveFailures = 0
+  state.retryAt = 0
+}
+
+const reportFailure = (url, error) => {
+  const state = getState(url)
+  state.consecutiveFailures += 1
+  state.lastError = (error && (error.code || error.message)) || 'unknown'
+  state.lastFailureAt = Date.now()
+  if (state.consecutiveFailures >= config.proxyUpstreamFailureThreshold) {
+    if (state.healthy) {
+      logger.warn(`上游 ${url} 连续失败 ${state.consecutiveFailures} 次，标记为不健康 (${state.lastError})`, 'UPSTREAM')
+    }
+    state.healthy = false
+    state.retryAt = Date.now() + config.proxyUpstreamRecoverMs
+  }
+}
+
+/**
+ * 从目标组中选出本次使用的上游：按顺序取第一个健康且未尝试过的成员
+ * 全部不健康时按顺序退回到第一个未尝试过的成员
+ * @param {Array<string>} members - 目标组成员（首个为主上游）
+ * @param {Set<string>} tried - 本次请求已失败的成员
+ * @returns {string|null}
+ */
+const pickUpstream = (members, tried = new Set()) => {
+  const untried = members.filter(url => !tried.has(url))
+  return untried.find(isAvailable) || untried[0] || null
+}
+
+const getUpstreamHealth = (url) => {
+  const state = states.get(url)
+  if (!state) return { url, healthy: true, consecutiveFailures: 0, lastError: null, lastCheckedAt: 0 }
+  return {
+    url,
+    healthy: state.healthy,
+    consecutiveFailures: state.consecutiveFailures,
+    lastError: state.lastError,
+    lastFailureAt: state.lastFailureAt,
+    lastCheckedAt: state.lastCheckedAt
+  }
+}
+
+// 主动探测：对所有目标组成员发起轻量请求，返回非 5xx 即视为健康
+const probeAll = async () => {
+  const urls = new Set()
+  listTargets().forEach(t => getTargetMembers(t).forEach(url => urls.add(url)))
+
+  await Promise.all([...urls].map(async (url) => {
+    try {
+      const resp = await axios.request({
+        method: 'GET',
+        url: url + config.proxyHealthCheckPath,
+        timeout: config.proxyHealthCheckTimeoutMs,
+        validateStatus: () => true
+      })
+      if (resp.status >= 500) reportFailure(url, new Error(`status ${resp.status}`))
+      else reportSuccess(url)
+    } catch (e) {
+      reportFailure(url, e)
+    } finally {
+      getState(url).lastCheckedAt = Date.now()
+    }
+  }))
+}
+
+// 定时器不阻止进程退出
+if (config.proxyHealthCheckIntervalMs > 0) {
+  setInterval(() => {
+    probeAll().catch(e => logger.error('上游主动健康检查失败', 'UPSTREAM', '', e))
+  }, config.proxyHealthCheckIntervalMs).unref()
+}
+
+module.exports = {
+  isConnectionError,
+  isPreConnectError,
+  isTimeoutError,
+  pickUpstream,
+  reportSuccess,
+  reportFailure,
+  getUpstreamHealth,
+  probeAll
+}
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { setupEnv, listen, startApp, sendJson, useAccounts, authHeaders } = require('./helpers')
+
+/**
+ * 账户进行中请求数与等待队列：客户端在等待上游或排队期间断开
+ * 桩上游收到请求后挂起，由用例决定何时返回
+ */
+
+const EMAIL = 'a@example.com'
+
+let upstream
+let app
+let accountSelector
+let accountQueue
+// 桩上游挂起中的响应
+let pending = []
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const waitFor = async (predicate) => {
+  const deadline = Date.now() + 2000
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('condition not met')
+    await delay(10)
+  }
+}
+
+// 返回所有挂起的上游响应
+const respondAll = () => {
+  pending.forEach(res => sendJson(res, 200, { ret: '0' }))
+  pending = []
+}
+
+before(async () => {
+  upstream = await listen((req, res) => pending.push(res))
+
+  setupEnv({ PROXY_TARGET: upstream.url, ACCOUNT_MAX_INFLIGHT: '1' })
+  await useAccounts([{ email: EMAIL, sessionid: 'sid-a' }])
+  app = await startApp({ '/api': require('../src/routes/proxy') })
+  accountSelector = require('../src/utils/account-selector')
+  accountQueue = require('../src/utils/account-queue')
+})
+
+after(() => {
+  respondAll()
+  app.server.close()
+  upstream.server.close()
+})
+
+const request = (signal) => fetch(`${app.url}/api/v1/task`, { method: 'POST', headers: authHeaders(), body: '{}', signal })
+
+describe('客户端断开', () => {
+  it('等待上游期间断开时，上游返回后释放账户名额', async () => {
+    const controller = new AbortController()
+    const aborted = request(controller.signal).catch(e => e)
+    await waitFor(() => pending.length === 1)
+    assert.equal(accountSelector.getInFlight(EMAIL), 1)
+
+    controller.abort()
+    assert.equal((await aborted).name, 'AbortError')
+    // 断开发生在上游返回之前
+    await delay(50)
+    respondAll()
+
+    await waitFor(() => accountSelector.getInFlight(EMAIL) === 0)
+    // 名额释放后新请求不需要排队
+    const next = request()
+    await waitFor(() => pending.length === 1)
+    respondAll()
+    assert.equal((await next).status, 200)
+    assert.equal(accountQueue.getQueueStats().depth, 0)
+  })
+
+  it('排队期间断开时离开队列', async () => {
+    const first = request()
+    await waitFor(() => pending.length === 1)
+    const { cancelled } = accountQueue.getQueueStats()
+
+    const controller = new AbortController()
+    const queued = request(controller.signal).catch(e => e)
+    await waitFor(() => accountQueue.getQueueStats().depth === 1)
+    controller.abort()
+    await queued
+
+    await waitFor(() => accountQueue.getQueueStats().depth === 0)
+    assert.equal(accountQueue.getQueueStats().cancelled, cancelled + 1)
+    respondAll()
+    assert.equal((await first).status, 200)
+    assert.equal(pending.length, 0)
+  })
+})
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { setupEnv } = require('./helpers')
+
+/**
+ * 账户敏感字段（邮箱授权码、登录代理密码）加密保存
+ * 使用 file 模式写入临时数据文件
+ */
+
+setupEnv({ DATA_SAVE_MODE: 'file', STORAGE_STATE_SECRET: 'test-storage-secret' })
+const DataPersistence = require('../src/utils/data-persistence')
+
+const account = {
+  email: 'a@example.com',
+  password: 'p',
+  sessionid: 'sid-a',
+  sessionid_expires: 9999999999,
+  mailbox: { host: 'imap.example.com', secure: true, user: 'a@example.com', secret: 'imap-app-password' },
+  loginProfile: { proxy: { server: 'http://proxy.example.com:8080', username: 'u', password: 'proxy-password' }, locale: 'en-US' }
+}
+
+describe('账户敏感字段加密保存', () => {
+  let dir
+  let persistence
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-secrets-'))
+    persistence = new DataPersistence()
+    persistence.dataFilePath = path.join(dir, 'data.json')
+  })
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+  const readStored = () => JSON.parse(fs.readFileSync(persistence.dataFilePath, 'utf-8')).accounts
+
+  it('保存时加密，读取时解密', async () => {
+    assert.equal(await persistence.saveAccount(account.email, account), true)
+
+    const raw = fs.readFileSync(persistence.dataFilePath, 'utf-8')
+    assert.doesNotMatch(raw, /imap-app-password|proxy-password/)
+    const [stored] = readStored()
+    assert.equal(stored.mailbox.host, 'imap.example.com')
+    assert.deepEqual(Object.keys(stored.mailbox.secret).sort(), ['data', 'iv', 'tag', 'v'])
+    assert.equal(stored.loginProfile.proxy.username, 'u')
+
+    const [loaded] = await persistence.loadAccounts()
+    assert.deepEqual(loaded.mailbox, account.mailbox)
+    assert.deepEqual(loaded.loginProfile, account.loginProfile)
+    // 内存中的账户不被修改
+    assert.equal(account.mailbox.secret, 'imap-app-password')
+  })
+
+  it('加密前保存的明文可读取，再次保存时加密', async () => {
+    fs.writeFileSync(persistence.dataFilePath, JSON.stringify({ accounts: [{ ...account, email: 'legacy@example.com' }] }))
+
+    const [loaded] = await persistence.loadAccounts()
+    assert.equal(loaded.mailbox.secret, 'imap-app-password')
+
+    await persistence.saveAllAccounts([loaded])
+    assert.doesNotMatch(fs.readFileSync(persistence.dataFilePath, 'utf-8'), /imap-app-password|proxy-password/)
+    assert.deepEqual((await persistence.loadAccounts())[0].loginProfile, account.loginProfile)
+  })
+
+  it('无法解密时丢弃邮箱配置与代理密码', async () => {
+    await persistence.saveAccount(account.email, account)
+    const stored = readStored()
+    stored[0].mailbox.secret.data = Buffer.from('tampered').toString('base64')
+    stored[0].loginProfile.proxy.password.tag = Buffer.alloc(16).toString('base64')
+    fs.writeFileSync(persistence.dataFilePath, JSON.stringify({ accounts: stored }))
+
+    const [loaded] = await persistence.loadAccounts()
+    assert.equal(loaded.mailbox, undefined)
+    assert.deepEqual(loaded.loginProfile.proxy, { server: 'http://proxy.example.com:8080', username: 'u' })
+  })
+})
@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const { setupEnv, listen, startApp, sendJson, useAccounts, authHeaders } = require('./helpers')
+
+/**
+ * 生成资源本地镜像：透传响应中的资源下载到本地并改写为 /assets/:id
+ * 上游接口与资源下载均为本地桩服务，资源目录为临时目录
+ */
+
+const HOUR_MS = 60 * 60 * 1000
+const MAX_FILE_BYTES = 1024
+const MAX_TOTAL_BYTES = 1500
+
+let assetDir
+let images
+let upstream
+let app
+// 桩上游下一次返回的响应体
+let nextBody
+// 首次镜像得到的本地地址
+let firstUrls
+// 资源下载服务收到的请求数
+let imageRequests = 0
+
+const newId = () => crypto.randomBytes(16).toString('hex')
+
+// 模拟其他工作进程写入资源目录
+const writeAsset = (id, content, createdAt = Date.now()) => {
+  fs.writeFileSync(path.join(assetDir, id), content)
+  fs.writeFileSync(path.join(assetDir, `${id}.json`), JSON.stringify({
+    id,
+    contentType: 'image/png',
+    size: Buffer.byteLength(content),
+    sourceUrl: 'http://upstream.invalid/x.png',
+    createdAt
+  }))
+}
+
+const expiredId = newId()
+
+before(async () => {
+  assetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-'))
+  writeAsset(expiredId, 'old', Date.now() - 2 * HOUR_MS)
+
+  images = await listen((req, res) => {
+    imageRequests += 1
+    if (req.url === '/large.png') {
+      res.writeHead(200, { 'content-type': 'image/png' })
+      return res.end(Buffer.alloc(MAX_FILE_BYTES + 1))
+    }
+    if (req.url.startsWith('/medium/')) {
+      res.writeHead(200, { 'content-type': 'image/webp' })
+      return res.end(Buffer.alloc(600, req.url))
+    }
+    if (req.url === '/missing.png') {
+      res.writeHead(404)
+      return res.end()
+    }
+    res.writeHead(200, { 'content-type': 'image/png' })
+    res.end(`image ${req.url}`)
+  })
+  upstream = await listen((req, res) => sendJson(res, 200, nextBody))
+
+  setupEnv({
+    PROXY_TARGET: upstream.url,
+    ASSET_MIRROR_ENABLED: 'true',
+    ASSET_DIR: assetDir,
+    ASSET_MAX_FILE_BYTES: String(MAX_FILE_BYTES),
+    ASSET_MAX_TOTAL_BYTES: String(MAX_TOTAL_BYTES),
+    ASSET_RETENTION_MS: String(HOUR_MS)
+  })
+  await useAccounts([{ email: 'a@example.com', sessionid: 'sid-a' }])
+  app = await startApp({
+    '/api': require('../src/routes/proxy'),
+    '/assets': require('../src/routes/assets')
+  })
+})
+
+after(() => {
+  app.server.close()
+  upstream.server.close()
+  images.server.close()
+  fs.rmSync(assetDir, { recursive: true, force: true })
+})
+
+const generate = async () => {
+  const res = await fetch(`${app.url}/api/v1/images/generations`, { method: 'POST', headers: authHeaders(), body: '{"prompt":"a cat"}' })
+  return { status: res.status, body: await res.json() }
+}
+
+const getAsset = async (url) => {
+  const res = await fetch(url)
+  return { status: res.status, contentType: res.headers.get('content-type'), body: Buffer.from(await res.arrayBuffer()) }
+}
+
+const assetUrlPattern = () => new RegExp(`^${app.url}/assets/[a-f0-9]{32}$`)
+
+describe('资源镜像', () => {
+  it('启动时清理超过保留时长的资源', () => {
+    assert.equal(fs.existsSync(path.join(assetDir, expiredId)), false)
+    assert.equal(fs.existsSync(path.join(assetDir, `${expiredId}.json`)), false)
+  })
+
+  it('按配置路径下载资源并改写为 /assets/:id', async () => {
+    nextBody = {
+      created: 1,
+      data: [
+        { url: `${images.url}/1.png` },
+        { url: `${images.url}/2.png`, video_url: `${images.url}/2.mp4` }
+      ],
+      cover: `${images.url}/cover.png`
+    }
+
+    const res = await generate()
+
+    assert.equal(res.status, 200)
+    const urls = [res.body.data[0].url, res.body.data[1].url, res.body.data[1].video_url]
+    firstUrls = urls
+    urls.forEach(url => assert.match(url, assetUrlPattern()))
+    assert.equal(new Set(urls).size, 3)
+    // 不在配置路径上的地址保持不变
+    assert.equal(res.body.cover, `${images.url}/cover.png`)
+
+    const asset = await getAsset(urls[1])
+    assert.equal(asset.status, 200)
+    assert.equal(asset.contentType, 'image/png')
+    assert.equal(asset.body.toString(), 'image /2.png')
+  })
+
+  it('同一地址重复返回时复用已镜像的资源，并发请求只下载一次', async () => {
+    const requests = imageRequests
+    nextBody = { data: [{ url: `${images.url}/1.png` }] }
+
+    assert.equal((await generate()).body.data[0].url, firstUrls[0])
+    assert.equal(imageRequests, requests)
+
+    nextBody = { data: [{ url: `${images.url}/4.png` }] }
+    const [a, b] = await Promise.all([generate(), generate()])
+    assert.match(a.body.data[0].url, assetUrlPattern())
+    assert.equal(b.body.data[0].url, a.body.data[0].url)
+    assert.equal(imageRequests, requests + 1)
+  })
+
+  it('超过单文件上限或下载失败的资源保留原地址', async () => {
+    nextBody = { data: [{ url: `${images.url}/large.png` }, { url: `${images.url}/missing.png` }, { url: `${images.url}/3.png` }] }
+
+    const res = await generate()
+
+    assert.equal(res.body.data[0].url, `${images.url}/large.png`)
+    assert.equal(res.body.data[1].url, `${images.url}/missing.png`)
+    assert.match(res.body.data[2].url, assetUrlPattern())
+    assert.ok(fs.readdirSync(assetDir).every(name => !name.endsWith('.tmp')))
+  })
+
+  it('未知或非法的资源 ID 返回 404', async () => {
+    assert.equal((await getAsset(`${app.url}/assets/${newId()}`)).status, 404)
+    assert.equal((await getAsset(`${app.url}/assets/..%2Fdata.json`)).status, 404)
+  })
+
+  it('索引未命中时从资源目录读取其他进程写入的资源', async () => {
+    const id = newId()
+    writeAsset(id, 'from another worker')
+
+    const asset = await getAsset(`${app.url}/assets/${id}`)
+    assert.equal(asset.status, 200)
+    assert.equal(asset.body.toString(), 'from another worker')
+
+    const expired = newId()
+    writeAsset(expired, 'stale', Date.now() - 2 * HOUR_MS)
+    assert.equal((await getAsset(`${app.url}/assets/${expired}`)).status, 404)
+  })
+
+  it('目录总大小超过上限时删除最旧的资源', async () => {
+    nextBody = { data: [1, 2, 3].map(i => ({ url: `${images.url}/medium/${i}` })) }
+
+    const res = await generate()
+
+    const urls = res.body.data.map(item => item.url)
+    urls.forEach(url => assert.match(url, assetUrlPattern()))
+    // 等待被淘汰资源的文件删除完成
+    await new Promise(resolve => setTimeout(resolve, 50))
+    const total = fs.readdirSync(assetDir)
+      .filter(name => !name.endsWith('.json'))
+      .reduce((sum, name) => sum + fs.statSync(path.join(assetDir, name)).size, 0)
+    assert.ok(total <= MAX_TOTAL_BYTES, `total ${total} bytes`)
+    // 更早的资源先被淘汰，本次镜像的资源至少保留一个
+    for (const url of firstUrls) assert.equal((await getAsset(url)).status, 404)
+    const served = await Promise.all(urls.map(async url => (await getAsset(url)).status))
+    assert.ok(served.includes(200))
+  })
+})
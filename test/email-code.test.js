@@ -0,0 +1,247 @@
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const net = require('net')
+const { setupEnv } = require('./helpers')
+
+/**
+ * 邮箱验证码读取：IMAP 客户端（本地桩 IMAP 服务）与验证码提取
+ */
+
+setupEnv({
+  EMAIL_CODE_FROM: 'capcut',
+  EMAIL_CODE_PATTERN: '\\b(\\d{6})\\b',
+  EMAIL_CODE_TIMEOUT_MS: '300',
+  EMAIL_CODE_POLL_INTERVAL_MS: '100'
+})
+const ImapClient = require('../src/utils/imap-client')
+const emailCodeFetcher = require('../src/utils/email-code-fetcher')
+
+const USER = 'bot@example.com'
+const SECRET = 'app "pass"\\word'
+
+const message = (headers, body) => `${headers.join('\r\n')}\r\n\r\n${body}`
+const plainMessage = (code) => message(['From: CapCut <no-reply@capcut.com>', 'Subject: Your code', 'Content-Type: text/plain; charset=utf-8'], `Your verification code is ${code}.`)
+
+/**
+ * 桩 IMAP 服务：记录收到的命令，按 chunkSize 分段写回响应（模拟响应被拆成多个 TCP 包）
+ */
+const createImapServer = () => {
+  const state = { commands: [], messages: [], chunkSize: 0, connections: 0 }
+
+  const write = async (socket, text) => {
+    const data = Buffer.from(text, 'utf-8')
+    if (!state.chunkSize) return socket.write(data)
+    for (let pos = 0; pos < data.length; pos += state.chunkSize) {
+      socket.write(data.subarray(pos, pos + state.chunkSize))
+      await new Promise(resolve => setTimeout(resolve, 2))
+    }
+  }
+
+  const handle = async (socket, line) => {
+    const [, tag, command, args] = line.match(/^(\S+) (UID \S+|\S+) ?(.*)$/)
+    state.commands.push(`${command} ${args}`.trim())
+    switch (command) {
+      case 'LOGIN':
+        if (args !== `${ImapClient.quote(USER)} ${ImapClient.quote(SECRET)}`) {
+          return write(socket, `${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`)
+        }
+        return write(socket, `${tag} OK LOGIN completed\r\n`)
+      case 'SELECT':
+        return write(socket, `* ${state.messages.length} EXISTS\r\n* FLAGS (\\Seen)\r\n${tag} OK [READ-WRITE] SELECT completed\r\n`)
+      case 'UID SEARCH':
+        return write(socket, `* SEARCH ${state.messages.map(m => m.uid).join(' ')}\r\n${tag} OK SEARCH completed\r\n`)
+      case 'UID FETCH': {
+        const uid = Number(args.split(' ')[0])
+        const found = state.messages.find(m => m.uid === uid)
+        if (!found) return write(socket, `${tag} OK FETCH completed\r\n`)
+        const size = Buffer.byteLength(found.raw)
+        return write(socket, `* 1 FETCH (UID ${uid} INTERNALDATE "${found.date}" BODY[] {${size}}\r\n${found.raw})\r\n${tag} OK FETCH completed\r\n`)
+      }
+      case 'LOGOUT':
+        await write(socket, `* BYE logging out\r\n${tag} OK LOGOUT completed\r\n`)
+        return socket.end()
+      default:
+        return write(socket, `${tag} BAD unknown command\r\n`)
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    state.connections += 1
+    let buffer = ''
+    let queue = Promise.resolve()
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf-8')
+      let index
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index)
+        buffer = buffer.slice(index + 2)
+        queue = queue.then(() => handle(socket, line))
+      }
+    })
+    socket.on('error', () => {})
+    write(socket, '* OK IMAP4rev1 stub ready\r\n')
+  })
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, port: server.address().port }))
+  })
+}
+
+let imap
+
+before(async () => {
+  imap = await createImapServer()
+})
+
+after(() => imap.server.close())
+
+beforeEach(() => {
+  imap.state.commands = []
+  imap.state.chunkSize = 0
+  imap.state.messages = [
+    { uid: 3, date: '19-Oct-2026 15:00:00 +0800', raw: plainMessage('123456') },
+    { uid: 7, date: '19-Oct-2026 15:05:30 +0800', raw: plainMessage('654321') }
+  ]
+})
+
+const mailbox = (overrides = {}) => ({ host: '127.0.0.1', port: imap.port, secure: false, user: USER, secret: SECRET, ...overrides })
+
+describe('ImapClient', () => {
+  const session = async (fn) => {
+    const client = new ImapClient({ ...mailbox(), timeoutMs: 2000 })
+    try {
+      await client.connect()
+      return await fn(client)
+    } finally {
+      await client.logout()
+    }
+  }
+
+  it('LOGIN、SELECT、UID SEARCH 与 UID FETCH 读取字面量邮件', async () => {
+    const result = await session(async (client) => {
+      await client.select('INBOX')
+      const uids = await client.search('SINCE 18-Oct-2026 FROM "capcut"')
+      const fetched = await client.fetch(7)
+      return { uids, fetched }
+    })
+
+    assert.deepEqual(result.uids, [3, 7])
+    assert.equal(result.fetched.uid, 7)
+    assert.equal(result.fetched.raw, plainMessage('654321'))
+    assert.equal(result.fetched.internalDate, Date.UTC(2026, 9, 19, 7, 5, 30))
+    assert.deepEqual(imap.state.commands, [
+      `LOGIN ${ImapClient.quote(USER)} ${ImapClient.quote(SECRET)}`,
+      'SELECT "INBOX"',
+      'UID SEARCH SINCE 18-Oct-2026 FROM "capcut"',
+      'UID FETCH 7 (INTERNALDATE BODY.PEEK[])',
+      'LOGOUT'
+    ])
+  })
+
+  it('响应与字面量被拆分到多个数据包时完整解析', async () => {
+    imap.state.chunkSize = 7
+    const raw = message(['Subject: =?UTF-8?B?5L2g5aW9?=', 'Content-Type: text/plain; charset=utf-8'], '验证码：246810\r\n'.repeat(3))
+    imap.state.messages = [{ uid: 9, date: '1-Jan-2026 00:00:00 +0000', raw }]
+
+    const fetched = await session(async (client) => {
+      await client.select('INBOX')
+      assert.deepEqual(await client.search('ALL'), [9])
+      return client.fetch(9)
+    })
+
+    // 字面量按字节计数，多字节字符被拆开时也能完整拼接
+    assert.equal(fetched.raw, raw)
+    assert.equal(fetched.internalDate, Date.UTC(2026, 0, 1))
+  })
+
+  it('邮件不存在时返回 null', async () => {
+    assert.equal(await session(client => client.fetch(404)), null)
+  })
+
+  it('登录失败时抛出服务端返回的错误', async () => {
+    const client = new ImapClient({ ...mailbox({ secret: 'wrong' }), timeoutMs: 2000 })
+    await assert.rejects(client.connect(), /IMAP 命令失败: LOGIN .*AUTHENTICATIONFAILED/)
+    client.close()
+  })
+
+  it('formatSearchDate 使用 IMAP 日期格式', () => {
+    assert.equal(ImapClient.formatSearchDate(Date.UTC(2026, 0, 5, 23)), '5-Jan-2026')
+  })
+})
+
+describe('waitForCode', () => {
+  const since = Date.UTC(2026, 9, 19, 7, 2, 0)
+
+  it('返回登录开始后收到的最新验证码', async () => {
+    const code = await emailCodeFetcher.waitForCode(mailbox(), { email: 'a@example.com', since })
+
+    assert.equal(code, '654321')
+    const search = imap.state.commands.find(c => c.startsWith('UID SEARCH'))
+    assert.equal(search, 'UID SEARCH SINCE 18-Oct-2026 FROM "capcut"')
+  })
+
+  it('账户配置的 codePattern 优先', async () => {
+    imap.state.messages = [{ uid: 1, date: '19-Oct-2026 15:10:00 +0800', raw: plainMessage('ABCD-12') }]
+
+    const code = await emailCodeFetcher.waitForCode(mailbox({ codePattern: '([A-Z]{4}-\\d{2})' }), { email: 'a@example.com', since })
+
+    assert.equal(code, 'ABCD-12')
+  })
+
+  it('只有登录前的邮件时轮询直到超时', async () => {
+    imap.state.messages = [{ uid: 3, date: '19-Oct-2026 14:00:00 +0800', raw: plainMessage('123456') }]
+    const connections = imap.state.connections
+
+    const code = await emailCodeFetcher.waitForCode(mailbox(), { email: 'a@example.com', since })
+
+    assert.equal(code, null)
+    assert.ok(imap.state.connections - connections >= 2)
+  })
+})
+
+describe('extractCode', () => {
+  const pattern = '\\b(\\d{6})\\b'
+
+  it('base64 正文', () => {
+    const raw = message(
+      ['Subject: Verify', 'Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64'],
+      Buffer.from('你的验证码是 482913，10 分钟内有效。').toString('base64').replace(/(.{40})/g, '$1\r\n')
+    )
+    assert.equal(emailCodeFetcher.extractCode(raw, pattern), '482913')
+  })
+
+  it('quoted-printable 正文（软换行与多字节字符）', () => {
+    const raw = message(
+      ['Subject: Verify', 'Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: quoted-printable'],
+      '=E9=AA=8C=E8=AF=81=E7=A0=81=EF=BC=9A 73=\r\n1902 =3D code'
+    )
+    assert.equal(emailCodeFetcher.extractText(raw).split('\n')[1], '验证码： 731902 = code')
+    assert.equal(emailCodeFetcher.extractCode(raw, pattern), '731902')
+  })
+
+  it('multipart 邮件中的 HTML 正文去除标签与样式', () => {
+    const html = '<html><head><style>.x{width:100000px}</style></head><body><p>Code:</p><strong>559201</strong>&nbsp;</body></html>'
+    const raw = message(
+      ['From: CapCut <no-reply@capcut.com>', 'Subject: =?UTF-8?Q?Dreamina_=E9=AA=8C=E8=AF=81?=', 'Content-Type: multipart/alternative;', ' boundary="b1"'],
+      [
+        '--b1',
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from(html).toString('base64'),
+        '--b1--',
+        ''
+      ].join('\r\n')
+    )
+    const text = emailCodeFetcher.extractText(raw)
+    assert.ok(text.startsWith('Dreamina 验证\n'))
+    assert.doesNotMatch(text, /100000|<strong>/)
+    assert.equal(emailCodeFetcher.extractCode(raw, pattern), '559201')
+  })
+
+  it('没有匹配时返回 null，无捕获分组时取整个匹配', () => {
+    const raw = plainMessage('12345')
+    assert.equal(emailCodeFetcher.extractCode(raw, pattern), null)
+    assert.equal(emailCodeFetcher.extractCode(raw, 'code is \\d+'), 'code is 12345')
+  })
+})
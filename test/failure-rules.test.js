@@ -0,0 +1,282 @@
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { setupEnv, listen, startApp, sendJson, useAccounts, authHeaders } = require('./helpers')
+
+/**
+ * 上游失败分类规则：规则匹配、规则动作（换账户重试 / 暂停账户 / 重新登录）与管理接口校验
+ */
+
+setupEnv()
+const failureRules = require('../src/utils/failure-rules')
+
+describe('classify', () => {
+  it('仅按状态码匹配', () => {
+    failureRules.replaceRules([{ name: 'limited', status: 429, action: 'retry' }])
+    assert.equal(failureRules.classify(429, undefined).name, 'limited')
+    assert.equal(failureRules.classify(200, { code: 429 }), null)
+  })
+
+  it('状态码区间与数组', () => {
+    failureRules.replaceRules([
+      { name: 'server', status: '500-599', action: 'retry' },
+      { name: 'mixed', status: [400, '402-404'], action: 'pass' }
+    ])
+    assert.equal(failureRules.classify(500, undefined).name, 'server')
+    assert.equal(failureRules.classify(599, undefined).name, 'server')
+    assert.equal(failureRules.classify(600, undefined), null)
+    assert.equal(failureRules.classify(400, undefined).name, 'mixed')
+    assert.equal(failureRules.classify(403, undefined).name, 'mixed')
+    assert.equal(failureRules.classify(401, undefined), null)
+    assert.deepEqual(failureRules.listRules().map(r => r.status), [['500-599'], [400, '402-404']])
+  })
+
+  it('按 JSON 路径取值匹配', () => {
+    failureRules.replaceRules([
+      { name: 'no-credit', path: 'data.ret', values: ['5000', 5001], action: 'bench' },
+      { name: 'has-error', path: 'errors.*.code', action: 'retry' }
+    ])
+    assert.equal(failureRules.classify(200, { data: { ret: 5000 } }).name, 'no-credit')
+    assert.equal(failureRules.classify(200, { data: { ret: '5001' } }).name, 'no-credit')
+    assert.equal(failureRules.classify(200, { data: { ret: 0 } }), null)
+    // 未设置 values 时只要求路径存在
+    assert.equal(failureRules.classify(200, { errors: [{ code: 'x' }] }).name, 'has-error')
+    assert.equal(failureRules.classify(200, { errors: [] }), null)
+    // 文本响应体不参与 JSON 路径匹配
+    assert.equal(failureRules.classify(200, '{"data":{"ret":5000}}'), null)
+  })
+
+  it('按响应体正则匹配并可与状态码组合', () => {
+    failureRules.replaceRules([{ name: 'banned', status: 200, pattern: 'account (banned|blocked)', action: 'bench' }])
+    assert.equal(failureRules.classify(200, 'your account blocked').name, 'banned')
+    assert.equal(failureRules.classify(200, { message: 'account banned' }).name, 'banned')
+    assert.equal(failureRules.classify(200, Buffer.from('account banned')).name, 'banned')
+    assert.equal(failureRules.classify(403, 'account banned'), null)
+    assert.equal(failureRules.classify(200, 'ok'), null)
+  })
+
+  it('按表内顺序首条命中生效', () => {
+    failureRules.replaceRules([
+      { name: 'first', status: 401, pattern: 'expired', action: 'relogin' },
+      { name: 'second', status: 401, action: 'retry' }
+    ])
+    assert.equal(failureRules.classify(401, 'session expired').name, 'first')
+    assert.equal(failureRules.classify(401, 'denied').name, 'second')
+  })
+})
+
+describe('needsBody', () => {
+  it('仅当该状态码可能命中路径或正则规则时需要响应体', () => {
+    failureRules.replaceRules([
+      { status: 401, action: 'relogin' },
+      { status: '200-299', path: 'ret', values: ['5000'], action: 'bench' },
+      { status: 403, pattern: 'banned', action: 'bench' }
+    ])
+    assert.equal(failureRules.needsBody(401), false)
+    assert.equal(failureRules.needsBody(200), true)
+    assert.equal(failureRules.needsBody(403), true)
+    assert.equal(failureRules.needsBody(500), false)
+
+    failureRules.replaceRules([{ pattern: 'error', action: 'retry' }])
+    assert.equal(failureRules.needsBody(500), true)
+  })
+})
+
+describe('validateRules', () => {
+  it('返回带序号的错误信息', () => {
+    assert.equal(failureRules.validateRules({}), 'rules must be array')
+    assert.match(failureRules.validateRules([{ status: 401, action: 'relogin' }, { status: 500, action: 'explode' }]), /^rules\[1\]: action must be one of/)
+    assert.match(failureRules.validateRules([{ action: 'retry' }]), /must set status, path or pattern/)
+    assert.match(failureRules.validateRules([{ status: '599-500', action: 'retry' }]), /status must be/)
+    assert.match(failureRules.validateRules([{ status: [], action: 'retry' }]), /status must be/)
+    assert.match(failureRules.validateRules([{ values: ['1'], pattern: 'x', action: 'retry' }]), /values requires path/)
+    assert.match(failureRules.validateRules([{ pattern: '(', action: 'retry' }]), /invalid pattern/)
+    assert.match(failureRules.validateRules([{ status: 429, action: 'bench', benchMs: -1 }]), /benchMs/)
+    assert.equal(failureRules.validateRules([{ status: '500-599', action: 'retry' }, { path: 'ret', values: [1], action: 'pass' }]), null)
+  })
+})
+
+describe('peekStreamBody', () => {
+  const { PassThrough, Readable } = require('stream')
+  const { peekStreamBody } = require('../src/utils/json-capture')
+  const jsonHeaders = { 'content-type': 'application/json' }
+
+  it('预读完整响应体后仍可原样读出', async () => {
+    const upstream = { headers: jsonHeaders, data: Readable.from([Buffer.from('{"ret":'), Buffer.from('"5000"}')]) }
+
+    assert.deepEqual(await peekStreamBody(upstream), { ret: '5000' })
+    const chunks = []
+    for await (const chunk of upstream.data) chunks.push(chunk)
+    assert.equal(Buffer.concat(chunks).toString(), '{"ret":"5000"}')
+  })
+
+  it('超过上限时不解析，新流被销毁时关闭上游流', async () => {
+    const source = new PassThrough()
+    source.write(Buffer.alloc(2 * 1024 * 1024, 'a'))
+    const upstream = { headers: jsonHeaders, data: source }
+
+    assert.equal(await peekStreamBody(upstream), undefined)
+    upstream.data.destroy()
+    await new Promise(resolve => setImmediate(resolve))
+    assert.equal(source.destroyed, true)
+  })
+})
+
+describe('规则动作', () => {
+  let upstream
+  let manager
+  let sendWithRotation
+  // 桩上游按顺序返回的响应与收到的 authorization
+  let responses
+  let seen
+
+  before(async () => {
+    upstream = await listen((req, res) => {
+      seen.push(req.headers.authorization)
+      const next = responses.shift() || { status: 200, body: { ret: 0 } }
+      sendJson(res, next.status, next.body)
+    })
+    ;({ sendWithRotation } = require('../src/utils/session-rotation'))
+  })
+
+  after(() => upstream.server.close())
+
+  beforeEach(async () => {
+    seen = []
+    manager = await useAccounts([
+      { email: `a-${Date.now()}@example.com`, sessionid: 'sid-a', password: 'p' },
+      { email: `b-${Date.now()}@example.com`, sessionid: 'sid-b', password: 'p' }
+    ])
+  })
+
+  const send = async (axiosConfig = {}) => {
+    const result = await sendWithRotation({
+      target: { baseUrl: upstream.url, failoverUrls: [], maxRetry: 3 },
+      path: '/generate',
+      axiosConfig: { method: 'POST', data: {}, validateStatus: () => true, ...axiosConfig }
+    })
+    result.release()
+    return result
+  }
+  const emailOf = (authorization) => manager.getAllAccounts().find(a => `Bearer us-${a.sessionid}` === authorization).email
+
+  it('retry：换另一个账户重试，不影响原账户状态', async () => {
+    failureRules.replaceRules([{ name: 'server', status: '500-599', action: 'retry' }])
+    responses = [{ status: 503, body: { message: 'busy' } }]
+
+    const result = await send()
+
+    assert.equal(result.response.status, 200)
+    assert.equal(seen.length, 2)
+    assert.notEqual(seen[0], seen[1])
+    assert.equal(result.email, emailOf(seen[1]))
+    assert.equal(manager.getAccountHealth(emailOf(seen[0])).benched, false)
+  })
+
+  it('bench：按响应体判定后暂停账户并重试（流式响应预读）', async () => {
+    failureRules.replaceRules([{ name: 'no-credit', path: 'ret', values: ['5000'], action: 'bench', benchMs: 60000 }])
+    responses = [{ status: 200, body: { ret: 5000 } }]
+
+    const result = await send({ responseType: 'stream', decompress: false })
+
+    assert.equal(result.response.status, 200)
+    assert.equal(seen.length, 2)
+    const benched = manager.getAccountHealth(emailOf(seen[0]))
+    assert.equal(benched.benched, true)
+    assert.ok(benched.cooldownRemainingMs > 55000 && benched.cooldownRemainingMs <= 60000)
+    assert.equal(manager.getAccountHealth(result.email).benched, false)
+
+    // 预读的响应体仍可完整读出
+    const chunks = []
+    for await (const chunk of result.response.data) chunks.push(chunk)
+    assert.deepEqual(JSON.parse(Buffer.concat(chunks).toString()), { ret: 0 })
+  })
+
+  it('relogin：标记会话失效并在后台重新登录该账户', async () => {
+    failureRules.replaceRules([{ name: 'expired', pattern: 'session expired', action: 'relogin' }])
+    responses = [{ status: 200, body: { message: 'session expired' } }]
+    let finishRelogin
+    const relogins = []
+    manager.tokenManager.refreshSessionId = (account) => {
+      relogins.push(account.email)
+      return new Promise(resolve => { finishRelogin = () => resolve({ ...account, sessionid: 'sid-new', sessionid_revoked: false }) })
+    }
+
+    const result = await send()
+
+    const revokedEmail = emailOf(seen[0])
+    assert.equal(seen.length, 2)
+    assert.notEqual(result.email, revokedEmail)
+    assert.deepEqual(relogins, [revokedEmail])
+    assert.equal(manager.isReloginPending(revokedEmail), true)
+    assert.equal(manager.getAllAccounts().find(a => a.email === revokedEmail).sessionid_revoked, true)
+
+    finishRelogin()
+    assert.equal(await manager.queueRelogin(revokedEmail), true)
+    const refreshed = manager.getAllAccounts().find(a => a.email === revokedEmail)
+    assert.equal(refreshed.sessionid, 'sid-new')
+    assert.equal(refreshed.sessionid_revoked, false)
+  })
+
+  it('pass：原样返回，不重试', async () => {
+    failureRules.replaceRules([{ name: 'client-error', status: 422, action: 'pass' }])
+    responses = [{ status: 422, body: { message: 'bad prompt' } }]
+
+    const result = await send()
+
+    assert.equal(result.response.status, 422)
+    assert.equal(seen.length, 1)
+  })
+})
+
+describe('PUT /api/proxy/failure-rules', () => {
+  let app
+
+  before(async () => {
+    app = await startApp({ '/api': require('../src/routes/proxy') })
+  })
+
+  after(() => app.server.close())
+
+  const put = async (body) => {
+    const res = await fetch(`${app.url}/api/proxy/failure-rules`, { method: 'PUT', headers: authHeaders(), body: JSON.stringify(body) })
+    return { status: res.status, body: await res.json() }
+  }
+
+  it('拒绝无效规则且不修改当前规则表', async () => {
+    failureRules.replaceRules(failureRules.DEFAULT_RULES)
+    const before = failureRules.listRules()
+
+    for (const rules of [
+      undefined,
+      [{ status: 401, action: 'explode' }],
+      [{ action: 'retry' }],
+      [{ status: '5xx', action: 'retry' }],
+      [{ pattern: '[', action: 'bench' }]
+    ]) {
+      const res = await put({ rules })
+      assert.equal(res.status, 400)
+      assert.equal(typeof res.body.error, 'string')
+    }
+    assert.deepEqual(failureRules.listRules(), before)
+  })
+
+  it('接受有效规则并返回规范化后的规则表', async () => {
+    const res = await put({ rules: [{ status: ['500-599', 429], action: 'retry' }] })
+
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body.rules, [{
+      name: 'rule-1',
+      status: ['500-599', 429],
+      path: null,
+      values: null,
+      pattern: null,
+      action: 'retry',
+      benchMs: null
+    }])
+  })
+
+  it('需要管理员密钥', async () => {
+    const res = await fetch(`${app.url}/api/proxy/failure-rules`, { method: 'PUT', headers: { 'content-type': 'application/json' }, body: '{"rules":[]}' })
+    assert.equal(res.status, 403)
+  })
+})
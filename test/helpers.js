@@ -0,0 +1,93 @@
+const http = require('http')
+const express = require('express')
+const bodyParser = require('body-parser')
+
+/**
+ * 测试公共工具：进程环境、桩服务、被测应用与账户注入
+ * 被测模块在加载时读取配置，需先调用 setupEnv 再 require
+ */
+
+const ADMIN_KEY = 'sk-admin'
+
+/**
+ * 设置测试进程环境（内存存储、关闭定时任务、只输出错误日志）
+ * @param {Object} overrides - 额外的环境变量
+ */
+const setupEnv = (overrides = {}) => {
+  Object.assign(process.env, {
+    DATA_SAVE_MODE: 'none',
+    LOG_LEVEL: 'ERROR',
+    API_KEY: ADMIN_KEY,
+    PROXY_HEALTH_CHECK_INTERVAL_MS: '0',
+    SESSION_VERIFY_INTERVAL_MS: '0',
+    CREDIT_REFRESH_INTERVAL_MS: '0',
+    LOGIN_DELAY_MIN_MS: '0',
+    LOGIN_DELAY_MAX_MS: '0',
+    ...overrides
+  })
+}
+
+/**
+ * 在随机端口启动 HTTP 服务
+ * @param {Function} handler - 请求处理函数
+ * @returns {Promise<Object>} { server, url }
+ */
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler)
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}` })
+  })
+})
+
+/**
+ * 启动挂载了指定路由的被测应用
+ * @param {Object} routes - 挂载路径 -> 路由
+ * @returns {Promise<Object>} { server, url }
+ */
+const startApp = (routes) => {
+  const app = express()
+  app.use(bodyParser.json())
+  Object.entries(routes).forEach(([mountPath, router]) => app.use(mountPath, router))
+  return listen(app)
+}
+
+// 读取请求体
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = []
+  req.on('data', chunk => chunks.push(chunk))
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')))
+  req.on('error', reject)
+})
+
+// 返回 JSON 响应
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'content-type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * 等待账户管理器初始化后替换账户列表
+ * @param {Array<Object>} accounts - 账户
+ * @returns {Promise<Object>} 账户管理器
+ */
+const useAccounts = async (accounts) => {
+  const manager = require('../src/utils/dreamina-account')
+  while (!manager.isInitialized) {
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  manager.dreaminaAccounts = accounts.map(account => ({ password: '', sessionid_expires: 9999999999, ...account }))
+  return manager
+}
+
+const authHeaders = (extra = {}) => ({ authorization: `Bearer ${ADMIN_KEY}`, 'content-type': 'application/json', ...extra })
+
+module.exports = {
+  ADMIN_KEY,
+  setupEnv,
+  listen,
+  startApp,
+  readBody,
+  sendJson,
+  useAccounts,
+  authHeaders
+}
@@ -0,0 +1,273 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { chromium } = require('playwright')
+const { setupEnv, listen } = require('./helpers')
+
+/**
+ * 登录流程定义：校验、按定义执行步骤与定义文件热加载
+ * 浏览器用例在本地静态登录页（fixtures/login.html）上执行，未安装 Playwright Chromium 时跳过
+ */
+
+const flowDir = fs.mkdtempSync(path.join(os.tmpdir(), 'login-flow-'))
+const flowFile = path.join(flowDir, 'login-flow.json')
+
+setupEnv({ LOGIN_FLOW_FILE: flowFile })
+const loginFlow = require('../src/utils/login-flow')
+
+after(() => fs.rmSync(flowDir, { recursive: true, force: true }))
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const validFlow = (overrides = {}) => ({
+  url: 'http://127.0.0.1/login',
+  steps: [{ name: '打开登录页', action: 'goto' }],
+  ...overrides
+})
+
+describe('validateFlow', () => {
+  it('内置定义合法', () => {
+    assert.equal(loginFlow.validateFlow(loginFlow.getFlow()), null)
+  })
+
+  it('返回带序号的步骤错误', () => {
+    const cases = [
+      [{ name: 'x', action: 'scroll' }, /^steps\[1\]: action must be one of/],
+      [{ action: 'goto' }, /^steps\[1\]: name must be non-empty string/],
+      ['goto', /^steps\[1\]: step must be object/],
+      [{ name: 'x', action: 'goto', waitUntil: 'idle' }, /waitUntil must be one of/],
+      [{ name: 'x', action: 'goto', url: '' }, /url must be non-empty string/],
+      [{ name: 'x', action: 'wait' }, /wait requires timeout/],
+      [{ name: 'x', action: 'wait', timeout: -1 }, /timeout must be non-negative number/],
+      [{ name: 'x', action: 'click', selectors: [] }, /selectors must be non-empty string array/],
+      [{ name: 'x', action: 'click', selectors: ['#a', ''] }, /selectors must be non-empty string array/],
+      [{ name: 'x', action: 'fill', selectors: ['#a'] }, /fill requires value/],
+      [{ name: 'x', action: 'waitForUrl' }, /waitForUrl requires pattern/],
+      [{ name: 'x', action: 'waitForUrl', pattern: '**/home', errorSelectors: '.error' }, /errorSelectors must be/],
+      [{ name: 'x', action: 'click', selectors: ['#a'], optional: 'yes' }, /optional must be boolean/],
+      [{ name: 'x', action: 'click', selectors: ['#a'], delayAfterMs: '1s' }, /delayAfterMs must be/]
+    ]
+    for (const [step, expected] of cases) {
+      const def = validFlow({ steps: [{ name: '打开登录页', action: 'goto' }, step] })
+      assert.match(loginFlow.validateFlow(def), expected, JSON.stringify(step))
+    }
+  })
+
+  it('返回带序号的验证页面错误', () => {
+    const cases = [
+      ['captcha', /^challenges must be array$/],
+      [[{ type: 'sms', name: 'x', selectors: ['#a'] }], /^challenges\[0\]: type must be one of/],
+      [[{ type: 'captcha', selectors: ['#a'] }], /^challenges\[0\]: name must be non-empty string/],
+      [[{ type: 'captcha', name: 'x' }], /^challenges\[0\]: selectors must be non-empty string array/],
+      [[{ type: 'captcha', name: 'x', selectors: ['#a'] }, { type: 'code', name: 'y', selectors: ['#b'] }], /^challenges\[1\]: code requires inputSelectors/],
+      [[{ type: 'code', name: 'y', selectors: ['#b'], inputSelectors: ['input'], submitSelectors: [] }], /^challenges\[0\]: submitSelectors must be/]
+    ]
+    for (const [challenges, expected] of cases) {
+      assert.match(loginFlow.validateFlow(validFlow({ challenges })), expected, JSON.stringify(challenges))
+    }
+  })
+
+  it('校验顶层字段', () => {
+    assert.equal(loginFlow.validateFlow([]), 'flow must be object')
+    assert.equal(loginFlow.validateFlow(validFlow({ url: '' })), 'url must be non-empty string')
+    assert.equal(loginFlow.validateFlow(validFlow({ sessionCookie: '' })), 'sessionCookie must be non-empty string')
+    assert.equal(loginFlow.validateFlow(validFlow({ steps: [] })), 'steps must be non-empty array')
+    assert.equal(loginFlow.validateFlow(validFlow({ challenges: [] })), null)
+  })
+})
+
+describe('runFlow', () => {
+  /**
+   * 只实现 runFlow 用到的 Playwright 页面接口
+   * @param {Object} elements - 可见元素的选择器 -> 点击时的回调（无回调时为 true）
+   */
+  const fakePage = (elements) => {
+    const actions = []
+    let url = 'about:blank'
+    const page = {
+      actions,
+      setUrl: (next) => { url = next },
+      goto: async (target) => {
+        actions.push(['goto', target])
+        url = target
+      },
+      title: async () => 'Mock Login',
+      url: () => url,
+      waitForURL: async (pattern) => {
+        if (!url.includes(pattern)) throw new Error(`waitForURL timeout: ${pattern}`)
+      },
+      waitForLoadState: async () => {},
+      locator: (selector) => ({
+        allTextContents: async () => [],
+        first: () => ({
+          count: async () => (elements[selector] ? 1 : 0),
+          isVisible: async () => !!elements[selector],
+          click: async () => {
+            actions.push(['click', selector])
+            if (typeof elements[selector] === 'function') elements[selector](page)
+          },
+          fill: async (value) => { actions.push(['fill', selector, value]) }
+        })
+      })
+    }
+    return page
+  }
+
+  const def = {
+    url: 'http://127.0.0.1/login',
+    steps: [
+      { name: '打开登录页', action: 'goto', timeout: 0 },
+      { name: '关闭 Cookie 提示', action: 'click', selectors: ['#cookie-accept'], timeout: 0, optional: true },
+      { name: '填入邮箱地址', action: 'fill', selectors: ['#old-email', 'input[type="email"]'], value: '{{email}}', timeout: 0 },
+      { name: '填入密码', action: 'fill', selectors: ['input[type="password"]'], value: '{{password}}', timeout: 0 },
+      { name: '点击 Continue 按钮', action: 'click', selectors: ['button'], timeout: 0 },
+      { name: '等待页面跳转', action: 'waitForUrl', pattern: '/home', timeout: 0 }
+    ]
+  }
+  const vars = { email: 'a@example.com', password: 'secret' }
+  const loginPage = () => fakePage({
+    'input[type="email"]': true,
+    'input[type="password"]': true,
+    button: (page) => page.setUrl('http://127.0.0.1/home')
+  })
+
+  it('按顺序执行步骤，可选步骤失败时继续', async () => {
+    const page = loginPage()
+    const started = []
+
+    await loginFlow.runFlow(page, def, vars, (step, index, total) => started.push([index, total]))
+
+    assert.deepEqual(started, def.steps.map((step, index) => [index, def.steps.length]))
+    assert.deepEqual(page.actions, [
+      ['goto', 'http://127.0.0.1/login'],
+      ['fill', 'input[type="email"]', 'a@example.com'],
+      ['fill', 'input[type="password"]', 'secret'],
+      ['click', 'button']
+    ])
+  })
+
+  it('必需步骤失败时抛出错误并带有失败步骤的序号', async () => {
+    const page = fakePage({ 'input[type="email"]': true, 'input[type="password"]': true })
+
+    await assert.rejects(loginFlow.runFlow(page, def, vars), (error) => {
+      assert.equal(error.stepIndex, 4)
+      assert.match(error.message, /点击 Continue 按钮/)
+      return true
+    })
+    // 失败步骤之后的步骤不再执行
+    assert.equal(page.actions.length, 3)
+  })
+
+  it('跳转等待失败时 stepIndex 指向等待步骤', async () => {
+    const page = loginPage()
+    const stuck = { ...def, steps: def.steps.map(step => (step.action === 'waitForUrl' ? { ...step, pattern: '/dashboard' } : step)) }
+
+    await assert.rejects(loginFlow.runFlow(page, stuck, vars), { stepIndex: 5 })
+  })
+
+  it('从指定步骤继续执行', async () => {
+    const page = loginPage()
+
+    await loginFlow.runFlow(page, def, vars, null, 4)
+
+    assert.deepEqual(page.actions, [['click', 'button']])
+  })
+})
+
+const hasBrowser = fs.existsSync(chromium.executablePath())
+
+describe('runFlow（浏览器）', { skip: !hasBrowser && '未安装 Playwright Chromium' }, () => {
+  let site
+  let browser
+
+  const fixtureFlow = (url) => ({
+    url: `${url}/login`,
+    steps: [
+      { name: '打开登录页', action: 'goto', waitUntil: 'load', timeout: 10000 },
+      { name: '关闭 Cookie 提示', action: 'click', selectors: ['#cookie-accept'], timeout: 200, optional: true },
+      { name: '点击 Sign in', action: 'click', selectors: ['a:has-text("Sign in")', 'button:has-text("Sign in")'], timeout: 2000 },
+      { name: '填入邮箱地址', action: 'fill', selectors: ['input[placeholder="Enter email"]'], value: '{{email}}', timeout: 2000 },
+      { name: '填入密码', action: 'fill', selectors: ['input[type="password"]'], value: '{{password}}', timeout: 2000 },
+      { name: '点击 Continue 按钮', action: 'click', selectors: ['button:has-text("Continue")'], timeout: 2000 },
+      { name: '等待页面跳转', action: 'waitForUrl', pattern: '**/home', errorSelectors: ['.error'], timeout: 2000 }
+    ]
+  })
+
+  before(async () => {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures/login.html'))
+    site = await listen((req, res) => {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' })
+      res.end(req.url === '/login' ? html : '<title>Home</title>')
+    })
+    browser = await chromium.launch({ headless: true })
+  })
+
+  after(async () => {
+    if (browser) await browser.close()
+    if (site) site.server.close()
+  })
+
+  const login = async (password) => {
+    const context = await browser.newContext()
+    const page = await context.newPage()
+    try {
+      let error = null
+      await loginFlow.runFlow(page, fixtureFlow(site.url), { email: 'a@example.com', password }).catch(e => { error = e })
+      return { error, url: page.url(), cookies: await context.cookies() }
+    } finally {
+      await context.close()
+    }
+  }
+
+  it('在静态登录页上完成登录', async () => {
+    const result = await login('secret')
+
+    assert.equal(result.error, null)
+    assert.equal(result.url, `${site.url}/home`)
+    assert.equal(result.cookies.find(c => c.name === 'sessionid').value, 'sid-a%40example.com')
+  })
+
+  it('密码错误时在等待跳转步骤失败', async () => {
+    const result = await login('wrong')
+
+    assert.ok(result.error)
+    assert.equal(result.error.stepIndex, 6)
+    assert.equal(result.url, `${site.url}/login`)
+  })
+})
+
+describe('定义文件热加载', () => {
+  // 等待 fs.watchFile 轮询（2 秒）发现文件变化
+  const waitForReload = async (predicate) => {
+    const deadline = Date.now() + 6000
+    while (!predicate()) {
+      if (Date.now() > deadline) throw new Error('flow was not reloaded')
+      await delay(100)
+    }
+  }
+
+  it('文件不存在时使用内置定义', () => {
+    assert.equal(loginFlow.getInfo().source, 'default')
+  })
+
+  it('文件变化后重新加载，定义无效时保留当前定义', async () => {
+    fs.writeFileSync(flowFile, JSON.stringify(validFlow({ url: 'http://127.0.0.1/v1' })))
+    await waitForReload(() => loginFlow.getFlow().url === 'http://127.0.0.1/v1')
+    assert.equal(loginFlow.getInfo().source, 'file')
+
+    fs.writeFileSync(flowFile, '{ "url": ')
+    await delay(2500)
+    assert.equal(loginFlow.getFlow().url, 'http://127.0.0.1/v1')
+
+    fs.writeFileSync(flowFile, JSON.stringify(validFlow({ url: 'http://127.0.0.1/v2', steps: [{ name: 'x', action: 'scroll' }] })))
+    await delay(2500)
+    assert.equal(loginFlow.getFlow().url, 'http://127.0.0.1/v1')
+    assert.equal(loginFlow.getInfo().source, 'file')
+
+    // 修正后继续生效
+    fs.writeFileSync(flowFile, JSON.stringify(validFlow({ url: 'http://127.0.0.1/v3' })))
+    await waitForReload(() => loginFlow.getFlow().url === 'http://127.0.0.1/v3')
+  })
+})
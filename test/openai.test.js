@@ -0,0 +1,167 @@
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { setupEnv, listen, startApp, readBody, sendJson, useAccounts, authHeaders } = require('./helpers')
+
+/**
+ * OpenAI 兼容接口（/v1）：请求转换、响应转换与上游错误映射
+ * 上游生图接口与图片下载均为本地桩服务
+ */
+
+let upstream
+let images
+let app
+// 桩上游收到的请求与下一次返回的响应
+let received
+let nextResponse
+
+const imageUrls = () => [1, 2, 3].map(i => `${images.url}/${i}.png`)
+
+before(async () => {
+  images = await listen((req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png' })
+    res.end(`image${req.url.replace(/\D/g, '')}`)
+  })
+  upstream = await listen(async (req, res) => {
+    received.push({ path: req.url, authorization: req.headers.authorization, body: JSON.parse(await readBody(req)) })
+    sendJson(res, nextResponse.status, nextResponse.body)
+  })
+
+  setupEnv({ PROXY_TARGET: upstream.url, ASSET_MIRROR_ENABLED: 'false' })
+  await useAccounts([{ email: 'a@example.com', sessionid: 'sid-a' }])
+  app = await startApp({ '/v1': require('../src/routes/openai') })
+})
+
+after(() => {
+  app.server.close()
+  upstream.server.close()
+  images.server.close()
+})
+
+beforeEach(() => {
+  received = []
+  nextResponse = { status: 200, body: { created: 1, data: imageUrls().map(url => ({ url })) } }
+})
+
+const post = async (path, body) => {
+  const res = await fetch(app.url + path, { method: 'POST', headers: authHeaders(), body: JSON.stringify(body) })
+  return { status: res.status, headers: res.headers, text: await res.text() }
+}
+
+describe('POST /v1/images/generations', () => {
+  it('转换为上游请求并按 n 截取 url 结果', async () => {
+    const res = await post('/v1/images/generations', { prompt: 'a cat', n: 2, size: '512x768', model: 'dall-e-3' })
+
+    assert.equal(res.status, 200)
+    const body = JSON.parse(res.text)
+    assert.deepEqual(body.data, imageUrls().slice(0, 2).map(url => ({ url })))
+    assert.equal(typeof body.created, 'number')
+
+    assert.equal(received.length, 1)
+    assert.equal(received[0].path, '/v1/images/generations')
+    assert.equal(received[0].authorization, 'Bearer us-sid-a')
+    assert.deepEqual(received[0].body, {
+      model: 'jimeng-3.0',
+      prompt: 'a cat',
+      negative_prompt: '',
+      width: 512,
+      height: 768,
+      sample_strength: 0.5
+    })
+  })
+
+  it('b64_json 模式下载图片并返回 base64', async () => {
+    const res = await post('/v1/images/generations', { prompt: 'a cat', response_format: 'b64_json' })
+
+    assert.equal(res.status, 200)
+    const body = JSON.parse(res.text)
+    assert.deepEqual(body.data, [{ b64_json: Buffer.from('image1').toString('base64') }])
+  })
+
+  it('校验 prompt 与 response_format', async () => {
+    const missing = await post('/v1/images/generations', { prompt: ' ' })
+    assert.equal(missing.status, 400)
+    assert.equal(JSON.parse(missing.text).error.type, 'invalid_request_error')
+
+    const format = await post('/v1/images/generations', { prompt: 'a cat', response_format: 'png' })
+    assert.equal(format.status, 400)
+    assert.equal(received.length, 0)
+  })
+})
+
+describe('POST /v1/chat/completions', () => {
+  const messages = [
+    { role: 'system', content: 'ignored' },
+    { role: 'user', content: [{ type: 'text', text: 'a dog' }, { type: 'image_url', image_url: { url: 'x' } }] }
+  ]
+  const content = imageUrlsContent => imageUrlsContent.map((url, i) => `![image_${i + 1}](${url})`).join('\n')
+
+  it('非流式返回 chat.completion', async () => {
+    const res = await post('/v1/chat/completions', { model: 'jimeng-3.1', messages })
+
+    assert.equal(res.status, 200)
+    const body = JSON.parse(res.text)
+    assert.equal(body.object, 'chat.completion')
+    assert.equal(body.model, 'jimeng-3.1')
+    assert.match(body.id, /^chatcmpl-/)
+    assert.deepEqual(body.choices, [{
+      index: 0,
+      message: { role: 'assistant', content: content(imageUrls()) },
+      finish_reason: 'stop'
+    }])
+    assert.equal(received[0].body.prompt, 'a dog')
+    assert.equal(received[0].body.model, 'jimeng-3.1')
+  })
+
+  it('流式返回 chat.completion.chunk 事件并以 [DONE] 结束', async () => {
+    const res = await post('/v1/chat/completions', { messages, stream: true })
+
+    assert.equal(res.status, 200)
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/)
+    assert.ok(res.text.endsWith('\n\n'))
+    const events = res.text.split('\n\n').filter(Boolean)
+    assert.ok(events.every(event => event.startsWith('data: ')))
+    assert.equal(events[events.length - 1], 'data: [DONE]')
+
+    const chunks = events.slice(0, -1).map(event => JSON.parse(event.slice('data: '.length)))
+    assert.equal(chunks.length, 2)
+    chunks.forEach(chunk => {
+      assert.equal(chunk.object, 'chat.completion.chunk')
+      assert.equal(chunk.id, chunks[0].id)
+      assert.equal(chunk.model, 'jimeng-3.0')
+      assert.equal(chunk.choices.length, 1)
+      assert.equal(chunk.choices[0].index, 0)
+    })
+    assert.deepEqual(chunks[0].choices[0].delta, { role: 'assistant', content: content(imageUrls()) })
+    assert.equal(chunks[0].choices[0].finish_reason, null)
+    assert.deepEqual(chunks[1].choices[0].delta, {})
+    assert.equal(chunks[1].choices[0].finish_reason, 'stop')
+  })
+
+  it('没有用户消息时返回 400', async () => {
+    const res = await post('/v1/chat/completions', { messages: [{ role: 'system', content: 'x' }] })
+    assert.equal(res.status, 400)
+    assert.equal(received.length, 0)
+  })
+})
+
+describe('上游错误映射', () => {
+  const expectError = (res, status, message) => {
+    assert.equal(res.status, status)
+    assert.deepEqual(JSON.parse(res.text), { error: { message, type: 'api_error', param: null, code: null } })
+  }
+
+  it('上游 4xx 保留状态码与错误信息', async () => {
+    nextResponse = { status: 422, body: { error: { message: 'prompt rejected' } } }
+    expectError(await post('/v1/images/generations', { prompt: 'a cat' }), 422, 'prompt rejected')
+  })
+
+  it('上游 5xx 保留状态码与错误信息', async () => {
+    nextResponse = { status: 500, body: { message: 'internal failure' } }
+    expectError(await post('/v1/chat/completions', { messages: [{ role: 'user', content: 'a dog' }] }), 500, 'internal failure')
+  })
+
+  it('上游成功但没有图片时返回 502', async () => {
+    nextResponse = { status: 200, body: { data: [] } }
+    expectError(await post('/v1/images/generations', { prompt: 'a cat' }), 502, 'upstream returned status 200 without images')
+  })
+})
@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const net = require('net')
+const { setupEnv } = require('./helpers')
+
+/**
+ * redis 模式下的账户保存与读取（模拟重启后重新加载）
+ * Redis 为本地桩服务，只实现账户读写用到的命令
+ */
+
+/**
+ * 桩 Redis 服务：解析 RESP 命令数组，哈希数据保存在内存中
+ */
+const createRedisServer = () => {
+  const hashes = new Map()
+
+  const bulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`)
+  const array = (items) => `*${items.length}\r\n${items.map(bulk).join('')}`
+
+  const execute = ([name, ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'CLIENT':
+      case 'SELECT':
+        return '+OK\r\n'
+      case 'INFO':
+        return bulk('# Server\r\nredis_version:7.0.0\r\nloading:0\r\n')
+      case 'HSET': {
+        const [key, ...pairs] = args
+        const hash = hashes.get(key) || new Map()
+        let added = 0
+        for (let i = 0; i < pairs.length; i += 2) {
+          if (!hash.has(pairs[i])) added += 1
+          hash.set(pairs[i], pairs[i + 1])
+        }
+        hashes.set(key, hash)
+        return `:${added}\r\n`
+      }
+      case 'HGETALL':
+        return array([...(hashes.get(args[0]) || new Map())].flat())
+      case 'SCAN': {
+        const prefix = args[args.indexOf('MATCH') + 1].replace(/\*$/, '')
+        return `*2\r\n${bulk('0')}${array([...hashes.keys()].filter(key => key.startsWith(prefix)))}`
+      }
+      case 'DEL':
+        return `:${hashes.delete(args[0]) ? 1 : 0}\r\n`
+      case 'QUIT':
+        return '+OK\r\n'
+      default:
+        return `-ERR unknown command '${name}'\r\n`
+    }
+  }
+
+  // 从缓冲区解析一条完整命令，数据不足时返回 null
+  const parse = (buffer) => {
+    const lines = buffer.toString('latin1')
+    if (lines[0] !== '*') return null
+    let pos = lines.indexOf('\r\n')
+    if (pos === -1) return null
+    const count = Number(lines.slice(1, pos))
+    pos += 2
+    const args = []
+    for (let i = 0; i < count; i++) {
+      const end = lines.indexOf('\r\n', pos)
+      if (end === -1) return null
+      const length = Number(lines.slice(pos + 1, end))
+      const start = end + 2
+      if (buffer.length < start + length + 2) return null
+      args.push(buffer.subarray(start, start + length).toString('utf-8'))
+      pos = start + length + 2
+    }
+    return { args, rest: buffer.subarray(pos) }
+  }
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0)
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk])
+      let command
+      while ((command = parse(buffer))) {
+        buffer = command.rest
+        socket.write(execute(command.args))
+      }
+    })
+    socket.on('error', () => {})
+  })
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, hashes, url: `redis://127.0.0.1:${server.address().port}` }))
+  })
+}
+
+const imported = {
+  email: 'google-account-1',
+  password: '',
+  sessionid: 'sid-imported',
+  sessionid_expires: 9999999999,
+  refreshable: false,
+  mailbox: { host: 'imap.example.com', secure: true, user: 'a@example.com', secret: 'imap-app-password' },
+  loginProfile: { locale: 'en-US', timezoneId: 'Europe/Berlin' }
+}
+
+let redis
+let redisClient
+let persistence
+
+before(async () => {
+  redis = await createRedisServer()
+  setupEnv({ DATA_SAVE_MODE: 'redis', REDIS_URL: redis.url })
+  redisClient = require('../src/utils/redis')
+  const DataPersistence = require('../src/utils/data-persistence')
+  persistence = new DataPersistence()
+})
+
+after(async () => {
+  await redisClient.cleanup()
+  redis.server.close()
+})
+
+beforeEach(() => redis.hashes.clear())
+
+describe('redis 模式账户保存', () => {
+  it('通过 sessionid 导入的账户保存 sessionid，重新加载后完整保留', async () => {
+    assert.equal(await persistence.saveAccount(imported.email, imported), true)
+    assert.equal(redis.hashes.get(`user:${imported.email}`).get('sessionid'), 'sid-imported')
+
+    const [loaded] = await persistence.loadAccounts()
+    assert.equal(loaded.email, imported.email)
+    assert.equal(loaded.sessionid, 'sid-imported')
+    assert.equal(loaded.sessionid_expires, 9999999999)
+    assert.equal(loaded.refreshable, false)
+    assert.deepEqual(loaded.mailbox, imported.mailbox)
+    assert.deepEqual(loaded.loginProfile, imported.loginProfile)
+  })
+
+  it('可重新登录的账户不保存 sessionid', async () => {
+    await persistence.saveAccount('a@example.com', { password: 'p', sessionid: 'sid-a', sessionid_expires: 9999999999, weight: 3 })
+
+    assert.equal(redis.hashes.get('user:a@example.com').get('sessionid'), '')
+    const [loaded] = await persistence.loadAccounts()
+    assert.equal(loaded.password, 'p')
+    assert.equal(loaded.weight, 3)
+    assert.equal(loaded.sessionid, undefined)
+    assert.equal(loaded.refreshable, undefined)
+  })
+
+  it('账户管理器重新加载时保留导入的账户', async () => {
+    await persistence.saveAccount(imported.email, imported)
+    const manager = require('../src/utils/dreamina-account')
+    while (!manager.isInitialized) await new Promise(resolve => setTimeout(resolve, 10))
+
+    await manager.loadAccounts()
+
+    const account = manager.getAllAccounts().find(item => item.email === imported.email)
+    assert.ok(account)
+    assert.equal(account.sessionid, 'sid-imported')
+    assert.equal(account.refreshable, false)
+    assert.deepEqual(account.mailbox, imported.mailbox)
+  })
+})